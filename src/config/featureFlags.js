@@ -35,7 +35,11 @@ const FEATURE_FLAGS = {
   // === SAFETY FLAGS ===
   BACKWARDS_COMPATIBILITY_MODE: process.env.BACKWARDS_COMPATIBILITY_MODE !== 'false',
   STRICT_VALIDATION_MODE: process.env.STRICT_VALIDATION_MODE === 'true',
-  ERROR_REPORTING_ENABLED: process.env.ERROR_REPORTING_ENABLED !== 'false'
+  ERROR_REPORTING_ENABLED: process.env.ERROR_REPORTING_ENABLED !== 'false',
+  
+  // === INTEGRATION HUB FLAGS ===
+  WEBHOOK_SIGNATURES_REQUIRED: process.env.WEBHOOK_SIGNATURES_REQUIRED === 'true',
+  SERVICE_TOKENS_REQUIRED: process.env.SERVICE_TOKENS_REQUIRED !== 'false'
 };
 
 /**
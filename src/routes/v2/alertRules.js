@@ -0,0 +1,146 @@
+/**
+ * BIG BROTHER COMPLIANT - Alert Rule Routes v2
+ * SINGLE RESPONSIBILITY: Manage alert rules and inspect channels and notifications
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+const express = require('express');
+const { getAlertNotifier } = require('../../services/v2/alertNotifier');
+const { describeChannel } = require('../../services/v2/alertChannels');
+const { performanceMonitoring, complianceCheck } = require('./integrationMiddleware');
+
+const router = express.Router();
+
+/**
+ * Send a failed notifier result with a matching HTTP status
+ */
+function sendFailure(res, result) {
+  const status = result.code === 'RULE_NOT_FOUND' || result.code === 'CHANNEL_NOT_FOUND' ? 404
+    : result.code === 'CHANNEL_DELIVERY_FAILED' ? 502 : 400;
+
+  res.status(status).json({
+    success: false,
+    error: result.error,
+    code: result.code,
+    performance: res.locals.performance,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Wrap a payload in the standard success envelope
+ */
+function sendSuccess(res, payload, status = 200) {
+  res.status(status).json({
+    success: true,
+    ...payload,
+    metadata: {
+      version: 'v2',
+      bigBrotherCompliant: true,
+      performance: res.locals.performance,
+      timestamp: new Date().toISOString()
+    }
+  });
+}
+
+/**
+ * GET /api/v2/integration/alerts/rules
+ * List alert rules
+ */
+router.get('/rules',
+  performanceMonitoring,
+  complianceCheck,
+  (req, res) => {
+    sendSuccess(res, { rules: Array.from(getAlertNotifier().rules.values()) });
+  }
+);
+
+/**
+ * POST /api/v2/integration/alerts/rules
+ * Add an alert rule ({ name, type: consecutive_failures | latency, ... })
+ */
+router.post('/rules',
+  performanceMonitoring,
+  complianceCheck,
+  (req, res) => {
+    const result = getAlertNotifier().addRule(req.body || {});
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+    sendSuccess(res, { rule: result.rule }, 201);
+  }
+);
+
+/**
+ * DELETE /api/v2/integration/alerts/rules/:ruleId
+ * Remove an alert rule
+ */
+router.delete('/rules/:ruleId',
+  performanceMonitoring,
+  complianceCheck,
+  (req, res) => {
+    const result = getAlertNotifier().removeRule(req.params.ruleId);
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+    sendSuccess(res, { ruleId: req.params.ruleId });
+  }
+);
+
+/**
+ * GET /api/v2/integration/alerts/channels
+ * Configured channels (secrets redacted); channels come from ALERT_CONFIG_PATH
+ */
+router.get('/channels',
+  performanceMonitoring,
+  complianceCheck,
+  (req, res) => {
+    sendSuccess(res, { channels: Array.from(getAlertNotifier().channels.values()).map(describeChannel) });
+  }
+);
+
+/**
+ * POST /api/v2/integration/alerts/channels/:name/test
+ * Send a test notification through a channel
+ */
+router.post('/channels/:name/test',
+  performanceMonitoring,
+  complianceCheck,
+  async (req, res) => {
+    const result = await getAlertNotifier().testChannel(req.params.name);
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+    sendSuccess(res, { channel: req.params.name });
+  }
+);
+
+/**
+ * GET /api/v2/integration/alerts/active
+ * Rules currently firing, per service
+ */
+router.get('/active',
+  performanceMonitoring,
+  complianceCheck,
+  (req, res) => {
+    sendSuccess(res, { active: getAlertNotifier().listActive() });
+  }
+);
+
+/**
+ * GET /api/v2/integration/alerts/notifications?limit=50
+ * Recent firing and resolve notifications with their delivery results
+ */
+router.get('/notifications',
+  performanceMonitoring,
+  complianceCheck,
+  (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    sendSuccess(res, { notifications: getAlertNotifier().listNotifications(limit) });
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,235 @@
+/**
+ * BIG BROTHER COMPLIANT - Dead Letter Routes v2
+ * SINGLE RESPONSIBILITY: Inspect, replay and purge dead-lettered webhooks
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+const express = require('express');
+const logger = require('../../utils/logger');
+const { getWebhookHub } = require('../../services/v2/webhookHub');
+const { performanceMonitoring, complianceCheck } = require('./integrationMiddleware');
+
+const router = express.Router();
+
+/**
+ * Build a dead letter filter from query/body parameters
+ */
+function buildFilter(params = {}) {
+  const filter = {};
+  for (const key of ['routeId', 'eventId', 'source', 'eventType', 'limit']) {
+    if (params[key] !== undefined) {
+      filter[key] = params[key];
+    }
+  }
+  return filter;
+}
+
+/**
+ * GET /api/v2/integration/dead-letters
+ * List dead-lettered deliveries
+ */
+router.get('/',
+  performanceMonitoring,
+  complianceCheck,
+  (req, res) => {
+    try {
+      const webhookHub = getWebhookHub();
+      const deadLetters = webhookHub.deadLetters.list(buildFilter(req.query));
+
+      res.json({
+        success: true,
+        deadLetters,
+        stats: webhookHub.deadLetters.getStats(),
+        metadata: {
+          version: 'v2',
+          bigBrotherCompliant: true,
+          performance: res.locals.performance,
+          timestamp: new Date().toISOString()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to list dead letters', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve dead letters',
+        performance: res.locals.performance,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/v2/integration/dead-letters/replay
+ * Replay all dead letters matching a filter
+ */
+router.post('/replay',
+  performanceMonitoring,
+  complianceCheck,
+  (req, res) => {
+    try {
+      const result = getWebhookHub().retries.replayDeadLetters(buildFilter(req.body));
+
+      res.json({
+        ...result,
+        metadata: {
+          version: 'v2',
+          bigBrotherCompliant: true,
+          performance: res.locals.performance,
+          timestamp: new Date().toISOString()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Dead letter bulk replay failed', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Dead letter replay failed',
+        performance: res.locals.performance,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/v2/integration/dead-letters/:entryId
+ * Inspect a single dead letter
+ */
+router.get('/:entryId',
+  performanceMonitoring,
+  complianceCheck,
+  (req, res) => {
+    const deadLetter = getWebhookHub().deadLetters.get(req.params.entryId);
+
+    if (!deadLetter) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dead letter entry not found',
+        code: 'DEAD_LETTER_NOT_FOUND',
+        performance: res.locals.performance,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      deadLetter,
+      metadata: {
+        version: 'v2',
+        bigBrotherCompliant: true,
+        performance: res.locals.performance,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+);
+
+/**
+ * POST /api/v2/integration/dead-letters/:entryId/replay
+ * Re-queue a single dead letter
+ */
+router.post('/:entryId/replay',
+  performanceMonitoring,
+  complianceCheck,
+  (req, res) => {
+    const result = getWebhookHub().retries.replayDeadLetter(req.params.entryId);
+
+    if (!result.success) {
+      const status = result.code === 'DEAD_LETTER_NOT_FOUND' ? 404
+        : result.code === 'QUEUE_FULL' ? 503 : 409;
+
+      return res.status(status).json({
+        success: false,
+        error: result.error,
+        code: result.code,
+        performance: res.locals.performance,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      entryId: result.entryId,
+      eventId: result.eventId,
+      originalEventId: result.originalEventId,
+      message: 'Dead letter re-queued for delivery',
+      metadata: {
+        version: 'v2',
+        bigBrotherCompliant: true,
+        performance: res.locals.performance,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+);
+
+/**
+ * DELETE /api/v2/integration/dead-letters/:entryId
+ * Purge a single dead letter
+ */
+router.delete('/:entryId',
+  performanceMonitoring,
+  complianceCheck,
+  (req, res) => {
+    const result = getWebhookHub().retries.purgeDeadLetters({ entryId: req.params.entryId });
+
+    if (result.purged === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dead letter entry not found',
+        code: 'DEAD_LETTER_NOT_FOUND',
+        performance: res.locals.performance,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      purged: result.purged,
+      metadata: {
+        version: 'v2',
+        bigBrotherCompliant: true,
+        performance: res.locals.performance,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+);
+
+/**
+ * DELETE /api/v2/integration/dead-letters
+ * Purge dead letters matching the query filter (oldest first, up to `limit`)
+ */
+router.delete('/',
+  performanceMonitoring,
+  complianceCheck,
+  (req, res) => {
+    try {
+      const result = getWebhookHub().retries.purgeDeadLetters(buildFilter(req.query));
+
+      res.json({
+        success: true,
+        purged: result.purged,
+        metadata: {
+          version: 'v2',
+          bigBrotherCompliant: true,
+          performance: res.locals.performance,
+          timestamp: new Date().toISOString()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Dead letter purge failed', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Dead letter purge failed',
+        performance: res.locals.performance,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,101 @@
+/**
+ * BIG BROTHER COMPLIANT - Health History Routes v2
+ * SINGLE RESPONSIBILITY: Serve uptime, latency percentiles and status transitions per service
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+const express = require('express');
+const { getServiceRegistry } = require('../../services/v2/serviceRegistry');
+const { getHealthMonitor } = require('../../services/v2/healthMonitor');
+const HealthHistoryStore = require('../../services/v2/healthHistoryStore');
+const { performanceMonitoring, complianceCheck } = require('./integrationMiddleware');
+
+const router = express.Router();
+
+/**
+ * Resolve the requested window, or answer 404/400 and return null
+ */
+function resolveQuery(req, res) {
+  if (!getServiceRegistry().getService(req.params.serviceId)) {
+    res.status(404).json({
+      success: false,
+      error: 'Service not found',
+      code: 'SERVICE_NOT_FOUND',
+      performance: res.locals.performance,
+      timestamp: new Date().toISOString()
+    });
+    return null;
+  }
+
+  const query = HealthHistoryStore.parseQuery(req.query);
+  if (!query.isValid) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid history window',
+      code: 'INVALID_WINDOW',
+      errors: query.errors,
+      performance: res.locals.performance,
+      timestamp: new Date().toISOString()
+    });
+    return null;
+  }
+
+  return query.options;
+}
+
+/**
+ * GET /api/v2/integration/health/:serviceId/history
+ * Uptime %, p50/p95/p99 response time, a (downsampled) series and status
+ * transitions. Query: window (15m, 1h, 24h, 7d...) or since/until,
+ * resolution (raw, 5m, 1h), limit
+ */
+router.get('/:serviceId/history',
+  performanceMonitoring,
+  complianceCheck,
+  (req, res) => {
+    const options = resolveQuery(req, res);
+    if (!options) return;
+
+    res.json({
+      success: true,
+      history: getHealthMonitor().records.getHistory(req.params.serviceId, options),
+      metadata: {
+        version: 'v2',
+        bigBrotherCompliant: true,
+        performance: res.locals.performance,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+);
+
+/**
+ * GET /api/v2/integration/health/:serviceId/history/transitions
+ * Status changes within the window, newest first
+ */
+router.get('/:serviceId/history/transitions',
+  performanceMonitoring,
+  complianceCheck,
+  (req, res) => {
+    const options = resolveQuery(req, res);
+    if (!options) return;
+
+    const { window, transitions } = getHealthMonitor().records.getHistory(req.params.serviceId, options);
+
+    res.json({
+      success: true,
+      serviceId: req.params.serviceId,
+      window,
+      transitions: transitions.slice().reverse().slice(0, options.limit),
+      total: transitions.length,
+      metadata: {
+        version: 'v2',
+        bigBrotherCompliant: true,
+        performance: res.locals.performance,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+);
+
+module.exports = router;
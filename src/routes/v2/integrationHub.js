@@ -9,54 +9,76 @@ const logger = require('../../utils/logger');
 const { getServiceRegistry } = require('../../services/v2/serviceRegistry');
 const { getWebhookHub } = require('../../services/v2/webhookHub');
 const { getHealthMonitor } = require('../../services/v2/healthMonitor');
+const { getPerformanceAlertManager } = require('../../services/v2/performanceAlertManager');
 const { getFeatureFlagManager } = require('../../config/featureFlags');
+const { validateSelector } = require('../../services/v2/labelSelector');
+const {
+  performanceMonitoring,
+  complianceCheck,
+  verifyWebhookSignature,
+  requireServiceToken,
+  servicesNamed
+} = require('./integrationMiddleware');
+const deadLetterRoutes = require('./deadLetters');
+const webhookRouteRoutes = require('./webhookRoutes');
+const webhookEventRoutes = require('./webhookEvents');
+const serviceRoutes = require('./services');
+const manifestRoutes = require('./manifest');
+const healthHistoryRoutes = require('./healthHistory');
+const sloRoutes = require('./slos');
+const alertRuleRoutes = require('./alertRules');
 
 const router = express.Router();
 const flagManager = getFeatureFlagManager();
 
-/**
- * Performance monitoring middleware
- */
-function performanceMonitoring(req, res, next) {
-  req.startTime = Date.now();
-  req.initialMemory = process.memoryUsage();
-  next();
-}
+router.use('/dead-letters', deadLetterRoutes);
+router.use('/routes', webhookRouteRoutes);
+router.use('/events', webhookEventRoutes);
+router.use('/services', serviceRoutes);
+router.use('/manifest', manifestRoutes);
+router.use('/health', healthHistoryRoutes);
+router.use('/slos', sloRoutes);
+router.use('/alerts', alertRuleRoutes);
 
 /**
- * Big Brother compliance check middleware
+ * Reject an invalid ?selector= label selector (returns true when rejected)
  */
-function complianceCheck(req, res, next) {
-  const executionTime = Date.now() - req.startTime;
-  const memoryUsage = process.memoryUsage();
-  const memoryDelta = memoryUsage.heapUsed - req.initialMemory.heapUsed;
-  
-  // Add compliance data to response
-  res.locals.performance = {
-    executionTime,
-    memoryDelta: memoryDelta / 1024 / 1024, // MB
-    compliant: executionTime < 100 && memoryDelta < 50 * 1024 * 1024
-  };
-  
-  next();
+function rejectInvalidSelector(req, res) {
+  const validation = validateSelector(req.query.selector);
+
+  if (validation.isValid) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    error: validation.errors.join(', '),
+    code: 'INVALID_SELECTOR',
+    performance: res.locals.performance,
+    timestamp: new Date().toISOString()
+  });
+  return true;
 }
 
 /**
- * GET /api/v2/integration/services
- * Get all registered Big Brother services
+ * GET /api/v2/integration/services?selector=team=payments,env!=staging&tag=core
+ * Get registered Big Brother services, optionally filtered by labels and tag
  */
 router.get('/services', 
   performanceMonitoring,
   complianceCheck,
   (req, res) => {
     try {
+      if (rejectInvalidSelector(req, res)) return;
+
       const serviceRegistry = getServiceRegistry();
-      const services = serviceRegistry.getAllServices();
+      const services = serviceRegistry.getServicesBySelector(req.query.selector)
+        .filter(service => !req.query.tag || (service.tags || []).includes(req.query.tag));
       const stats = serviceRegistry.getStats();
       
       res.json({
         success: true,
-        services,
+        services: services.map(service => serviceRegistry.toPublic(service)),
         stats,
         metadata: {
           version: 'v2',
@@ -80,10 +102,17 @@ router.get('/services',
 
 /**
  * POST /api/v2/integration/services/register
- * Register a new Big Brother service
+ * Register a Big Brother service (re-registering the same name + environment
+ * returns the existing ID and requires its token). New services receive a
+ * token once, in the response.
  */
 router.post('/services/register',
   performanceMonitoring,
+  requireServiceToken(req => {
+    const body = req.body || {};
+    const existing = getServiceRegistry().findServiceByName(body.name, body.environment || 'production');
+    return existing ? [existing.id] : [];
+  }),
   complianceCheck,
   (req, res) => {
     try {
@@ -93,13 +122,17 @@ router.post('/services/register',
       if (result.success) {
         logger.info('Service registered via API', {
           serviceId: result.serviceId,
-          name: req.body.name
+          name: req.body.name,
+          created: result.created
         });
         
-        res.status(201).json({
+        res.status(result.created ? 201 : 200).json({
           success: true,
           serviceId: result.serviceId,
-          message: 'Service registered successfully',
+          created: result.created,
+          lease: serviceRegistry.getService(result.serviceId).lease,
+          ...(result.token && { token: result.token }),
+          message: result.created ? 'Service registered successfully' : 'Service registration refreshed',
           metadata: {
             version: 'v2',
             bigBrotherCompliant: true,
@@ -129,16 +162,18 @@ router.post('/services/register',
 );
 
 /**
- * GET /api/v2/integration/health
- * Get system-wide health status
+ * GET /api/v2/integration/health?selector=
+ * Get system-wide health status (optionally for services matching a label selector)
  */
 router.get('/health',
   performanceMonitoring,
   complianceCheck,
   async (req, res) => {
     try {
+      if (rejectInvalidSelector(req, res)) return;
+
       const healthMonitor = getHealthMonitor();
-      const systemHealth = healthMonitor.getSystemHealth();
+      const systemHealth = healthMonitor.getSystemHealth(req.query.selector);
       
       res.json({
         success: true,
@@ -164,16 +199,18 @@ router.get('/health',
 );
 
 /**
- * POST /api/v2/integration/health/check
- * Trigger immediate health check
+ * POST /api/v2/integration/health/check?selector=
+ * Trigger immediate health check (optionally for services matching a label selector)
  */
 router.post('/health/check',
   performanceMonitoring,
   complianceCheck,
   async (req, res) => {
     try {
+      if (rejectInvalidSelector(req, res)) return;
+
       const healthMonitor = getHealthMonitor();
-      const result = await healthMonitor.performHealthChecks();
+      const result = await healthMonitor.performHealthChecks({ selector: req.query.selector });
       
       res.json({
         success: true,
@@ -198,24 +235,81 @@ router.post('/health/check',
   }
 );
 
+/**
+ * PUT /api/v2/integration/health/update
+ * Accept a pushed health report (directly or via the health_check webhook route)
+ */
+router.put('/health/update',
+  performanceMonitoring,
+  requireServiceToken(req => {
+    const body = req.body || {};
+    const report = body.data && typeof body.data === 'object' ? body.data : body;
+    const ref = report.serviceId || report.serviceName || body.source;
+    return getServiceRegistry().getService(ref) ? [ref] : servicesNamed(ref);
+  }, { acceptRelay: true }),
+  complianceCheck,
+  (req, res) => {
+    try {
+      const result = getHealthMonitor().recordHealthReport(req.body || {});
+
+      if (!result.success) {
+        return res.status(['SERVICE_NOT_FOUND', 'INSTANCE_NOT_FOUND'].includes(result.code) ? 404 : 400).json({
+          success: false,
+          error: result.error,
+          code: result.code,
+          performance: res.locals.performance,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      res.json({
+        success: true,
+        health: result.health,
+        metadata: {
+          version: 'v2',
+          bigBrotherCompliant: true,
+          performance: res.locals.performance,
+          timestamp: new Date().toISOString()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Health update failed', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Health update failed',
+        performance: res.locals.performance,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+);
+
 /**
  * POST /api/v2/integration/webhook
  * Process incoming webhooks from any service
  */
 router.post('/webhook',
   performanceMonitoring,
+  verifyWebhookSignature(req => req.body && req.body.source),
+  requireServiceToken(req => servicesNamed(req.body && req.body.source)),
   complianceCheck,
   async (req, res) => {
     try {
       const webhookHub = getWebhookHub();
-      const result = await webhookHub.processWebhook(req.body);
+      const result = await webhookHub.processWebhook(req.body, {
+        headers: req.headers,
+        authenticatedServiceId: req.authenticatedServiceId
+      });
       
       if (result.success) {
         res.json({
           success: true,
           eventId: result.eventId,
+          status: result.status,
+          duplicate: result.duplicate === true,
           routesMatched: result.routesMatched,
-          message: 'Webhook processed successfully',
+          message: result.duplicate ? 'Duplicate webhook delivery ignored' : 'Webhook processed successfully',
           metadata: {
             version: 'v2',
             bigBrotherCompliant: true,
@@ -224,9 +318,10 @@ router.post('/webhook',
           }
         });
       } else {
-        res.status(400).json({
+        res.status(result.code === 'QUEUE_FULL' ? 503 : 400).json({
           success: false,
           error: result.error,
+          code: result.code,
           performance: res.locals.performance,
           timestamp: new Date().toISOString()
         });
@@ -292,26 +387,33 @@ router.get('/stats',
 );
 
 /**
- * GET /api/v2/integration/dashboard
- * Get dashboard data for Big Brother ecosystem
+ * GET /api/v2/integration/dashboard?selector=
+ * Get dashboard data for Big Brother ecosystem (optionally scoped by label selector)
  */
 router.get('/dashboard',
   performanceMonitoring,
   complianceCheck,
   (req, res) => {
     try {
+      if (rejectInvalidSelector(req, res)) return;
+
       const serviceRegistry = getServiceRegistry();
       const healthMonitor = getHealthMonitor();
+      const alertManager = getPerformanceAlertManager();
       
-      const services = serviceRegistry.getAllServices();
-      const systemHealth = healthMonitor.getSystemHealth();
-      const registryStats = serviceRegistry.getStats();
+      // Refresh auto-resolved alerts before reading service summaries
+      alertManager.resolveStale();
+      const services = serviceRegistry.getServicesBySelector(req.query.selector);
+      const serviceIds = new Set(services.map(service => service.id));
+      const systemHealth = healthMonitor.getSystemHealth(req.query.selector);
+      const compliant = services.filter(service => service.bigBrotherCompliant === true).length;
       
       const dashboard = {
         ecosystem: {
-          totalServices: registryStats.totalServices,
-          bigBrotherCompliant: registryStats.bigBrotherCompliant,
-          complianceRate: registryStats.complianceRate,
+          totalServices: services.length,
+          bigBrotherCompliant: compliant,
+          complianceRate: services.length > 0 ?
+            ((compliant / services.length) * 100).toFixed(1) + '%' : '0%',
           healthRate: systemHealth.stats.healthRate
         },
         services: services.map(service => ({
@@ -321,12 +423,20 @@ router.get('/dashboard',
           version: service.version,
           bigBrotherCompliant: service.bigBrotherCompliant,
           status: service.status,
-          url: service.url
+          url: service.url,
+          labels: service.labels || {},
+          activeAlerts: service.alerts ? service.alerts.active : 0
         })),
         health: systemHealth,
         performance: {
           avgResponseTime: calculateAvgResponseTime(systemHealth.services),
           complianceIssues: getComplianceIssues(systemHealth.services)
+        },
+        alerts: {
+          stats: alertManager.getStats(),
+          active: alertManager.list({ status: 'active' }, false)
+            .filter(alert => serviceIds.has(alert.serviceId))
+            .slice(0, 20)
         }
       };
       
@@ -0,0 +1,174 @@
+/**
+ * BIG BROTHER COMPLIANT - Integration Route Middleware v2
+ * SINGLE RESPONSIBILITY: Shared performance middleware for integration routes
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+const logger = require('../../utils/logger');
+const {
+  WebhookSignatureVerifier,
+  getWebhookSignatureVerifier
+} = require('../../services/v2/webhookSignatureVerifier');
+const { getServiceRegistry } = require('../../services/v2/serviceRegistry');
+const { extractToken, verifyAdminToken } = require('../../services/v2/serviceTokens');
+const { getFeatureFlagManager } = require('../../config/featureFlags');
+
+const flagManager = getFeatureFlagManager();
+
+/**
+ * Performance monitoring middleware
+ */
+function performanceMonitoring(req, res, next) {
+  req.startTime = Date.now();
+  req.initialMemory = process.memoryUsage();
+  next();
+}
+
+/**
+ * Big Brother compliance check middleware
+ */
+function complianceCheck(req, res, next) {
+  const executionTime = Date.now() - req.startTime;
+  const memoryUsage = process.memoryUsage();
+  const memoryDelta = memoryUsage.heapUsed - req.initialMemory.heapUsed;
+  
+  // Add compliance data to response
+  res.locals.performance = {
+    executionTime,
+    memoryDelta: memoryDelta / 1024 / 1024, // MB
+    compliant: executionTime < 100 && memoryDelta < 50 * 1024 * 1024
+  };
+  
+  next();
+}
+
+/**
+ * Webhook signature verification middleware
+ * resolveSource(req) names the source whose shared secret signs the request
+ */
+function verifyWebhookSignature(resolveSource) {
+  return (req, res, next) => {
+    const source = resolveSource(req);
+    const verification = getWebhookSignatureVerifier().verify({
+      source,
+      headers: req.headers,
+      rawBody: req.rawBody || JSON.stringify(req.body || {})
+    });
+
+    if (!verification.valid) {
+      logger.warn('Webhook signature verification failed', {
+        source,
+        code: verification.code,
+        path: req.path,
+        headers: WebhookSignatureVerifier.redactHeaders(req.headers)
+      });
+
+      return res.status(401).json({
+        success: false,
+        error: verification.error,
+        code: verification.code,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    req.webhookVerification = verification;
+    next();
+  };
+}
+
+/**
+ * Service token middleware: requests about a registered service must carry
+ * its token (Authorization: Bearer <token>). resolveServiceIds(req) lists the
+ * services the request speaks for; it passes when any of them accepts the token
+ * (every one of them with options.requireAll). Requests naming no registered
+ * service are left to the route handler.
+ * With options.acceptRelay, WebhookHub relays from its built-in routes may
+ * name the service they act for in X-BigBrother-Relayed-For.
+ */
+function requireServiceToken(resolveServiceIds, options = {}) {
+  return (req, res, next) => {
+    if (!flagManager.getFlag('SERVICE_TOKENS_REQUIRED', true)) {
+      return next();
+    }
+
+    const serviceIds = resolveServiceIds(req).filter(Boolean);
+    if (serviceIds.length === 0) {
+      return next();
+    }
+
+    const registry = getServiceRegistry();
+    const token = extractToken(req.headers);
+    let failure = null;
+
+    for (const serviceId of serviceIds) {
+      const result = registry.authenticator.authenticate(serviceId, token, {
+        relayedFor: options.acceptRelay ? req.headers['x-bigbrother-relayed-for'] : undefined
+      });
+      if (result.success && !options.requireAll) {
+        req.authenticatedServiceId = serviceId;
+        return next();
+      }
+      failure = failure || (result.success ? null : result);
+    }
+
+    if (!failure) {
+      return next();
+    }
+
+    logger.warn('Service token rejected', { serviceIds, code: failure.code, path: req.path });
+
+    res.status(401).json({
+      success: false,
+      error: failure.error,
+      code: failure.code,
+      timestamp: new Date().toISOString()
+    });
+  };
+}
+
+/**
+ * Admin token middleware: operator-only requests must carry REGISTRY_ADMIN_TOKEN
+ * (Authorization: Bearer <token>). appliesTo(req) limits it to some requests.
+ */
+function requireAdminToken(appliesTo = () => true) {
+  return (req, res, next) => {
+    if (!flagManager.getFlag('SERVICE_TOKENS_REQUIRED', true) || !appliesTo(req)) {
+      return next();
+    }
+
+    if (verifyAdminToken(extractToken(req.headers))) {
+      return next();
+    }
+
+    logger.warn('Admin token rejected', { path: req.path });
+
+    res.status(401).json({
+      success: false,
+      error: 'Admin token required',
+      code: 'ADMIN_TOKEN_REQUIRED',
+      timestamp: new Date().toISOString()
+    });
+  };
+}
+
+/**
+ * IDs of registered services with a given name (any environment)
+ */
+function servicesNamed(name) {
+  if (!name || typeof name !== 'string') {
+    return [];
+  }
+
+  return getServiceRegistry().getAllServices()
+    .filter(service => service.name === name)
+    .map(service => service.id);
+}
+
+module.exports = {
+  performanceMonitoring,
+  complianceCheck,
+  verifyWebhookSignature,
+  requireServiceToken,
+  requireAdminToken,
+  servicesNamed
+};
@@ -0,0 +1,127 @@
+/**
+ * BIG BROTHER COMPLIANT - Service Manifest Routes v2
+ * SINGLE RESPONSIBILITY: Import/export the declarative service manifest
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+const express = require('express');
+const logger = require('../../utils/logger');
+const { getServiceManifest, parseManifest, serializeManifest } = require('../../services/v2/serviceManifest');
+const {
+  performanceMonitoring, complianceCheck, requireServiceToken, requireAdminToken
+} = require('./integrationMiddleware');
+
+const router = express.Router();
+
+// YAML manifests arrive as text; JSON bodies are parsed by the app-level parser
+const yamlBody = express.text({
+  type: ['application/yaml', 'application/x-yaml', 'text/yaml', 'text/x-yaml', 'text/plain'],
+  limit: '1mb'
+});
+
+/**
+ * IDs of registered services a manifest would update in place
+ */
+function existingServices(req) {
+  req.manifest = parseManifest(req.body);
+  const services = req.manifest.success && req.manifest.manifest && Array.isArray(req.manifest.manifest.services)
+    ? req.manifest.manifest.services : [];
+
+  return services
+    .map(entry => entry && typeof entry === 'object' && getServiceManifest().findService(entry))
+    .filter(Boolean)
+    .map(service => service.id);
+}
+
+/**
+ * Whether a parsed manifest declares webhook routes
+ */
+function declaresRoutes(req) {
+  const manifest = req.manifest && req.manifest.success && req.manifest.manifest;
+  return Boolean(manifest && Array.isArray(manifest.routes) && manifest.routes.length > 0);
+}
+
+/**
+ * GET /api/v2/integration/manifest?format=json|yaml
+ * Export registered services and webhook routes as an importable manifest
+ */
+router.get('/',
+  performanceMonitoring,
+  complianceCheck,
+  (req, res) => {
+    try {
+      const format = req.query.format === 'yaml' ? 'yaml' : 'json';
+      const manifest = getServiceManifest().export();
+
+      res.type(format === 'yaml' ? 'application/yaml' : 'application/json')
+        .send(serializeManifest(manifest, format));
+
+    } catch (error) {
+      logger.error('Failed to export manifest', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to export manifest',
+        performance: res.locals.performance,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/v2/integration/manifest?dryRun=true
+ * Import a YAML/JSON manifest; all entries are validated first and a failed
+ * import is rolled back. Updating registered services needs a token accepted
+ * by every one of them (their own for a single service, else the admin token).
+ * Manifests that declare routes need the admin token.
+ */
+router.post('/',
+  performanceMonitoring,
+  yamlBody,
+  requireServiceToken(existingServices, { requireAll: true }),
+  requireAdminToken(declaresRoutes),
+  complianceCheck,
+  (req, res) => {
+    try {
+      const parsed = req.manifest || parseManifest(req.body);
+      const result = parsed.success
+        ? getServiceManifest().import(parsed.manifest, { dryRun: req.query.dryRun === 'true' })
+        : parsed;
+
+      if (!result.success) {
+        return res.status(result.code === 'MANIFEST_IMPORT_FAILED' ? 500 : 400).json({
+          success: false,
+          error: result.error,
+          code: result.code,
+          errors: result.errors || [],
+          performance: res.locals.performance,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      res.json({
+        success: true,
+        dryRun: result.dryRun,
+        services: result.services,
+        routes: result.routes,
+        metadata: {
+          version: 'v2',
+          bigBrotherCompliant: true,
+          performance: res.locals.performance,
+          timestamp: new Date().toISOString()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Manifest import failed', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Manifest import failed',
+        performance: res.locals.performance,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+);
+
+module.exports = router;
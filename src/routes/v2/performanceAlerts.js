@@ -0,0 +1,106 @@
+/**
+ * BIG BROTHER COMPLIANT - Performance Alert Routes v2
+ * SINGLE RESPONSIBILITY: Accept and list performance alerts from registered services
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+const express = require('express');
+const logger = require('../../utils/logger');
+const { getPerformanceAlertManager } = require('../../services/v2/performanceAlertManager');
+const { performanceMonitoring, complianceCheck, requireServiceToken } = require('./integrationMiddleware');
+
+const router = express.Router();
+
+/**
+ * The registered service an alert payload is raised for (as ingest resolves it)
+ */
+function alertService(req) {
+  const body = req.body || {};
+  const data = body.data && typeof body.data === 'object' ? body.data : body;
+  const service = getPerformanceAlertManager().findService(data.serviceId || data.serviceName || data.service || body.source);
+  return service ? [service.id] : [];
+}
+
+/**
+ * POST /api/performance/alert
+ * Ingest a performance alert (target of the WebhookHub performance_alert route);
+ * requires the token of the service it is raised for
+ */
+router.post('/alert',
+  performanceMonitoring,
+  requireServiceToken(alertService, { acceptRelay: true }),
+  complianceCheck,
+  (req, res) => {
+    try {
+      const result = getPerformanceAlertManager().ingest(req.body || {});
+
+      if (!result.success) {
+        return res.status(result.code === 'SERVICE_NOT_FOUND' ? 404 : 400).json({
+          success: false,
+          error: result.error,
+          code: result.code,
+          performance: res.locals.performance,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      res.status(result.action === 'created' ? 201 : 200).json({
+        success: true,
+        action: result.action,
+        alert: result.alert,
+        metadata: {
+          version: 'v2',
+          bigBrotherCompliant: true,
+          performance: res.locals.performance,
+          timestamp: new Date().toISOString()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Performance alert ingestion failed', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Performance alert ingestion failed',
+        performance: res.locals.performance,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/performance/alerts
+ * List alerts, newest first (query: status, serviceId, severity, limit)
+ */
+router.get('/alerts',
+  performanceMonitoring,
+  complianceCheck,
+  (req, res) => {
+    try {
+      const alertManager = getPerformanceAlertManager();
+
+      res.json({
+        success: true,
+        alerts: alertManager.list(req.query),
+        stats: alertManager.getStats(),
+        metadata: {
+          version: 'v2',
+          bigBrotherCompliant: true,
+          performance: res.locals.performance,
+          timestamp: new Date().toISOString()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to list performance alerts', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve performance alerts',
+        performance: res.locals.performance,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+);
+
+module.exports = router;
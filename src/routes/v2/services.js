@@ -0,0 +1,236 @@
+/**
+ * BIG BROTHER COMPLIANT - Service Lifecycle Routes v2
+ * SINGLE RESPONSIBILITY: Manage individual registered services
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+const express = require('express');
+const { getServiceRegistry } = require('../../services/v2/serviceRegistry');
+const {
+  performanceMonitoring,
+  complianceCheck,
+  requireServiceToken
+} = require('./integrationMiddleware');
+
+const router = express.Router();
+
+/**
+ * The service named in the path (when registered) speaks for itself
+ */
+function pathService(req) {
+  return getServiceRegistry().getService(req.params.serviceId) ? [req.params.serviceId] : [];
+}
+
+/**
+ * Send a failed registry result with a matching HTTP status
+ */
+function sendFailure(res, result) {
+  res.status(result.code === 'SERVICE_NOT_FOUND' ? 404 : 400).json({
+    success: false,
+    error: result.error,
+    code: result.code,
+    performance: res.locals.performance,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * GET /api/v2/integration/services/graph
+ * Dependency topology (nodes, edges, missing dependencies and cycles)
+ */
+router.get('/graph',
+  performanceMonitoring,
+  complianceCheck,
+  (req, res) => {
+    res.json({
+      success: true,
+      graph: getServiceRegistry().getDependencyGraph().toJSON(),
+      metadata: {
+        version: 'v2',
+        bigBrotherCompliant: true,
+        performance: res.locals.performance,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+);
+
+/**
+ * GET /api/v2/integration/services/:serviceId/impact
+ * Services affected if this service is unhealthy
+ */
+router.get('/:serviceId/impact',
+  performanceMonitoring,
+  complianceCheck,
+  (req, res) => {
+    const impact = getServiceRegistry().getImpact(req.params.serviceId);
+
+    if (!impact) {
+      return sendFailure(res, { error: 'Service not found', code: 'SERVICE_NOT_FOUND' });
+    }
+
+    res.json({
+      success: true,
+      impact,
+      metadata: {
+        version: 'v2',
+        bigBrotherCompliant: true,
+        performance: res.locals.performance,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+);
+
+/**
+ * PATCH /api/v2/integration/services/:serviceId
+ * Update service fields, status (healthy, unhealthy, error, registered) or ttlSeconds
+ */
+router.patch('/:serviceId',
+  performanceMonitoring,
+  requireServiceToken(pathService),
+  complianceCheck,
+  (req, res) => {
+    const serviceRegistry = getServiceRegistry();
+    const result = serviceRegistry.updateService(req.params.serviceId, req.body || {});
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    res.json({
+      success: true,
+      service: serviceRegistry.toPublic(result.service),
+      metadata: {
+        version: 'v2',
+        bigBrotherCompliant: true,
+        performance: res.locals.performance,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+);
+
+/**
+ * DELETE /api/v2/integration/services/:serviceId
+ * Unregister a service
+ */
+router.delete('/:serviceId',
+  performanceMonitoring,
+  requireServiceToken(pathService),
+  complianceCheck,
+  (req, res) => {
+    const serviceRegistry = getServiceRegistry();
+    const result = serviceRegistry.unregisterService(req.params.serviceId);
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    res.json({
+      success: true,
+      removedService: serviceRegistry.toPublic(result.removedService),
+      metadata: {
+        version: 'v2',
+        bigBrotherCompliant: true,
+        performance: res.locals.performance,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+);
+
+/**
+ * POST /api/v2/integration/services/:serviceId/heartbeat
+ * Renew a service's TTL lease (body: { ttlSeconds } to create or change it)
+ */
+router.post('/:serviceId/heartbeat',
+  performanceMonitoring,
+  requireServiceToken(pathService),
+  complianceCheck,
+  (req, res) => {
+    const ttlSeconds = req.body ? req.body.ttlSeconds : undefined;
+    const result = getServiceRegistry().reaper.renew(req.params.serviceId, ttlSeconds);
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    res.json({
+      success: true,
+      serviceId: result.service.id,
+      status: result.service.status,
+      lease: result.lease,
+      metadata: {
+        version: 'v2',
+        bigBrotherCompliant: true,
+        performance: res.locals.performance,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+);
+
+/**
+ * POST /api/v2/integration/services/:serviceId/token/rotate
+ * Issue a new service token (body: { graceSeconds } keeps the old one valid
+ * meanwhile). Only the admin token can re-issue a revoked service's token.
+ */
+router.post('/:serviceId/token/rotate',
+  performanceMonitoring,
+  requireServiceToken(pathService),
+  complianceCheck,
+  (req, res) => {
+    const graceSeconds = req.body && req.body.graceSeconds !== undefined ? req.body.graceSeconds : 0;
+    const result = getServiceRegistry().authenticator.rotateToken(req.params.serviceId, graceSeconds);
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    res.json({
+      success: true,
+      serviceId: req.params.serviceId,
+      token: result.token,
+      auth: result.auth,
+      message: 'Store this token now; it cannot be retrieved again',
+      metadata: {
+        version: 'v2',
+        bigBrotherCompliant: true,
+        performance: res.locals.performance,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+);
+
+/**
+ * POST /api/v2/integration/services/:serviceId/token/revoke
+ * Revoke a service's tokens until a new one is issued
+ */
+router.post('/:serviceId/token/revoke',
+  performanceMonitoring,
+  requireServiceToken(pathService),
+  complianceCheck,
+  (req, res) => {
+    const result = getServiceRegistry().authenticator.revokeToken(req.params.serviceId);
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    res.json({
+      success: true,
+      serviceId: req.params.serviceId,
+      auth: result.auth,
+      metadata: {
+        version: 'v2',
+        bigBrotherCompliant: true,
+        performance: res.locals.performance,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,80 @@
+/**
+ * BIG BROTHER COMPLIANT - SLO Routes v2
+ * SINGLE RESPONSIBILITY: Report error budgets and burn rates of service SLOs
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+const express = require('express');
+const { getServiceRegistry } = require('../../services/v2/serviceRegistry');
+const { getHealthMonitor } = require('../../services/v2/healthMonitor');
+const { performanceMonitoring, complianceCheck } = require('./integrationMiddleware');
+
+const router = express.Router();
+
+/**
+ * GET /api/v2/integration/slos
+ * SLO status of every service that defines SLOs, worst first
+ */
+router.get('/',
+  performanceMonitoring,
+  complianceCheck,
+  (req, res) => {
+    const healthMonitor = getHealthMonitor();
+    const rank = { critical: 0, warning: 1, ok: 2, no_data: 3 };
+    const services = getServiceRegistry().getAllServices()
+      .filter(service => Array.isArray(service.slos) && service.slos.length > 0)
+      .map(service => ({ serviceId: service.id, serviceName: service.name, slos: healthMonitor.records.getSlos(service) }))
+      .sort((a, b) => Math.min(...a.slos.map(slo => rank[slo.status])) - Math.min(...b.slos.map(slo => rank[slo.status])));
+
+    res.json({
+      success: true,
+      services,
+      summary: {
+        services: services.length,
+        burning: services.filter(entry => entry.slos.some(slo => ['critical', 'warning'].includes(slo.status))).length
+      },
+      metadata: {
+        version: 'v2',
+        bigBrotherCompliant: true,
+        performance: res.locals.performance,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+);
+
+/**
+ * GET /api/v2/integration/slos/:serviceId
+ * SLI, remaining error budget, burn rates and burn-rate alerts of each SLO
+ */
+router.get('/:serviceId',
+  performanceMonitoring,
+  complianceCheck,
+  (req, res) => {
+    const service = getServiceRegistry().getService(req.params.serviceId);
+
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        error: 'Service not found',
+        code: 'SERVICE_NOT_FOUND',
+        performance: res.locals.performance,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      serviceId: service.id,
+      slos: getHealthMonitor().records.getSlos(service),
+      metadata: {
+        version: 'v2',
+        bigBrotherCompliant: true,
+        performance: res.locals.performance,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+);
+
+module.exports = router;
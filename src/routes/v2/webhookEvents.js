@@ -0,0 +1,110 @@
+/**
+ * BIG BROTHER COMPLIANT - Webhook Event Routes v2
+ * SINGLE RESPONSIBILITY: Look up accepted webhook events and their delivery history
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+const express = require('express');
+const logger = require('../../utils/logger');
+const { getWebhookHub } = require('../../services/v2/webhookHub');
+const { performanceMonitoring, complianceCheck } = require('./integrationMiddleware');
+
+const router = express.Router();
+
+/**
+ * Build an event filter from query parameters
+ */
+function buildFilter(params = {}) {
+  const filter = {};
+  for (const key of ['source', 'eventType', 'status', 'routeId', 'target', 'since', 'until', 'limit', 'offset']) {
+    if (params[key] !== undefined) {
+      filter[key] = params[key];
+    }
+  }
+  return filter;
+}
+
+/**
+ * GET /api/v2/integration/events
+ * List events, newest first
+ * Query: source, eventType, status, routeId, target, since, until, limit, offset
+ */
+router.get('/',
+  performanceMonitoring,
+  complianceCheck,
+  (req, res) => {
+    const filter = buildFilter(req.query);
+
+    for (const key of ['since', 'until']) {
+      if (filter[key] !== undefined && isNaN(new Date(filter[key]).getTime())) {
+        return res.status(400).json({
+          success: false,
+          error: `${key} must be an ISO 8601 timestamp`,
+          code: 'INVALID_FILTER',
+          performance: res.locals.performance,
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+
+    try {
+      const { events, total } = getWebhookHub().listEvents(filter);
+
+      res.json({
+        success: true,
+        events,
+        total,
+        metadata: {
+          version: 'v2',
+          bigBrotherCompliant: true,
+          performance: res.locals.performance,
+          timestamp: new Date().toISOString()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to list webhook events', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve webhook events',
+        performance: res.locals.performance,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/v2/integration/events/:eventId
+ * Payload, matched routes, delivery attempts and final state of an event
+ */
+router.get('/:eventId',
+  performanceMonitoring,
+  complianceCheck,
+  (req, res) => {
+    const event = getWebhookHub().getEvent(req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        error: 'Event not found',
+        code: 'EVENT_NOT_FOUND',
+        performance: res.locals.performance,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      event,
+      metadata: {
+        version: 'v2',
+        bigBrotherCompliant: true,
+        performance: res.locals.performance,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,197 @@
+/**
+ * BIG BROTHER COMPLIANT - Webhook Route Management v2
+ * SINGLE RESPONSIBILITY: CRUD API for WebhookHub routes
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+const express = require('express');
+const logger = require('../../utils/logger');
+const { getWebhookHub } = require('../../services/v2/webhookHub');
+const { performanceMonitoring, complianceCheck, requireAdminToken } = require('./integrationMiddleware');
+
+const router = express.Router();
+
+/**
+ * Route with its delivery statistics
+ */
+function withStats(webhookHub, route) {
+  return { ...route, stats: webhookHub.getRouteStats(route.id) };
+}
+
+/**
+ * Send a failed hub result with a matching HTTP status
+ */
+function sendFailure(res, result) {
+  res.status(result.code === 'ROUTE_NOT_FOUND' ? 404 : 400).json({
+    success: false,
+    error: result.error,
+    code: result.code,
+    performance: res.locals.performance,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Send a single route response
+ */
+function sendRoute(res, webhookHub, routeId, status = 200) {
+  res.status(status).json({
+    success: true,
+    route: withStats(webhookHub, webhookHub.routes.get(routeId)),
+    metadata: {
+      version: 'v2',
+      bigBrotherCompliant: true,
+      performance: res.locals.performance,
+      timestamp: new Date().toISOString()
+    }
+  });
+}
+
+/**
+ * GET /api/v2/integration/routes
+ * List routes with per-route delivery statistics
+ */
+router.get('/',
+  performanceMonitoring,
+  complianceCheck,
+  (req, res) => {
+    try {
+      const webhookHub = getWebhookHub();
+      let routes = webhookHub.routes.getAll();
+
+      if (req.query.active !== undefined) {
+        routes = routes.filter(route => route.active === (req.query.active === 'true'));
+      }
+
+      res.json({
+        success: true,
+        routes: routes.map(route => withStats(webhookHub, route)),
+        metadata: {
+          version: 'v2',
+          bigBrotherCompliant: true,
+          performance: res.locals.performance,
+          timestamp: new Date().toISOString()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to list webhook routes', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve webhook routes',
+        performance: res.locals.performance,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/v2/integration/routes
+ * Create a route (admin token)
+ */
+router.post('/',
+  performanceMonitoring,
+  requireAdminToken(),
+  complianceCheck,
+  (req, res) => {
+    const webhookHub = getWebhookHub();
+    const result = webhookHub.routes.add(req.body || {});
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    logger.info('Webhook route created via API', { routeId: result.routeId });
+    sendRoute(res, webhookHub, result.routeId, 201);
+  }
+);
+
+/**
+ * GET /api/v2/integration/routes/:routeId
+ * Get a route and its delivery statistics
+ */
+router.get('/:routeId',
+  performanceMonitoring,
+  complianceCheck,
+  (req, res) => {
+    const webhookHub = getWebhookHub();
+
+    if (!webhookHub.routes.get(req.params.routeId)) {
+      return sendFailure(res, { error: 'Route not found', code: 'ROUTE_NOT_FOUND' });
+    }
+
+    sendRoute(res, webhookHub, req.params.routeId);
+  }
+);
+
+/**
+ * PATCH /api/v2/integration/routes/:routeId
+ * Update route fields (validated with validateRouteConfig) (admin token)
+ */
+router.patch('/:routeId',
+  performanceMonitoring,
+  requireAdminToken(),
+  complianceCheck,
+  (req, res) => {
+    const webhookHub = getWebhookHub();
+    const result = webhookHub.routes.update(req.params.routeId, req.body || {});
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    sendRoute(res, webhookHub, req.params.routeId);
+  }
+);
+
+/**
+ * POST /api/v2/integration/routes/:routeId/enable
+ * POST /api/v2/integration/routes/:routeId/disable
+ * Toggle whether a route matches new webhooks (admin token)
+ */
+router.post('/:routeId/:action(enable|disable)',
+  performanceMonitoring,
+  requireAdminToken(),
+  complianceCheck,
+  (req, res) => {
+    const webhookHub = getWebhookHub();
+    const result = webhookHub.routes.setActive(req.params.routeId, req.params.action === 'enable');
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    sendRoute(res, webhookHub, req.params.routeId);
+  }
+);
+
+/**
+ * DELETE /api/v2/integration/routes/:routeId
+ * Remove a route (admin token)
+ */
+router.delete('/:routeId',
+  performanceMonitoring,
+  requireAdminToken(),
+  complianceCheck,
+  (req, res) => {
+    const result = getWebhookHub().routes.remove(req.params.routeId);
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    res.json({
+      success: true,
+      removedRoute: result.removedRoute,
+      metadata: {
+        version: 'v2',
+        bigBrotherCompliant: true,
+        performance: res.locals.performance,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+);
+
+module.exports = router;
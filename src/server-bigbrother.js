@@ -9,6 +9,10 @@ const cors = require('cors');
 const helmet = require('helmet');
 const logger = require('./utils/logger');
 const { getFeatureFlagManager } = require('./config/featureFlags');
+const { getRenderWebhookProcessor } = require('./services/v2/renderWebhookProcessor');
+const { WebhookSignatureVerifier } = require('./services/v2/webhookSignatureVerifier');
+const { verifyWebhookSignature } = require('./routes/v2/integrationMiddleware');
+const performanceAlertRoutes = require('./routes/v2/performanceAlerts');
 
 // Initialize Big Brother feature flags
 const flagManager = getFeatureFlagManager();
@@ -35,7 +39,12 @@ app.use(cors({
   credentials: true
 }));
 
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf; // Exact bytes for webhook signature verification
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Performance monitoring middleware
@@ -77,6 +86,28 @@ if (flagManager.isV2Enabled()) {
   app.use('/api/v2/integration', integrationRoutes);
   
   logger.info('Big Brother v2 routes loaded (error-fixing + integration)');
+
+  // Declarative services and routes to apply on boot
+  if (process.env.SERVICE_MANIFEST_PATH) {
+    const { getServiceManifest } = require('./services/v2/serviceManifest');
+    const result = getServiceManifest().importFile(process.env.SERVICE_MANIFEST_PATH);
+    if (result.success) {
+      logger.info('Service manifest applied', { services: result.services.length, routes: result.routes.length });
+    } else {
+      logger.error('Service manifest rejected', { error: result.error, errors: result.errors });
+    }
+  }
+
+  // Alert channels and rules to load on boot
+  if (process.env.ALERT_CONFIG_PATH) {
+    const { getAlertNotifier } = require('./services/v2/alertNotifier');
+    const result = getAlertNotifier().loadFile(process.env.ALERT_CONFIG_PATH);
+    if (result.success) {
+      logger.info('Alert config loaded', { channels: result.channels, rules: result.rules });
+    } else {
+      logger.error('Alert config rejected', { error: result.error });
+    }
+  }
 } else {
   logger.info('V2 routes disabled via feature flags');
 }
@@ -109,30 +140,47 @@ app.get('/api/feature-flags', (req, res) => {
 });
 
 // Webhook endpoint for Render deployments
-app.post('/webhook/render', (req, res) => {
+app.post('/webhook/render', verifyWebhookSignature(() => 'render'), (req, res) => {
   const startTime = Date.now();
   
   try {
+    const processor = getRenderWebhookProcessor();
+    const { eventId, deploy, duplicate, status } = processor.receiveEvent(req.body, req.headers);
+    
+    if (duplicate) {
+      logger.info('Duplicate Render webhook ignored', { eventId, status });
+      
+      return res.json({
+        success: true,
+        eventId,
+        status,
+        duplicate: true,
+        message: 'Duplicate webhook delivery ignored',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
     logger.info('Render webhook received', {
-      headers: req.headers,
-      body: req.body
+      eventId,
+      headers: WebhookSignatureVerifier.redactHeaders(req.headers),
+      signatureVerified: req.webhookVerification.verified,
+      eventType: deploy.eventType,
+      service: deploy.serviceName,
+      failed: deploy.failed
     });
     
     // Process webhook in background to maintain <100ms response
     setImmediate(async () => {
       try {
         if (flagManager.isV2Enabled()) {
-          const { getErrorFixerFactory } = require('./services/v2/errorFixerFactory');
-          const factory = getErrorFixerFactory();
-          
-          // Process webhook with v2 architecture
-          logger.info('Processing webhook with Big Brother v2 architecture');
-          // TODO: Implement webhook processing
+          logger.info('Processing webhook with Big Brother v2 architecture', { eventId });
+          await processor.processEvent(eventId);
         } else {
-          logger.info('Processing webhook with legacy v1 system');
+          logger.info('Processing webhook with legacy v1 system', { eventId });
+          processor.skipEvent(eventId, 'V2 disabled via feature flags');
         }
       } catch (error) {
-        logger.error('Webhook processing failed', { error: error.message });
+        logger.error('Webhook processing failed', { eventId, error: error.message });
       }
     });
     
@@ -140,6 +188,9 @@ app.post('/webhook/render', (req, res) => {
     
     res.json({
       success: true,
+      eventId,
+      status,
+      duplicate: false,
       message: 'Webhook received and queued for processing',
       version: flagManager.isV2Enabled() ? 'v2' : 'v1',
       performance: {
@@ -160,6 +211,31 @@ app.post('/webhook/render', (req, res) => {
   }
 });
 
+// Render webhook outcome lookup
+app.get('/webhook/render/:eventId', (req, res) => {
+  const executionTime = Date.now() - req.startTime;
+  const event = getRenderWebhookProcessor().getEvent(req.params.eventId);
+  
+  if (!event) {
+    return res.status(404).json({
+      success: false,
+      error: 'Webhook event not found',
+      code: 'EVENT_NOT_FOUND',
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  res.json({
+    success: true,
+    event,
+    performance: {
+      executionTime,
+      compliant: executionTime < 100
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
 // Performance monitoring endpoint
 app.get('/api/performance', (req, res) => {
   const executionTime = Date.now() - req.startTime;
@@ -189,6 +265,9 @@ app.get('/api/performance', (req, res) => {
   });
 });
 
+// Performance alert ingestion (target of the WebhookHub performance_alert route)
+app.use('/api/performance', performanceAlertRoutes);
+
 // Error handling middleware
 app.use((error, req, res, next) => {
   const executionTime = Date.now() - req.startTime;
@@ -223,7 +302,10 @@ app.use((req, res) => {
       'GET /health',
       'GET /api/feature-flags',
       'GET /api/performance',
+      'POST /api/performance/alert',
+      'GET /api/performance/alerts',
       'POST /webhook/render',
+      'GET /webhook/render/:eventId',
       'POST /api/v2/error-fixing/fix',
       'GET /api/v2/error-fixing/health'
     ],
@@ -0,0 +1,134 @@
+/**
+ * BIG BROTHER COMPLIANT - Alert Channels v2
+ * SINGLE RESPONSIBILITY: Validate and deliver alert notifications to channels
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+
+/**
+ * Channel definitions (configured server-side, never over the API):
+ *   { name, type: 'webhook', url, headers }   POST the notification as JSON
+ *   { name, type: 'slack', url }              Slack-compatible incoming webhook
+ *   { name, type: 'smtp', host, port, secure, user, pass, from, to: [...] }
+ *   { name, type: 'file', path }              append one JSON line per notification
+ */
+const CHANNEL_TYPES = ['webhook', 'slack', 'smtp', 'file'];
+const SEND_TIMEOUT_MS = 5000;
+const SECRET_FIELDS = ['url', 'headers', 'pass'];
+
+/**
+ * Validate a channel definition
+ */
+function validateChannel(channel) {
+  const errors = [];
+
+  if (!channel || typeof channel !== 'object' || !CHANNEL_TYPES.includes(channel.type)) {
+    return { isValid: false, errors: [`Channel type must be one of: ${CHANNEL_TYPES.join(', ')}`] };
+  }
+
+  if (!channel.name || typeof channel.name !== 'string' || !/^[\w.-]+$/.test(channel.name)) {
+    errors.push('Channel name must contain only letters, digits, ".", "_" and "-"');
+  }
+
+  if (['webhook', 'slack'].includes(channel.type) && !/^https?:\/\//.test(channel.url || '')) {
+    errors.push(`${channel.type} channel needs an http(s) url`);
+  }
+
+  if (channel.headers !== undefined && (!channel.headers || typeof channel.headers !== 'object' ||
+      Object.values(channel.headers).some(value => typeof value !== 'string'))) {
+    errors.push('Channel headers must map header names to strings');
+  }
+
+  if (channel.type === 'smtp') {
+    if (!channel.host || typeof channel.host !== 'string') {
+      errors.push('smtp channel needs a host');
+    }
+    if (!channel.from || typeof channel.from !== 'string') {
+      errors.push('smtp channel needs a from address');
+    }
+    if (!Array.isArray(channel.to) || channel.to.length === 0 || channel.to.some(to => typeof to !== 'string')) {
+      errors.push('smtp channel needs a list of recipients (to)');
+    }
+  }
+
+  if (channel.type === 'file' && (!channel.path || typeof channel.path !== 'string')) {
+    errors.push('file channel needs a path');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * One-line human summary of a notification
+ */
+function formatSummary(notification) {
+  const state = notification.status === 'resolved' ? 'RESOLVED' : notification.severity.toUpperCase();
+  return `[${state}] ${notification.ruleName}: ${notification.serviceName} - ${notification.summary}`;
+}
+
+/**
+ * Deliver a notification through a channel
+ */
+async function sendNotification(channel, notification) {
+  switch (channel.type) {
+    case 'slack':
+      await axios.post(channel.url, { text: formatSummary(notification) }, { timeout: SEND_TIMEOUT_MS });
+      return;
+
+    case 'smtp': {
+      const transport = nodemailer.createTransport({
+        host: channel.host,
+        port: channel.port || 587,
+        secure: Boolean(channel.secure),
+        auth: channel.user ? { user: channel.user, pass: channel.pass } : undefined,
+        connectionTimeout: SEND_TIMEOUT_MS
+      });
+      await transport.sendMail({
+        from: channel.from,
+        to: channel.to.join(', '),
+        subject: formatSummary(notification),
+        text: JSON.stringify(notification, null, 2)
+      });
+      return;
+    }
+
+    case 'file':
+      await fs.promises.mkdir(path.dirname(path.resolve(channel.path)), { recursive: true });
+      await fs.promises.appendFile(channel.path, `${JSON.stringify(notification)}\n`);
+      return;
+
+    default:
+      await axios.post(channel.url, notification, {
+        timeout: SEND_TIMEOUT_MS,
+        headers: { 'Content-Type': 'application/json', ...channel.headers }
+      });
+  }
+}
+
+/**
+ * Channel safe to return from the API (urls, headers and passwords hidden)
+ */
+function describeChannel(channel) {
+  const described = { ...channel };
+  for (const field of SECRET_FIELDS) {
+    if (described[field] !== undefined) {
+      described[field] = '[redacted]';
+    }
+  }
+  return described;
+}
+
+module.exports = {
+  CHANNEL_TYPES,
+  validateChannel,
+  sendNotification,
+  describeChannel,
+  formatSummary
+};
@@ -0,0 +1,246 @@
+/**
+ * BIG BROTHER COMPLIANT - Alert Notifier v2
+ * SINGLE RESPONSIBILITY: Fire, deduplicate and resolve rule-based health alerts
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+const logger = require('../../utils/logger');
+const { matchesSelector, getServiceLabels } = require('./labelSelector');
+const {
+  validateRule, normalizeRule, evaluateCondition, buildNotification, readAlertConfig
+} = require('./alertRules');
+const { validateChannel, sendNotification, describeChannel } = require('./alertChannels');
+
+/**
+ * Each (rule, service) pair fires once when its condition is breached, is
+ * re-sent only every repeatMinutes while it stays breached, and sends one
+ * resolve notification when the condition clears. Conditions keep being
+ * tracked while a service is flapping, but its alerts neither fire nor
+ * resolve until it settles.
+ */
+class AlertNotifier {
+  constructor(options = {}) {
+    this.rules = new Map();
+    this.channels = new Map();
+    this.states = new Map(); // ruleId:serviceId -> condition and firing state
+    this.notifications = [];
+    this.maxNotifications = options.maxNotifications || 200;
+    this.send = options.send || sendNotification;
+    this.inFlight = new Set();
+    this.stats = { sent: 0, failed: 0, suppressed: 0 };
+  }
+
+  /**
+   * Load channels and rules from a JSON or YAML file ({ channels, rules })
+   */
+  loadFile(filePath) {
+    const read = readAlertConfig(filePath);
+    if (!read.success) return read;
+
+    const { config } = read;
+    const errors = [];
+    for (const channel of config.channels || []) {
+      const result = this.addChannel(channel);
+      if (!result.success) errors.push(result.error);
+    }
+    for (const rule of config.rules || []) {
+      const result = this.addRule(rule);
+      if (!result.success) errors.push(result.error);
+    }
+
+    return errors.length === 0
+      ? { success: true, channels: this.channels.size, rules: this.rules.size }
+      : { success: false, error: errors.join('; '), code: 'INVALID_ALERT_CONFIG' };
+  }
+
+  /**
+   * Add or replace a notification channel
+   */
+  addChannel(channel) {
+    const validation = validateChannel(channel);
+    if (!validation.isValid) {
+      return { success: false, error: `Invalid channel: ${validation.errors.join(', ')}`, code: 'INVALID_CHANNEL' };
+    }
+
+    this.channels.set(channel.name, { ...channel });
+    return { success: true, channel: describeChannel(channel) };
+  }
+
+  /**
+   * Add an alert rule (IDs derive from unique rule names)
+   */
+  addRule(rule) {
+    const validation = validateRule(rule);
+    const unknown = ((rule && rule.channels) || []).filter(name => !this.channels.has(name));
+
+    if (!validation.isValid || unknown.length > 0) {
+      const errors = validation.errors.concat(unknown.map(name => `Unknown channel: ${name}`));
+      return { success: false, error: `Invalid alert rule: ${errors.join(', ')}`, code: 'INVALID_ALERT_RULE' };
+    }
+
+    const id = `rule-${rule.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}`;
+    if (this.rules.has(id)) {
+      return { success: false, error: `Alert rule ${rule.name} already exists`, code: 'DUPLICATE_ALERT_RULE' };
+    }
+
+    const stored = { ...normalizeRule(rule), id, createdAt: new Date().toISOString() };
+    this.rules.set(id, stored);
+    logger.info('Alert rule added', { ruleId: id, type: stored.type });
+    return { success: true, rule: stored };
+  }
+
+  /**
+   * Remove a rule and forget its alert states
+   */
+  removeRule(ruleId) {
+    if (!this.rules.delete(ruleId)) {
+      return { success: false, error: 'Alert rule not found', code: 'RULE_NOT_FOUND' };
+    }
+
+    for (const key of this.states.keys()) {
+      if (key.startsWith(`${ruleId}:`)) this.states.delete(key);
+    }
+    return { success: true };
+  }
+
+  /**
+   * Evaluate every rule watching a service against a new health result;
+   * returns the notifications it triggered (delivered in the background)
+   */
+  evaluate(service, result, now = Date.now()) {
+    const at = result.timestamp ? new Date(result.timestamp).getTime() : now;
+    const triggered = [];
+
+    for (const rule of this.rules.values()) {
+      if (rule.selector && !matchesSelector(rule.selector, getServiceLabels(service))) continue;
+
+      const key = `${rule.id}:${service.id}`;
+      const state = this.states.get(key) || { firing: false };
+      this.states.set(key, state);
+      const condition = evaluateCondition(rule, state, result, at);
+
+      if (service.status === 'flapping') {
+        if (condition.breaching !== state.firing) this.stats.suppressed++;
+        continue;
+      }
+
+      if (condition.breaching && !state.firing) {
+        Object.assign(state, { firing: true, startsAt: at, lastNotifiedAt: at });
+        triggered.push(this.notify(rule, service, state, 'firing', condition, at));
+      } else if (condition.breaching && rule.repeatMinutes > 0 && at - state.lastNotifiedAt >= rule.repeatMinutes * 60000) {
+        state.lastNotifiedAt = at;
+        triggered.push(this.notify(rule, service, state, 'firing', condition, at));
+      } else if (!condition.breaching && state.firing) {
+        state.firing = false;
+        triggered.push(this.notify(rule, service, state, 'resolved', condition, at));
+      }
+    }
+
+    return triggered;
+  }
+
+  /**
+   * Build a notification and send it to the rule's channels
+   */
+  notify(rule, service, state, status, condition, at) {
+    const notification = buildNotification(rule, service, state, status, condition, at);
+
+    this.notifications.push(notification);
+    if (this.notifications.length > this.maxNotifications) this.notifications.shift();
+
+    logger[status === 'resolved' ? 'info' : 'warn']('Alert notification', {
+      rule: rule.name, service: service.name, status, severity: rule.severity
+    });
+
+    const channels = rule.channels ? rule.channels.map(name => this.channels.get(name)).filter(Boolean)
+      : Array.from(this.channels.values());
+    const delivery = Promise.all(channels.map(channel => this.deliver(channel, notification)));
+    this.inFlight.add(delivery);
+    delivery.then(() => this.inFlight.delete(delivery));
+    return notification;
+  }
+
+  /**
+   * Send to one channel, recording the outcome on the notification
+   */
+  async deliver(channel, notification) {
+    const { deliveries, ...payload } = notification;
+    try {
+      await this.send(channel, payload);
+      this.stats.sent++;
+      deliveries.push({ channel: channel.name, success: true });
+    } catch (error) {
+      this.stats.failed++;
+      deliveries.push({ channel: channel.name, success: false, error: error.message });
+      logger.error('Alert notification failed', { channel: channel.name, type: channel.type, error: error.message });
+    }
+  }
+
+  /**
+   * Send a test notification through one channel
+   */
+  async testChannel(name) {
+    const channel = this.channels.get(name);
+    if (!channel) {
+      return { success: false, error: 'Channel not found', code: 'CHANNEL_NOT_FOUND' };
+    }
+
+    const notification = this.notify({ id: 'test', name: 'Test notification', severity: 'info', channels: [name] },
+      { id: 'autohealer', name: 'autohealer-bigbrother' }, { startsAt: Date.now() }, 'firing',
+      { summary: 'Alert channel test', value: null }, Date.now());
+    await this.flush();
+    const [delivery] = notification.deliveries;
+    return delivery.success ? { success: true } : { success: false, error: delivery.error, code: 'CHANNEL_DELIVERY_FAILED' };
+  }
+
+  /**
+   * Wait for in-flight deliveries
+   */
+  flush() {
+    return Promise.all(Array.from(this.inFlight));
+  }
+
+  /**
+   * Currently firing (rule, service) pairs
+   */
+  listActive() {
+    return Array.from(this.states.entries())
+      .filter(([, state]) => state.firing)
+      .map(([key, state]) => {
+        const [ruleId, ...serviceId] = key.split(':');
+        return { ruleId, serviceId: serviceId.join(':'), startsAt: new Date(state.startsAt).toISOString() };
+      });
+  }
+
+  /**
+   * Recent notifications, newest first
+   */
+  listNotifications(limit = 50) {
+    return this.notifications.slice(-limit).reverse();
+  }
+
+  /**
+   * Notifier statistics
+   */
+  getStats() {
+    return { rules: this.rules.size, channels: this.channels.size, active: this.listActive().length, ...this.stats };
+  }
+}
+
+// Singleton instance
+let alertNotifierInstance = null;
+
+/**
+ * Get singleton alert notifier
+ */
+function getAlertNotifier() {
+  if (!alertNotifierInstance) {
+    alertNotifierInstance = new AlertNotifier();
+  }
+  return alertNotifierInstance;
+}
+
+module.exports = {
+  AlertNotifier,
+  getAlertNotifier
+};
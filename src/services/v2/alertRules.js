@@ -0,0 +1,163 @@
+/**
+ * BIG BROTHER COMPLIANT - Alert Rules v2
+ * SINGLE RESPONSIBILITY: Validate alert rules, evaluate their conditions and build their notifications
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+const fs = require('fs');
+const yaml = require('js-yaml');
+const { validateSelector } = require('./labelSelector');
+
+/**
+ * Rule definitions:
+ *   { name, type: 'consecutive_failures', count: 3 }
+ *   { name, type: 'latency', thresholdMs: 500, forMinutes: 5 }
+ * Optional: selector (label selector of services the rule watches; all by
+ * default), severity (info, warning, critical), channels (channel names; all
+ * by default), repeatMinutes (re-notify while firing; 0 disables).
+ */
+const RULE_TYPES = ['consecutive_failures', 'latency'];
+const SEVERITIES = ['info', 'warning', 'critical'];
+const FAILING_STATUSES = ['unhealthy', 'error'];
+const DEFAULT_REPEAT_MINUTES = 240;
+
+/**
+ * Validate a rule definition
+ */
+function validateRule(rule) {
+  const errors = [];
+
+  if (!rule || typeof rule !== 'object' || !RULE_TYPES.includes(rule.type)) {
+    return { isValid: false, errors: [`Rule type must be one of: ${RULE_TYPES.join(', ')}`] };
+  }
+
+  if (!rule.name || typeof rule.name !== 'string') {
+    errors.push('Rule name is required');
+  }
+
+  if (rule.type === 'consecutive_failures' && (!Number.isInteger(rule.count) || rule.count < 1 || rule.count > 100)) {
+    errors.push('count must be an integer between 1 and 100');
+  }
+
+  if (rule.type === 'latency') {
+    if (!Number.isInteger(rule.thresholdMs) || rule.thresholdMs < 1) {
+      errors.push('thresholdMs must be a positive integer');
+    }
+    if (rule.forMinutes !== undefined && (typeof rule.forMinutes !== 'number' || rule.forMinutes < 0 || rule.forMinutes > 1440)) {
+      errors.push('forMinutes must be a number between 0 and 1440');
+    }
+  }
+
+  if (rule.selector !== undefined) {
+    const selector = validateSelector(rule.selector);
+    if (!selector.isValid) {
+      errors.push(`Invalid label selector: ${selector.errors.join(', ')}`);
+    }
+  }
+
+  if (rule.severity !== undefined && !SEVERITIES.includes(rule.severity)) {
+    errors.push(`severity must be one of: ${SEVERITIES.join(', ')}`);
+  }
+
+  if (rule.channels !== undefined && (!Array.isArray(rule.channels) ||
+      rule.channels.some(channel => typeof channel !== 'string' || !channel))) {
+    errors.push('channels must be an array of channel names');
+  }
+
+  if (rule.repeatMinutes !== undefined && (typeof rule.repeatMinutes !== 'number' || rule.repeatMinutes < 0)) {
+    errors.push('repeatMinutes must be a non-negative number');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Fill in rule defaults
+ */
+function normalizeRule(rule) {
+  return {
+    ...rule,
+    severity: rule.severity || 'warning',
+    repeatMinutes: rule.repeatMinutes !== undefined ? rule.repeatMinutes : DEFAULT_REPEAT_MINUTES,
+    ...(rule.type === 'latency' && { forMinutes: rule.forMinutes || 0 })
+  };
+}
+
+/**
+ * Advance a rule's per-service state with one health result and report
+ * whether the condition is breached. Latency rules ignore results without a
+ * responseTime.
+ */
+function evaluateCondition(rule, state, result, at) {
+  if (rule.type === 'consecutive_failures') {
+    state.failures = FAILING_STATUSES.includes(result.status) ? (state.failures || 0) + 1 : 0;
+    return {
+      breaching: state.failures >= rule.count,
+      value: state.failures,
+      summary: state.failures > 0
+        ? `${state.failures} consecutive failed checks (status ${result.status}${result.error ? `: ${result.error}` : ''})`
+        : `check passed (status ${result.status})`
+    };
+  }
+
+  if (typeof result.responseTime !== 'number') {
+    return { breaching: Boolean(state.breaching), value: null, summary: state.summary };
+  }
+
+  if (result.responseTime > rule.thresholdMs) {
+    state.breachingSince = state.breachingSince || at;
+  } else {
+    state.breachingSince = null;
+  }
+
+  state.breaching = state.breachingSince !== null && at - state.breachingSince >= rule.forMinutes * 60000;
+  state.summary = state.breachingSince !== null
+    ? `response time ${result.responseTime}ms above ${rule.thresholdMs}ms for ${Math.round((at - state.breachingSince) / 60000)} min`
+    : `response time ${result.responseTime}ms back under ${rule.thresholdMs}ms`;
+
+  return { breaching: state.breaching, value: result.responseTime, summary: state.summary };
+}
+
+/**
+ * Notification for a rule firing or resolving on a service
+ */
+function buildNotification(rule, service, state, status, condition, at) {
+  return {
+    id: `ntf-${at}-${Math.random().toString(36).substr(2, 8)}`,
+    ruleId: rule.id,
+    ruleName: rule.name,
+    serviceId: service.id,
+    serviceName: service.name,
+    severity: rule.severity,
+    status,
+    summary: condition.summary,
+    value: condition.value,
+    startsAt: new Date(state.startsAt).toISOString(),
+    endsAt: status === 'resolved' ? new Date(at).toISOString() : null,
+    timestamp: new Date(at).toISOString(),
+    deliveries: []
+  };
+}
+
+/**
+ * Read a JSON or YAML alert config file ({ channels, rules })
+ */
+function readAlertConfig(filePath) {
+  try {
+    return { success: true, config: yaml.load(fs.readFileSync(filePath, 'utf8'), { schema: yaml.CORE_SCHEMA }) || {} };
+  } catch (error) {
+    return { success: false, error: `Alert config could not be read: ${error.message}`, code: 'INVALID_ALERT_CONFIG' };
+  }
+}
+
+module.exports = {
+  RULE_TYPES,
+  validateRule,
+  normalizeRule,
+  evaluateCondition,
+  buildNotification,
+  readAlertConfig
+};
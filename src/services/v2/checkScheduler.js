@@ -0,0 +1,213 @@
+/**
+ * BIG BROTHER COMPLIANT - Check Scheduler v2
+ * SINGLE RESPONSIBILITY: Schedule per-service health checks with jitter and a concurrency cap
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+const logger = require('../../utils/logger');
+
+const TICK_MS = 1000;
+const INITIAL_SPREAD_MS = 5000; // First checks after start are spread over this window
+
+/**
+ * Check interval for services that do not set checkIntervalSeconds
+ */
+function getDefaultCheckIntervalSeconds(env = process.env) {
+  return parseInt(env.HEALTH_CHECK_INTERVAL_SECONDS, 10) || 30;
+}
+
+/**
+ * Run fn over items with at most `limit` in flight; resolves to results in order
+ */
+async function runWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Limiter shared by callers: limit(fn) runs fn once fewer than `limit`
+ * limited calls are in flight
+ */
+function createLimiter(limit) {
+  const waiting = [];
+  let active = 0;
+
+  const release = () => {
+    active--;
+    if (waiting.length > 0) waiting.shift()();
+  };
+
+  return fn => new Promise(resolve => {
+    const start = () => {
+      active++;
+      resolve(Promise.resolve().then(fn).finally(release));
+    };
+    if (active < limit) start();
+    else waiting.push(start);
+  });
+}
+
+/**
+ * Every service keeps its own next-check time: interval (service override or
+ * default) randomly stretched or shortened by up to `jitter`, counted from the
+ * end of its previous check. A tick queues due services; at most
+ * maxConcurrent checks run at once and a service is never queued twice.
+ * runNow() starts a check immediately, or joins the one already running.
+ */
+class CheckScheduler {
+  constructor(options = {}) {
+    this.getServices = options.getServices;
+    this.runCheck = options.runCheck;
+    this.getInterval = options.getInterval;
+    this.maxConcurrent = options.maxConcurrent || 5;
+    this.jitter = options.jitter !== undefined ? options.jitter : 0.1;
+    this.random = options.random || Math.random;
+    this.clock = options.clock || Date.now;
+    this.nextRun = new Map(); // serviceId -> timestamp of its next check
+    this.queue = [];
+    this.running = new Map(); // serviceId -> promise of the check in flight
+    this.timer = null;
+    this.stats = { started: 0, completed: 0, failed: 0 };
+  }
+
+  /**
+   * Start ticking
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.tick();
+    this.timer = setInterval(() => this.tick(), TICK_MS);
+  }
+
+  /**
+   * Stop ticking (checks already running finish on their own)
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.queue = [];
+  }
+
+  /**
+   * Sync schedules with the registry, queue due services and start checks
+   */
+  tick(now = this.clock()) {
+    const services = this.getServices();
+    const known = new Set(services.map(service => service.id));
+
+    for (const serviceId of this.nextRun.keys()) {
+      if (!known.has(serviceId)) this.nextRun.delete(serviceId);
+    }
+
+    for (const service of services) {
+      if (!this.nextRun.has(service.id)) {
+        this.nextRun.set(service.id, now + Math.floor(this.random() * Math.min(INITIAL_SPREAD_MS, this.getInterval(service))));
+      }
+
+      if (this.nextRun.get(service.id) <= now && !this.running.has(service.id) && !this.queue.includes(service.id)) {
+        this.queue.push(service.id);
+      }
+    }
+
+    this.drain(now);
+  }
+
+  /**
+   * Start queued checks up to the concurrency cap
+   */
+  drain(now = this.clock()) {
+    while (this.running.size < this.maxConcurrent && this.queue.length > 0) {
+      const serviceId = this.queue.shift();
+      const service = this.getServices().find(s => s.id === serviceId);
+      if (service) this.launch(service);
+    }
+
+    if (this.queue.length > 0) {
+      logger.debug('Health checks waiting for a free slot', { queued: this.queue.length, at: now });
+    }
+  }
+
+  /**
+   * Check a service now (e.g. a manual run); a check already in flight for
+   * it is joined rather than duplicated. Resolves to the check's result.
+   */
+  runNow(service) {
+    if (this.running.has(service.id)) {
+      return this.running.get(service.id);
+    }
+
+    this.queue = this.queue.filter(id => id !== service.id);
+    return this.launch(service);
+  }
+
+  /**
+   * Run a service check and schedule its next one when it ends
+   */
+  launch(service) {
+    this.stats.started++;
+
+    const check = Promise.resolve()
+      .then(() => this.runCheck(service))
+      .catch(error => {
+        this.stats.failed++;
+        logger.error('Scheduled health check failed', { service: service.name, error: error.message });
+        return null;
+      })
+      .then(result => {
+        this.running.delete(service.id);
+        this.stats.completed++;
+        if (this.nextRun.has(service.id)) {
+          this.nextRun.set(service.id, this.scheduleAfter(service, this.clock()));
+        }
+        this.drain();
+        return result;
+      });
+
+    this.running.set(service.id, check);
+    return check;
+  }
+
+  /**
+   * Next check time after a check ending at `now`
+   */
+  scheduleAfter(service, now) {
+    const interval = this.getInterval(service);
+    const offset = (this.random() * 2 - 1) * this.jitter * interval;
+    return now + Math.round(interval + offset);
+  }
+
+  /**
+   * Scheduler statistics
+   */
+  getStats() {
+    return {
+      scheduled: this.nextRun.size,
+      running: this.running.size,
+      queued: this.queue.length,
+      maxConcurrent: this.maxConcurrent,
+      jitter: this.jitter,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = {
+  CheckScheduler,
+  runWithConcurrency,
+  createLimiter,
+  getDefaultCheckIntervalSeconds
+};
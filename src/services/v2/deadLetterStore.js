@@ -0,0 +1,243 @@
+/**
+ * BIG BROTHER COMPLIANT - Dead Letter Store v2
+ * SINGLE RESPONSIBILITY: Keep webhook deliveries that exhausted their retries
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../utils/logger');
+
+/**
+ * With a filePath, entries are kept in an append-only journal next to the
+ * webhook queue journal ({"op":"add","entry":{...}} / {"op":"remove","id":"..."})
+ * so dead letters survive restarts. A full store rejects new entries rather
+ * than dropping old ones; the hub keeps such events queued.
+ */
+class DeadLetterStore {
+  constructor(options = {}) {
+    this.entries = new Map();
+    this.maxEntries = options.maxEntries || 500; // Big Brother memory limit
+    this.filePath = options.filePath || null;
+    this.durable = Boolean(this.filePath);
+    this.compactThreshold = options.compactThreshold || 1000;
+    this.fd = null;
+    this.journalEntries = 0;
+    this.loaded = !this.durable;
+    this.rejected = 0;
+  }
+
+  /**
+   * Replay the journal and restore entries
+   */
+  load() {
+    if (this.loaded) {
+      return this.entries.size;
+    }
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    if (fs.existsSync(this.filePath)) {
+      for (const line of fs.readFileSync(this.filePath, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+
+        try {
+          const record = JSON.parse(line);
+          if (record.op === 'add') this.entries.set(record.entry.id, record.entry);
+          else if (record.op === 'remove') this.entries.delete(record.id);
+        } catch (error) {
+          logger.warn('Skipped unreadable dead letter journal entry', { file: this.filePath });
+        }
+      }
+    }
+
+    this.loaded = true;
+    this.compact();
+    logger.info('Dead letter journal loaded', { file: this.filePath, entries: this.entries.size });
+    return this.entries.size;
+  }
+
+  /**
+   * Dead-letter one route of an event; returns null when the store is full
+   */
+  add(event, route, routeState) {
+    if (!this.loaded) {
+      this.load();
+    }
+
+    if (this.entries.size >= this.maxEntries) {
+      this.rejected++;
+      logger.error('Dead letter store at capacity, entry rejected', { eventId: event.id, routeId: route.id });
+      return null;
+    }
+
+    const entry = {
+      id: this.generateEntryId(),
+      eventId: event.id,
+      routeId: route.id,
+      route: { ...route }, // Snapshot for replay if the route is gone
+      webhook: event.webhook,
+      sourceServiceId: event.sourceServiceId || null,
+      attempts: routeState.attempts,
+      lastError: routeState.lastError,
+      lastStatusCode: routeState.lastStatusCode,
+      deliveries: (event.deliveries || []).filter(d => d.routeId === route.id),
+      eventCreatedAt: event.createdAt,
+      deadLetteredAt: new Date().toISOString()
+    };
+
+    this.append({ op: 'add', entry });
+    this.entries.set(entry.id, entry);
+
+    logger.error('Webhook delivery dead-lettered', {
+      entryId: entry.id,
+      eventId: event.id,
+      routeId: route.id,
+      attempts: entry.attempts,
+      lastError: entry.lastError
+    });
+
+    return entry;
+  }
+
+  /**
+   * Get dead letter entry by ID
+   */
+  get(entryId) {
+    return this.entries.get(entryId) || null;
+  }
+
+  /**
+   * List entries, newest first, optionally filtered
+   */
+  list(filter = {}) {
+    const limit = Math.min(parseInt(filter.limit, 10) || 100, this.maxEntries);
+
+    return Array.from(this.entries.values())
+      .filter(entry => this.matches(entry, filter))
+      .reverse()
+      .slice(0, limit);
+  }
+
+  /**
+   * Count entries matching a filter
+   */
+  count(filter = {}) {
+    let count = 0;
+    for (const entry of this.entries.values()) {
+      if (this.matches(entry, filter)) count++;
+    }
+    return count;
+  }
+
+  /**
+   * Check whether an entry matches a filter
+   */
+  matches(entry, filter) {
+    if (filter.entryId && entry.id !== filter.entryId) return false;
+    if (filter.routeId && entry.routeId !== filter.routeId) return false;
+    if (filter.eventId && entry.eventId !== filter.eventId) return false;
+    if (filter.source && entry.webhook.source !== filter.source) return false;
+    if (filter.eventType && entry.webhook.eventType !== filter.eventType) return false;
+    return true;
+  }
+
+  /**
+   * Remove a single entry
+   */
+  remove(entryId) {
+    if (!this.entries.has(entryId)) {
+      return false;
+    }
+
+    this.append({ op: 'remove', id: entryId });
+    this.entries.delete(entryId);
+    this.maybeCompact();
+    return true;
+  }
+
+  /**
+   * Remove entries matching a filter, oldest first and at most filter.limit,
+   * returning how many were purged
+   */
+  purge(filter = {}) {
+    const limit = parseInt(filter.limit, 10) || Infinity;
+    let purged = 0;
+
+    for (const entry of Array.from(this.entries.values())) {
+      if (purged < limit && this.matches(entry, filter)) {
+        this.remove(entry.id);
+        purged++;
+      }
+    }
+
+    return purged;
+  }
+
+  /**
+   * Append one record to the journal (no-op without a file)
+   */
+  append(record) {
+    if (!this.durable) {
+      return;
+    }
+
+    if (!this.loaded) {
+      this.load();
+    }
+
+    fs.writeSync(this.fd, JSON.stringify(record) + '\n');
+    this.journalEntries++;
+  }
+
+  /**
+   * Compact once the journal is mostly removed entries
+   */
+  maybeCompact() {
+    if (this.durable && this.journalEntries >= this.compactThreshold && this.journalEntries > this.entries.size * 2) {
+      this.compact();
+    }
+  }
+
+  /**
+   * Rewrite the journal with only current entries (atomic rename)
+   */
+  compact() {
+    const tmpPath = `${this.filePath}.tmp`;
+    const content = Array.from(this.entries.values())
+      .map(entry => JSON.stringify({ op: 'add', entry }) + '\n')
+      .join('');
+
+    fs.writeFileSync(tmpPath, content);
+
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+    }
+
+    fs.renameSync(tmpPath, this.filePath);
+    this.fd = fs.openSync(this.filePath, 'a');
+    this.journalEntries = this.entries.size;
+  }
+
+  /**
+   * Generate unique entry ID
+   */
+  generateEntryId() {
+    return `dlq-${Date.now()}-${Math.random().toString(36).substr(2, 8)}`;
+  }
+
+  /**
+   * Get store statistics
+   */
+  getStats() {
+    return {
+      size: this.entries.size,
+      maxEntries: this.maxEntries,
+      rejected: this.rejected,
+      durable: this.durable,
+      file: this.filePath
+    };
+  }
+}
+
+module.exports = DeadLetterStore;
@@ -0,0 +1,201 @@
+/**
+ * BIG BROTHER COMPLIANT - Dependency Graph v2
+ * SINGLE RESPONSIBILITY: Model service dependencies for topology and impact queries
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+const DEFAULT_ENVIRONMENT = 'production';
+
+/**
+ * Graph over registered services. `dependsOn` entries name a service ID or a
+ * service name in the same environment; unknown entries are reported as missing.
+ * Edges point from a service to what it depends on.
+ */
+class DependencyGraph {
+  constructor(services = []) {
+    this.nodes = new Map();
+    this.dependencies = new Map(); // id -> Set of ids it depends on
+    this.dependents = new Map();   // id -> Set of ids depending on it
+    this.missing = new Map();      // id -> unresolved dependsOn entries
+
+    for (const service of services) {
+      this.nodes.set(service.id, service);
+      this.dependencies.set(service.id, new Set());
+      this.dependents.set(service.id, new Set());
+    }
+
+    for (const service of services) {
+      for (const ref of service.dependsOn || []) {
+        const target = this.resolve(ref, service.environment || DEFAULT_ENVIRONMENT);
+
+        if (target) {
+          this.dependencies.get(service.id).add(target.id);
+          this.dependents.get(target.id).add(service.id);
+        } else {
+          if (!this.missing.has(service.id)) this.missing.set(service.id, []);
+          this.missing.get(service.id).push(ref);
+        }
+      }
+    }
+  }
+
+  /**
+   * Resolve a dependsOn entry to a service
+   */
+  resolve(ref, environment) {
+    if (this.nodes.has(ref)) {
+      return this.nodes.get(ref);
+    }
+
+    for (const service of this.nodes.values()) {
+      if (service.name === ref && (service.environment || DEFAULT_ENVIRONMENT) === environment) {
+        return service;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Walk edges breadth-first from a service, returning [{ id, depth }]
+   */
+  walk(serviceId, edges) {
+    const visited = new Map();
+    let frontier = [serviceId];
+    let depth = 0;
+
+    while (frontier.length > 0) {
+      depth++;
+      const next = [];
+
+      for (const id of frontier) {
+        for (const neighbour of edges.get(id) || []) {
+          if (neighbour !== serviceId && !visited.has(neighbour)) {
+            visited.set(neighbour, depth);
+            next.push(neighbour);
+          }
+        }
+      }
+
+      frontier = next;
+    }
+
+    return Array.from(visited, ([id, distance]) => ({ id, depth: distance }));
+  }
+
+  /**
+   * Every service that transitively depends on serviceId
+   */
+  getDependents(serviceId) {
+    return this.walk(serviceId, this.dependents);
+  }
+
+  /**
+   * Every service that serviceId transitively depends on
+   */
+  getDependencies(serviceId) {
+    return this.walk(serviceId, this.dependencies);
+  }
+
+  /**
+   * Dependency cycles (strongly connected components with more than one
+   * service, or a service depending on itself) - Tarjan's algorithm
+   */
+  findCycles() {
+    const index = new Map();
+    const lowLink = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const cycles = [];
+    let counter = 0;
+
+    const visit = id => {
+      index.set(id, counter);
+      lowLink.set(id, counter);
+      counter++;
+      stack.push(id);
+      onStack.add(id);
+
+      for (const dependency of this.dependencies.get(id)) {
+        if (!index.has(dependency)) {
+          visit(dependency);
+          lowLink.set(id, Math.min(lowLink.get(id), lowLink.get(dependency)));
+        } else if (onStack.has(dependency)) {
+          lowLink.set(id, Math.min(lowLink.get(id), index.get(dependency)));
+        }
+      }
+
+      if (lowLink.get(id) === index.get(id)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== id);
+
+        if (component.length > 1 || this.dependencies.get(id).has(id)) {
+          cycles.push(component.reverse());
+        }
+      }
+    };
+
+    for (const id of this.nodes.keys()) {
+      if (!index.has(id)) visit(id);
+    }
+
+    return cycles;
+  }
+
+  /**
+   * Services affected if serviceId is unhealthy
+   */
+  getImpact(serviceId) {
+    const service = this.nodes.get(serviceId);
+
+    if (!service) {
+      return null;
+    }
+
+    const affected = this.getDependents(serviceId).map(({ id, depth }) => ({
+      serviceId: id,
+      serviceName: this.nodes.get(id).name,
+      depth,
+      direct: depth === 1
+    }));
+
+    return {
+      serviceId,
+      serviceName: service.name,
+      affected,
+      totalAffected: affected.length
+    };
+  }
+
+  /**
+   * Topology for API responses
+   */
+  toJSON() {
+    const cycles = this.findCycles();
+    const inCycle = new Set(cycles.flat());
+
+    return {
+      nodes: Array.from(this.nodes.values()).map(service => ({
+        id: service.id,
+        name: service.name,
+        environment: service.environment || DEFAULT_ENVIRONMENT,
+        status: service.status,
+        dependsOn: Array.from(this.dependencies.get(service.id)),
+        dependents: Array.from(this.dependents.get(service.id)),
+        missingDependencies: this.missing.get(service.id) || [],
+        inCycle: inCycle.has(service.id)
+      })),
+      edges: Array.from(this.dependencies, ([from, targets]) =>
+        Array.from(targets, to => ({ from, to }))).flat(),
+      cycles,
+      hasCycles: cycles.length > 0
+    };
+  }
+}
+
+module.exports = DependencyGraph;
@@ -0,0 +1,146 @@
+/**
+ * BIG BROTHER COMPLIANT - Event History Store v2
+ * SINGLE RESPONSIBILITY: Keep the delivery history of accepted webhook events
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+const FINAL_STATUSES = ['delivered', 'partially_delivered', 'dead_lettered', 'dropped'];
+
+class EventHistoryStore {
+  constructor(options = {}) {
+    this.entries = new Map();
+    this.maxEntries = options.maxEntries || 1000; // Big Brother memory limit
+    this.evicted = 0;
+  }
+
+  /**
+   * Record (or refresh) the history of a queued event
+   */
+  record(event, status) {
+    const existing = this.entries.get(event.id);
+
+    if (!existing && this.entries.size >= this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.evicted++;
+    }
+
+    const now = new Date().toISOString();
+    const entry = {
+      eventId: event.id,
+      source: event.webhook.source,
+      eventType: event.webhook.eventType,
+      status,
+      payload: event.webhook,
+      routes: event.routes.map(route => {
+        const state = event.routeStates[route.id];
+        return {
+          routeId: route.id,
+          target: route.target,
+          endpoint: route.endpoint,
+          method: route.method,
+          status: state.status,
+          attempts: state.attempts,
+          lastStatusCode: state.lastStatusCode,
+          lastError: state.lastError,
+          deadLetterId: state.deadLetterId || null
+        };
+      }),
+      deliveries: (event.deliveries || []).map(delivery => ({
+        routeId: delivery.routeId,
+        target: delivery.target,
+        instanceId: delivery.instanceId || null,
+        url: delivery.url,
+        method: delivery.method,
+        attempt: delivery.attempt,
+        attemptedAt: delivery.attemptedAt,
+        statusCode: delivery.statusCode,
+        latencyMs: delivery.latencyMs,
+        success: delivery.success,
+        error: delivery.error
+      })),
+      idempotencyKey: event.idempotencyKey || null,
+      replayOf: event.replayOf || null,
+      duplicates: existing ? existing.duplicates : 0,
+      receivedAt: event.createdAt,
+      updatedAt: now,
+      completedAt: FINAL_STATUSES.includes(status) ? now : null
+    };
+
+    this.entries.set(event.id, entry);
+    return entry;
+  }
+
+  /**
+   * Count a suppressed redelivery against an event
+   */
+  recordDuplicate(eventId) {
+    const entry = this.entries.get(eventId);
+    if (entry) {
+      entry.duplicates++;
+    }
+  }
+
+  /**
+   * Get event history by ID
+   */
+  get(eventId) {
+    return this.entries.get(eventId) || null;
+  }
+
+  /**
+   * List events, newest first, optionally filtered
+   */
+  list(filter = {}) {
+    const limit = Math.min(parseInt(filter.limit, 10) || 100, this.maxEntries);
+    const offset = parseInt(filter.offset, 10) || 0;
+
+    return Array.from(this.entries.values())
+      .filter(entry => this.matches(entry, filter))
+      .reverse()
+      .slice(offset, offset + limit);
+  }
+
+  /**
+   * Count events matching a filter
+   */
+  count(filter = {}) {
+    let count = 0;
+    for (const entry of this.entries.values()) {
+      if (this.matches(entry, filter)) count++;
+    }
+    return count;
+  }
+
+  /**
+   * Check whether an event matches a filter
+   */
+  matches(entry, filter) {
+    if (filter.source && entry.source !== filter.source) return false;
+    if (filter.eventType && entry.eventType !== filter.eventType) return false;
+    if (filter.status && entry.status !== filter.status) return false;
+    if (filter.routeId && !entry.routes.some(route => route.routeId === filter.routeId)) return false;
+    if (filter.target && !entry.routes.some(route => route.target === filter.target)) return false;
+    if (filter.since && entry.receivedAt < new Date(filter.since).toISOString()) return false;
+    if (filter.until && entry.receivedAt > new Date(filter.until).toISOString()) return false;
+    return true;
+  }
+
+  /**
+   * Get store statistics
+   */
+  getStats() {
+    const byStatus = {};
+    for (const entry of this.entries.values()) {
+      byStatus[entry.status] = (byStatus[entry.status] || 0) + 1;
+    }
+
+    return {
+      size: this.entries.size,
+      maxEntries: this.maxEntries,
+      evicted: this.evicted,
+      byStatus
+    };
+  }
+}
+
+module.exports = EventHistoryStore;
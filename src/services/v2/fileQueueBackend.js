@@ -0,0 +1,183 @@
+/**
+ * BIG BROTHER COMPLIANT - File Queue Backend v2
+ * SINGLE RESPONSIBILITY: Crash-safe webhook event queue on an append-only journal
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../utils/logger');
+const MemoryQueueBackend = require('./memoryQueueBackend');
+
+/**
+ * Every mutation is appended to the journal before it is applied in memory,
+ * so a restart replays exactly the events that were never acknowledged.
+ * Journal lines: {"op":"enqueue"|"update","item":{...}} or {"op":"ack","id":"..."}
+ */
+class FileQueueBackend extends MemoryQueueBackend {
+  constructor(options = {}) {
+    super();
+    this.type = 'file';
+    this.durable = true;
+    this.filePath = options.filePath || path.join(process.cwd(), 'data', 'webhook-queue.journal');
+    this.fsync = options.fsync || false;
+    this.compactThreshold = options.compactThreshold || 1000;
+    this.fd = null;
+    this.journalEntries = 0;
+    this.loaded = false;
+  }
+
+  /**
+   * Replay the journal and restore unacknowledged events
+   */
+  load() {
+    if (this.loaded) {
+      return this.items.size;
+    }
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    if (fs.existsSync(this.filePath)) {
+      const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+      let corrupt = 0;
+
+      for (const line of lines) {
+        if (!line.trim()) continue;
+
+        try {
+          this.applyEntry(JSON.parse(line));
+        } catch (error) {
+          corrupt++; // Torn final write from a crash
+        }
+      }
+
+      if (corrupt > 0) {
+        logger.warn('Skipped unreadable webhook queue journal entries', { corrupt, file: this.filePath });
+      }
+    }
+
+    this.loaded = true;
+    this.compact();
+
+    logger.info('Webhook queue journal loaded', {
+      file: this.filePath,
+      restoredEvents: this.items.size
+    });
+
+    return this.items.size;
+  }
+
+  /**
+   * Apply a journal entry to the in-memory view
+   */
+  applyEntry(entry) {
+    if (entry.op === 'enqueue' || entry.op === 'update') {
+      this.items.set(entry.item.id, entry.item);
+    } else if (entry.op === 'ack') {
+      this.items.delete(entry.id);
+    }
+  }
+
+  /**
+   * Store a new event
+   */
+  enqueue(item) {
+    this.append({ op: 'enqueue', item });
+    super.enqueue(item);
+  }
+
+  /**
+   * Store updated event state and release the claim
+   */
+  requeue(item) {
+    this.append({ op: 'update', item });
+    super.requeue(item);
+  }
+
+  /**
+   * Remove a finished event
+   */
+  ack(itemId) {
+    this.append({ op: 'ack', id: itemId });
+    super.ack(itemId);
+    this.maybeCompact();
+  }
+
+  /**
+   * Append one entry to the journal
+   */
+  append(entry) {
+    if (!this.loaded) {
+      this.load();
+    }
+
+    fs.writeSync(this.fd, JSON.stringify(entry) + '\n');
+
+    if (this.fsync) {
+      fs.fsyncSync(this.fd);
+    }
+
+    this.journalEntries++;
+  }
+
+  /**
+   * Compact once the journal is mostly acknowledged history
+   */
+  maybeCompact() {
+    if (this.journalEntries >= this.compactThreshold && this.journalEntries > this.items.size * 2) {
+      this.compact();
+    }
+  }
+
+  /**
+   * Rewrite the journal with only live events (atomic rename)
+   */
+  compact() {
+    const tmpPath = `${this.filePath}.tmp`;
+    const content = Array.from(this.items.values())
+      .map(item => JSON.stringify({ op: 'enqueue', item }) + '\n')
+      .join('');
+
+    const tmpFd = fs.openSync(tmpPath, 'w');
+    fs.writeSync(tmpFd, content);
+    fs.fsyncSync(tmpFd);
+    fs.closeSync(tmpFd);
+
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+    }
+
+    fs.renameSync(tmpPath, this.filePath);
+    this.fd = fs.openSync(this.filePath, 'a');
+    this.journalEntries = this.items.size;
+  }
+
+  /**
+   * Depth and age statistics plus journal details
+   */
+  getStats(now = Date.now()) {
+    return {
+      ...super.getStats(now),
+      journal: {
+        file: this.filePath,
+        entries: this.journalEntries,
+        fsync: this.fsync
+      }
+    };
+  }
+
+  /**
+   * Close the journal file
+   */
+  close() {
+    super.close();
+
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+      this.loaded = false;
+    }
+  }
+}
+
+module.exports = FileQueueBackend;
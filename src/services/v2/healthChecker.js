@@ -0,0 +1,187 @@
+/**
+ * BIG BROTHER COMPLIANT - Health Checker v2
+ * SINGLE RESPONSIBILITY: Poll or probe a service's instances and aggregate the result
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+const axios = require('axios');
+const logger = require('../../utils/logger');
+const { getInstances, aggregateInstanceStatus } = require('./serviceInstances');
+const { runProbe } = require('./healthProbes');
+const { createLimiter } = require('./checkScheduler');
+const { checkBigBrotherCompliance } = require('./healthReports');
+
+class HealthChecker {
+  constructor(options = {}) {
+    this.timeout = options.timeout; // Default per-request timeout in ms
+    this.limitRequests = createLimiter(options.maxConcurrent); // Instance checks across all services
+  }
+
+  /**
+   * Per-request timeout of a service's checks in ms
+   */
+  getCheckTimeout(service) {
+    return service.checkTimeoutMs || this.timeout;
+  }
+
+  /**
+   * Check health of a service by probing each of its instances (at most
+   * maxConcurrent requests in flight across all services); the service
+   * status is aggregated from the instance results
+   */
+  async checkService(service) {
+    const results = await Promise.all(getInstances(service)
+      .map(instance => this.limitRequests(() => this.checkInstanceHealth(service, instance))));
+    const aggregate = aggregateInstanceStatus(service, results);
+    const primary = results.find(r => r.status === 'healthy') || results[0];
+
+    return {
+      serviceId: service.id,
+      serviceName: service.name,
+      status: aggregate.status,
+      httpStatus: primary.httpStatus,
+      responseTime: primary.responseTime,
+      compliance: primary.compliance,
+      error: primary.error,
+      timestamp: new Date().toISOString(),
+      healthData: primary.healthData,
+      healthyInstances: aggregate.healthy,
+      totalInstances: aggregate.total,
+      failures: primary.failures,
+      instances: results.map(({ instanceId, url, status, httpStatus, failures, responseTime, error, timestamp }) =>
+        ({ instanceId, url, status, httpStatus, failures, responseTime, error, timestamp }))
+    };
+  }
+
+  /**
+   * Check health of one service instance (GET healthEndpoint expecting
+   * status ok/healthy, unless the service defines a probe)
+   */
+  async checkInstanceHealth(service, instance) {
+    if (service.probe) {
+      return this.probeInstance(service, instance);
+    }
+
+    const startTime = Date.now();
+
+    try {
+      const healthUrl = `${instance.url}${instance.healthEndpoint || '/health'}`;
+
+      const response = await axios.get(healthUrl, {
+        timeout: this.getCheckTimeout(service),
+        validateStatus: status => status < 500 // Accept 4xx as potentially valid
+      });
+
+      const executionTime = Date.now() - startTime;
+      const responseTime = executionTime;
+
+      // Analyze health response
+      const healthData = response.data;
+      const isHealthy = response.status === 200 &&
+                       (healthData.status === 'ok' || healthData.status === 'healthy');
+
+      // Big Brother compliance checks
+      const compliance = checkBigBrotherCompliance(healthData, responseTime);
+
+      if (!isHealthy) {
+        logger.warn('Service health check failed', {
+          service: service.name,
+          instance: instance.id,
+          status: response.status,
+          responseTime
+        });
+      }
+
+      return {
+        instanceId: instance.id,
+        url: instance.url,
+        status: isHealthy ? 'healthy' : 'unhealthy',
+        httpStatus: response.status,
+        responseTime,
+        compliance,
+        timestamp: new Date().toISOString(),
+        healthData: healthData
+      };
+
+    } catch (error) {
+      const executionTime = Date.now() - startTime;
+
+      logger.error('Service health check error', {
+        service: service.name,
+        instance: instance.id,
+        error: error.message,
+        executionTime
+      });
+
+      return {
+        instanceId: instance.id,
+        url: instance.url,
+        status: 'error',
+        error: error.message,
+        responseTime: executionTime,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+
+  /**
+   * Check one instance with the service's configured probe
+   */
+  async probeInstance(service, instance) {
+    const startTime = Date.now();
+    const probe = service.probe;
+
+    try {
+      const outcome = await runProbe(probe, instance, { timeout: this.getCheckTimeout(service) });
+      const responseTime = Date.now() - startTime;
+      const healthy = outcome.failures.length === 0;
+
+      if (!healthy) {
+        logger.warn('Service health probe failed', {
+          service: service.name,
+          instance: instance.id,
+          probe: probe.type,
+          failures: outcome.failures,
+          responseTime
+        });
+      }
+
+      return {
+        instanceId: instance.id,
+        url: instance.url,
+        probe: probe.type,
+        status: healthy ? 'healthy' : 'unhealthy',
+        httpStatus: outcome.httpStatus,
+        failures: outcome.failures,
+        responseTime,
+        compliance: checkBigBrotherCompliance(
+          outcome.body && typeof outcome.body === 'object' ? outcome.body : {}, responseTime),
+        timestamp: new Date().toISOString(),
+        healthData: outcome.body
+      };
+
+    } catch (error) {
+      const responseTime = Date.now() - startTime;
+
+      logger.error('Service health probe error', {
+        service: service.name,
+        instance: instance.id,
+        probe: probe.type,
+        error: error.message,
+        responseTime
+      });
+
+      return {
+        instanceId: instance.id,
+        url: instance.url,
+        probe: probe.type,
+        status: 'error',
+        error: error.message,
+        responseTime,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+}
+
+module.exports = HealthChecker;
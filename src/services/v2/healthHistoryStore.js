@@ -0,0 +1,249 @@
+/**
+ * BIG BROTHER COMPLIANT - Health History Store v2
+ * SINGLE RESPONSIBILITY: Bounded per-service history of health check results
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+// Bucket size of each series resolution (raw returns every sample)
+const RESOLUTIONS = { raw: 0, '5m': 5 * 60 * 1000, '1h': 60 * 60 * 1000 };
+const WINDOW_PATTERN = /^(\d+)([mhd])$/;
+const WINDOW_UNITS = { m: 60 * 1000, h: 3600 * 1000, d: 24 * 3600 * 1000 };
+const MAX_WINDOW_MS = 90 * 24 * 3600 * 1000;
+const UP_STATUSES = ['healthy'];
+const DOWN_STATUSES = ['unhealthy', 'error'];
+const MAX_SAMPLES = 5000; // Per service, so 50 services stay around 20MB
+const MAX_SERVICES = 50; // Big Brother registry limit
+
+/**
+ * Milliseconds in a duration like "5m", "6h" or "30d" (null when invalid)
+ */
+function parseDuration(value) {
+  const match = String(value).match(WINDOW_PATTERN);
+  if (!match || Number(match[1]) === 0) return null;
+  return Number(match[1]) * WINDOW_UNITS[match[2]];
+}
+
+/**
+ * Nearest-rank percentile of sorted values
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+/**
+ * Share of up samples among up and down ones (null without either)
+ */
+function uptimePercent(samples) {
+  const up = samples.filter(s => UP_STATUSES.includes(s.status)).length;
+  const down = samples.filter(s => DOWN_STATUSES.includes(s.status)).length;
+  return up + down > 0 ? Number(((up / (up + down)) * 100).toFixed(3)) : null;
+}
+
+class HealthHistoryStore {
+  constructor(options = {}) {
+    this.maxServices = Math.min(options.maxServices || MAX_SERVICES, MAX_SERVICES);
+    this.maxSamples = Math.min(options.maxSamples ||
+      parseInt(process.env.HEALTH_HISTORY_SAMPLES, 10) || 2880, MAX_SAMPLES); // 24h at a 30s interval
+    this.series = new Map(); // serviceId -> [{ t, status, responseTime }], oldest first
+  }
+
+  /**
+   * Milliseconds in a duration like "5m", "6h" or "30d" (null when invalid)
+   */
+  static parseDuration(value) {
+    return parseDuration(value);
+  }
+
+  /**
+   * Parse query parameters (window like "1h"/"24h"/"7d", or since/until ISO
+   * timestamps; resolution; limit) into query options
+   */
+  static parseQuery(params = {}, now = Date.now()) {
+    const errors = [];
+    let until = now;
+    let since = now - 24 * 3600 * 1000;
+
+    if (params.until !== undefined) {
+      until = new Date(params.until).getTime();
+      if (isNaN(until)) errors.push('until must be an ISO 8601 timestamp');
+    }
+
+    if (params.since !== undefined) {
+      since = new Date(params.since).getTime();
+      if (isNaN(since)) errors.push('since must be an ISO 8601 timestamp');
+    } else if (params.window !== undefined) {
+      const windowMs = parseDuration(params.window);
+      if (windowMs === null) {
+        errors.push('window must look like 15m, 1h, 24h or 7d');
+      } else {
+        since = until - windowMs;
+      }
+    }
+
+    if (errors.length === 0 && (since >= until || until - since > MAX_WINDOW_MS)) {
+      errors.push('The window must end after it starts and span at most 90 days');
+    }
+
+    if (params.resolution !== undefined && !(params.resolution in RESOLUTIONS)) {
+      errors.push(`resolution must be one of: ${Object.keys(RESOLUTIONS).join(', ')}`);
+    }
+
+    const limit = params.limit !== undefined ? Number(params.limit) : 500;
+    if (!Number.isInteger(limit) || limit < 1 || limit > 5000) {
+      errors.push('limit must be an integer between 1 and 5000');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+      options: { since, until, resolution: params.resolution, limit }
+    };
+  }
+
+  /**
+   * Record one health result ({ status, responseTime, timestamp }), dropping
+   * the service's oldest sample once it holds maxSamples
+   */
+  record(serviceId, result, now = Date.now()) {
+    const samples = this.getSeries(serviceId);
+
+    samples.push({
+      t: result.timestamp ? new Date(result.timestamp).getTime() : now,
+      status: result.status,
+      responseTime: typeof result.responseTime === 'number' ? result.responseTime : null
+    });
+
+    if (samples.length > this.maxSamples) {
+      samples.shift();
+    }
+  }
+
+  /**
+   * Samples of a service, evicting the least recently updated service when full
+   */
+  getSeries(serviceId) {
+    if (!this.series.has(serviceId) && this.series.size >= this.maxServices) {
+      this.series.delete(this.series.keys().next().value);
+    }
+
+    // Keep Map order = least recently updated first
+    const samples = this.series.get(serviceId) || [];
+    this.series.delete(serviceId);
+    this.series.set(serviceId, samples);
+    return samples;
+  }
+
+  /**
+   * Samples of a service within [since, until]
+   */
+  getSamples(serviceId, since, until) {
+    return (this.series.get(serviceId) || []).filter(s => s.t >= since && s.t <= until);
+  }
+
+  /**
+   * Uptime, latency percentiles, status transitions and a series for a window
+   * (an empty summary when the service has no recorded checks). The series
+   * is raw while it fits options.limit, otherwise 5m or hourly buckets
+   * (or options.resolution: raw, 5m, 1h).
+   */
+  query(serviceId, options = {}) {
+    const until = options.until || Date.now();
+    const since = options.since || until - 24 * 3600 * 1000;
+    const limit = options.limit || 500;
+    const samples = this.getSamples(serviceId, since, until);
+    const latencies = samples.map(s => s.responseTime).filter(v => v !== null).sort((a, b) => a - b);
+    const resolution = options.resolution || (samples.length <= limit ? 'raw'
+      : (until - since) / RESOLUTIONS['5m'] <= limit ? '5m' : '1h');
+
+    return {
+      serviceId,
+      window: { since: new Date(since).toISOString(), until: new Date(until).toISOString() },
+      resolution,
+      samples: samples.length,
+      uptimePercent: uptimePercent(samples),
+      latency: {
+        p50: percentile(latencies, 50),
+        p95: percentile(latencies, 95),
+        p99: percentile(latencies, 99),
+        avg: latencies.length > 0 ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length) : null,
+        min: latencies.length > 0 ? latencies[0] : null,
+        max: latencies.length > 0 ? latencies[latencies.length - 1] : null
+      },
+      points: this.toPoints(samples, RESOLUTIONS[resolution]).slice(-limit),
+      transitions: this.getTransitions(serviceId, since, until)
+    };
+  }
+
+  /**
+   * Samples as series points, or grouped into buckets of bucketMs
+   */
+  toPoints(samples, bucketMs) {
+    if (!bucketMs) {
+      return samples.map(s => ({ at: new Date(s.t).toISOString(), status: s.status, responseTime: s.responseTime }));
+    }
+
+    const buckets = new Map();
+    for (const sample of samples) {
+      const start = Math.floor(sample.t / bucketMs) * bucketMs;
+      if (!buckets.has(start)) buckets.set(start, []);
+      buckets.get(start).push(sample);
+    }
+
+    return Array.from(buckets, ([start, bucket]) => {
+      const latencies = bucket.map(s => s.responseTime).filter(v => v !== null);
+      return {
+        at: new Date(start).toISOString(),
+        samples: bucket.length,
+        uptimePercent: uptimePercent(bucket),
+        avgResponseTime: latencies.length > 0 ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length) : null,
+        maxResponseTime: latencies.length > 0 ? Math.max(...latencies) : null
+      };
+    });
+  }
+
+  /**
+   * Status changes within a window, oldest first
+   */
+  getTransitions(serviceId, since, until) {
+    const transitions = [];
+    let previous = null;
+
+    for (const sample of this.series.get(serviceId) || []) {
+      if (sample.t > until) break;
+      if (previous !== null && previous !== sample.status && sample.t >= since) {
+        transitions.push({ at: new Date(sample.t).toISOString(), from: previous, to: sample.status });
+      }
+      previous = sample.status;
+    }
+    return transitions;
+  }
+
+  /**
+   * Good and total events in a window: availability counts healthy among
+   * healthy/unhealthy/error results; with thresholdMs, latency counts results
+   * at or under it
+   */
+  countEvents(serviceId, options = {}) {
+    const samples = this.getSamples(serviceId, options.since, options.until);
+
+    if (options.thresholdMs === undefined) {
+      const up = samples.filter(s => UP_STATUSES.includes(s.status)).length;
+      return { good: up, total: up + samples.filter(s => DOWN_STATUSES.includes(s.status)).length };
+    }
+
+    const timed = samples.filter(s => s.responseTime !== null);
+    return { good: timed.filter(s => s.responseTime <= options.thresholdMs).length, total: timed.length };
+  }
+
+  /**
+   * Store statistics
+   */
+  getStats() {
+    let samples = 0;
+    for (const series of this.series.values()) samples += series.length;
+    return { services: this.series.size, samples, maxSamples: this.maxSamples };
+  }
+}
+
+module.exports = HealthHistoryStore;
@@ -4,18 +4,33 @@
  * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
  */
 
-const axios = require('axios');
 const logger = require('../../utils/logger');
 const { getServiceRegistry } = require('./serviceRegistry');
+const HealthChecker = require('./healthChecker');
+const { buildHealthReport } = require('./healthReports');
+const { HealthRecords } = require('./healthRecords');
+const { CheckScheduler, runWithConcurrency, getDefaultCheckIntervalSeconds } = require('./checkScheduler');
 const { getFeatureFlagManager } = require('../../config/featureFlags');
 
 const flagManager = getFeatureFlagManager();
 
 class HealthMonitor {
   constructor() {
-    this.healthData = new Map();
-    this.checkInterval = 30000; // 30 seconds
-    this.timeout = 5000; // 5 second timeout
+    // Defaults; services may set checkIntervalSeconds and checkTimeoutMs
+    this.checkInterval = getDefaultCheckIntervalSeconds() * 1000;
+    this.maxConcurrentChecks = parseInt(process.env.HEALTH_CHECK_CONCURRENCY, 10) || 5;
+    this.checker = new HealthChecker({
+      timeout: parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS, 10) || 5000,
+      maxConcurrent: this.maxConcurrentChecks
+    });
+    this.records = new HealthRecords({ pushReportTtl: this.checkInterval * 2 }); // Pushed reports pause polling this long
+    this.scheduler = new CheckScheduler({
+      getServices: () => getServiceRegistry().getAllServices(),
+      runCheck: service => this.runScheduledCheck(service),
+      getInterval: service => this.getCheckInterval(service),
+      maxConcurrent: this.maxConcurrentChecks,
+      jitter: process.env.HEALTH_CHECK_JITTER !== undefined ? parseFloat(process.env.HEALTH_CHECK_JITTER) || 0 : 0.1
+    });
     this.monitoring = false;
     this.initialized = false;
   }
@@ -57,40 +72,36 @@ class HealthMonitor {
     
     logger.info('Starting Big Brother health monitoring', {
       interval: this.checkInterval,
-      timeout: this.timeout
+      timeout: this.checker.timeout,
+      maxConcurrent: this.maxConcurrentChecks
     });
 
-    // Initial health check
-    setImmediate(() => this.performHealthChecks());
-    
-    // Set up recurring checks
-    this.monitoringInterval = setInterval(() => {
-      this.performHealthChecks();
-    }, this.checkInterval);
+    // Each service is checked on its own jittered schedule
+    this.scheduler.start();
   }
 
   /**
    * Stop monitoring
    */
   stopMonitoring() {
-    if (this.monitoringInterval) {
-      clearInterval(this.monitoringInterval);
-      this.monitoringInterval = null;
-    }
+    this.scheduler.stop();
     
     this.monitoring = false;
     logger.info('Health monitoring stopped');
   }
 
   /**
-   * Perform health checks on all services
+   * Perform health checks on all services (or those matching options.selector)
    */
-  async performHealthChecks() {
+  async performHealthChecks(options = {}) {
     const startTime = Date.now();
     
     try {
       const serviceRegistry = getServiceRegistry();
-      const services = serviceRegistry.getAllServices();
+      
+      // Services pushing fresh reports (e.g. behind firewalls) are not polled
+      const services = serviceRegistry.getServicesBySelector(options.selector)
+        .filter(service => !this.records.hasFreshReport(service.id, Date.now(), this.getCheckInterval(service) * 2));
       
       if (services.length === 0) {
         return {
@@ -102,27 +113,10 @@ class HealthMonitor {
 
       logger.info('Performing health checks', { serviceCount: services.length });
       
-      // Check all services concurrently
-      const healthPromises = services.map(service => 
-        this.checkServiceHealth(service).catch(error => ({
-          serviceId: service.id,
-          error: error.message,
-          status: 'error'
-        }))
-      );
-
-      const results = await Promise.all(healthPromises);
-      
-      // Update service registry with results
-      results.forEach(result => {
-        if (result.serviceId) {
-          serviceRegistry.updateServiceStatus(
-            result.serviceId, 
-            result.status, 
-            result
-          );
-        }
-      });
+      // Run through the scheduler so a service already being checked is not
+      // checked twice; results are applied as each check ends
+      const results = (await runWithConcurrency(services, this.maxConcurrentChecks,
+        service => this.scheduler.runNow(service))).filter(Boolean);
 
       const executionTime = Date.now() - startTime;
       const healthyCount = results.filter(r => r.status === 'healthy').length;
@@ -153,172 +147,68 @@ class HealthMonitor {
   }
 
   /**
-   * Check health of individual service
+   * Scheduled check of one service (skipped while it pushes fresh reports)
    */
-  async checkServiceHealth(service) {
-    const startTime = Date.now();
-    
-    try {
-      const healthUrl = `${service.url}${service.healthEndpoint || '/health'}`;
-      
-      const response = await axios.get(healthUrl, {
-        timeout: this.timeout,
-        validateStatus: status => status < 500 // Accept 4xx as potentially valid
-      });
-
-      const executionTime = Date.now() - startTime;
-      const responseTime = executionTime;
-      
-      // Analyze health response
-      const healthData = response.data;
-      const isHealthy = response.status === 200 && 
-                       (healthData.status === 'ok' || healthData.status === 'healthy');
-      
-      // Big Brother compliance checks
-      const compliance = this.checkBigBrotherCompliance(healthData, responseTime);
-      
-      const result = {
-        serviceId: service.id,
-        serviceName: service.name,
-        status: isHealthy ? 'healthy' : 'unhealthy',
-        httpStatus: response.status,
-        responseTime,
-        compliance,
-        timestamp: new Date().toISOString(),
-        healthData: healthData
-      };
-
-      // Store health data
-      this.healthData.set(service.id, result);
-      
-      if (!isHealthy) {
-        logger.warn('Service health check failed', {
-          service: service.name,
-          status: response.status,
-          responseTime
-        });
-      }
-
-      return result;
-
-    } catch (error) {
-      const executionTime = Date.now() - startTime;
-      
-      logger.error('Service health check error', {
-        service: service.name,
-        error: error.message,
-        executionTime
-      });
+  async runScheduledCheck(service) {
+    if (this.records.hasFreshReport(service.id, Date.now(), this.getCheckInterval(service) * 2)) {
+      return null;
+    }
 
-      const result = {
-        serviceId: service.id,
-        serviceName: service.name,
-        status: 'error',
-        error: error.message,
-        responseTime: executionTime,
-        timestamp: new Date().toISOString()
-      };
+    const result = await this.checkServiceHealth(service).catch(error => ({
+      serviceId: service.id,
+      error: error.message,
+      status: 'error'
+    }));
 
-      this.healthData.set(service.id, result);
-      return result;
-    }
+    this.records.apply(result);
+    return result;
   }
 
   /**
-   * Check Big Brother compliance from health response
+   * Check interval of a service in ms
    */
-  checkBigBrotherCompliance(healthData, responseTime) {
-    const compliance = {
-      responseTime: {
-        actual: responseTime,
-        target: 100,
-        compliant: responseTime < 100
-      },
-      bigBrotherCompliant: false,
-      issues: []
-    };
-
-    // Check if service claims Big Brother compliance
-    if (healthData.bigBrotherCompliant === true) {
-      compliance.bigBrotherCompliant = true;
-    } else {
-      compliance.issues.push('Service not marked as Big Brother compliant');
-    }
-
-    // Check response time compliance
-    if (!compliance.responseTime.compliant) {
-      compliance.issues.push(`Response time ${responseTime}ms exceeds 100ms target`);
-    }
-
-    // Check for performance data
-    if (healthData.performance) {
-      const perf = healthData.performance;
-      
-      if (perf.memoryMB && parseFloat(perf.memoryMB) > 50) {
-        compliance.issues.push(`Memory usage ${perf.memoryMB}MB exceeds 50MB target`);
-      }
-    }
-
-    return compliance;
+  getCheckInterval(service) {
+    return service.checkIntervalSeconds ? service.checkIntervalSeconds * 1000 : this.checkInterval;
   }
 
   /**
-   * Get current health status of all services
+   * Check a service's instances and store the aggregated result
    */
-  getSystemHealth() {
-    const serviceRegistry = getServiceRegistry();
-    const services = serviceRegistry.getAllServices();
-    const healthData = Array.from(this.healthData.values());
-    
-    const stats = {
-      totalServices: services.length,
-      healthyServices: healthData.filter(h => h.status === 'healthy').length,
-      unhealthyServices: healthData.filter(h => h.status === 'unhealthy').length,
-      errorServices: healthData.filter(h => h.status === 'error').length,
-      bigBrotherCompliant: healthData.filter(h => h.compliance?.bigBrotherCompliant).length
-    };
-
-    stats.healthRate = services.length > 0 ? 
-      ((stats.healthyServices / services.length) * 100).toFixed(1) + '%' : '0%';
-    
-    stats.complianceRate = services.length > 0 ? 
-      ((stats.bigBrotherCompliant / services.length) * 100).toFixed(1) + '%' : '0%';
-
-    return {
-      monitoring: this.monitoring,
-      lastCheck: this.getLastCheckTime(),
-      stats,
-      services: healthData.map(h => ({
-        serviceId: h.serviceId,
-        serviceName: h.serviceName,
-        status: h.status,
-        responseTime: h.responseTime,
-        bigBrotherCompliant: h.compliance?.bigBrotherCompliant || false,
-        timestamp: h.timestamp
-      }))
-    };
+  async checkServiceHealth(service) {
+    const result = await this.checker.checkService(service);
+    this.records.record(service, result);
+    return result;
   }
 
   /**
-   * Get last check time
+   * Record a health report pushed by a service (directly or via the WebhookHub)
+   * Payload: { source, data: { serviceId | serviceName, instanceId?, status, responseTime, ... } }
    */
-  getLastCheckTime() {
-    const healthTimes = Array.from(this.healthData.values())
-      .map(h => new Date(h.timestamp).getTime())
-      .filter(t => !isNaN(t));
-    
-    if (healthTimes.length === 0) {
-      return null;
+  recordHealthReport(payload = {}, now = Date.now()) {
+    const report = buildHealthReport(payload, this.records.healthData, now);
+
+    if (!report.success) {
+      return report;
     }
 
-    return new Date(Math.max(...healthTimes)).toISOString();
+    const { service, health: result } = report;
+    this.records.record(service, result);
+    this.records.apply(result);
+
+    if (result.status !== 'healthy') {
+      logger.warn('Service reported unhealthy status', { service: service.name, status: result.status });
+    }
+
+    return { success: true, health: result };
   }
 
   /**
-   * Get health data for specific service
+   * Get current health status of all services (or those matching a label selector)
    */
-  getServiceHealth(serviceId) {
-    return this.healthData.get(serviceId) || null;
+  getSystemHealth(selector) {
+    const services = getServiceRegistry().getServicesBySelector(selector);
+
+    return { monitoring: this.monitoring, ...this.records.summarize(services, selector) };
   }
 
   /**
@@ -332,6 +222,8 @@ class HealthMonitor {
       monitoring: this.monitoring,
       bigBrotherCompliant: true,
       systemHealth: this.getSystemHealth(),
+      history: this.records.history.getStats(),
+      scheduler: this.scheduler.getStats(),
       timestamp: new Date().toISOString()
     };
   }
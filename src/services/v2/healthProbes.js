@@ -0,0 +1,148 @@
+/**
+ * BIG BROTHER COMPLIANT - Health Probes v2
+ * SINGLE RESPONSIBILITY: Run configurable health-check probes
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+const net = require('net');
+const { execFile } = require('child_process');
+const axios = require('axios');
+const { matchesFilter, parseRegex } = require('./payloadMatcher');
+const {
+  PROBE_TYPES, isAllowedCommand, parseStatusRanges, validateProbe
+} = require('./probeConfig');
+
+/**
+ * Probe definitions (service.probe, validated by probeConfig), run against each instance:
+ *   { type: 'http', method, path, headers, body, expectStatus, assertions, bodyPattern }
+ *     expectStatus: 200 | "200-299" | [200, "300-304"] (default "200-299")
+ *     assertions:   payloadMatcher predicates on the JSON body ("$.db.connected == true")
+ *     bodyPattern:  regex the raw body must match ("/ready/i")
+ *   { type: 'tcp', host, port }   (defaults to the instance URL's host and port)
+ *   { type: 'command', command, args, bodyPattern }   exit code 0 is healthy;
+ *     only command lines (command and args) listed in HEALTH_PROBE_COMMANDS may run
+ * Every probe accepts timeoutMs. A probe that cannot run (connection refused,
+ * timeout) throws; one that runs but fails its checks returns failures.
+ */
+const MAX_OUTPUT_BYTES = 64 * 1024;
+
+/**
+ * HTTP probe: custom request, expected status, JSON assertions, body regex
+ */
+async function runHttpProbe(probe, instance, timeout) {
+  const path = probe.path || instance.healthEndpoint || '/health';
+  const response = await axios.request({
+    url: `${instance.url.replace(/\/+$/, '')}${path}`,
+    method: probe.method || 'GET',
+    headers: probe.headers,
+    data: probe.body,
+    timeout,
+    responseType: 'text',
+    transformResponse: data => data,
+    validateStatus: () => true
+  });
+
+  const text = typeof response.data === 'string' ? response.data : '';
+  let body = text;
+  try {
+    body = JSON.parse(text);
+  } catch (error) {
+    // Plain-text body; assertions see the string
+  }
+
+  const failures = [];
+  const ranges = parseStatusRanges(probe.expectStatus);
+  if (!ranges.some(([min, max]) => response.status >= min && response.status <= max)) {
+    failures.push(`HTTP ${response.status} is not an expected status`);
+  }
+
+  for (const assertion of [].concat(probe.assertions || [])) {
+    if (!matchesFilter(assertion, body)) {
+      failures.push(`Assertion failed: ${assertion}`);
+    }
+  }
+
+  if (probe.bodyPattern !== undefined && !parseRegex(probe.bodyPattern).test(text)) {
+    failures.push(`Body does not match ${probe.bodyPattern}`);
+  }
+
+  return { httpStatus: response.status, body, failures };
+}
+
+/**
+ * TCP probe: healthy when a connection is accepted
+ */
+function runTcpProbe(probe, instance, timeout) {
+  const url = new URL(instance.url);
+  const host = probe.host || url.hostname;
+  const port = probe.port || Number(url.port) || (url.protocol === 'https:' ? 443 : 80);
+
+  return new Promise((resolve, reject) => {
+    const socket = net.connect({ host, port });
+    socket.setTimeout(timeout);
+    socket.once('connect', () => {
+      socket.destroy();
+      resolve({ body: { host, port }, failures: [] });
+    });
+    socket.once('timeout', () => {
+      socket.destroy();
+      reject(new Error(`TCP connect to ${host}:${port} timed out after ${timeout}ms`));
+    });
+    socket.once('error', error => {
+      socket.destroy();
+      reject(error);
+    });
+  });
+}
+
+/**
+ * Command probe: runs an allowlisted command line (no shell) with the
+ * instance in its environment; exit code 0 is healthy
+ */
+function runCommandProbe(probe, instance, timeout) {
+  if (!isAllowedCommand(probe)) {
+    return Promise.reject(new Error(`Command ${probe.command} is not allowed`));
+  }
+
+  return new Promise((resolve, reject) => {
+    execFile(probe.command, probe.args || [], {
+      timeout,
+      maxBuffer: MAX_OUTPUT_BYTES,
+      env: { ...process.env, BB_INSTANCE_ID: instance.id, BB_INSTANCE_URL: instance.url }
+    }, (error, stdout) => {
+      if (error && (error.killed || typeof error.code !== 'number')) {
+        return reject(error.killed ? new Error(`Command timed out after ${timeout}ms`) : error);
+      }
+
+      const output = String(stdout).trim();
+      const failures = [];
+      if (error) {
+        failures.push(`Command exited with code ${error.code}`);
+      }
+      if (probe.bodyPattern !== undefined && !parseRegex(probe.bodyPattern).test(output)) {
+        failures.push(`Output does not match ${probe.bodyPattern}`);
+      }
+
+      resolve({ exitCode: error ? error.code : 0, body: { output: output.slice(0, 500) }, failures });
+    });
+  });
+}
+
+/**
+ * Run a probe against one instance
+ */
+function runProbe(probe, instance, options = {}) {
+  const timeout = probe.timeoutMs || options.timeout || 5000;
+
+  switch (probe.type) {
+    case 'tcp': return runTcpProbe(probe, instance, timeout);
+    case 'command': return runCommandProbe(probe, instance, timeout);
+    default: return runHttpProbe(probe, instance, timeout);
+  }
+}
+
+module.exports = {
+  PROBE_TYPES,
+  validateProbe,
+  runProbe
+};
@@ -0,0 +1,200 @@
+/**
+ * BIG BROTHER COMPLIANT - Health Records v2
+ * SINGLE RESPONSIBILITY: Record per-service health results and apply them to status, alerts and incidents
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+const { getServiceRegistry } = require('./serviceRegistry');
+const HealthHistoryStore = require('./healthHistoryStore');
+const { SloEvaluator } = require('./sloEvaluator');
+const { getPerformanceAlertManager } = require('./performanceAlertManager');
+const { getAlertNotifier } = require('./alertNotifier');
+
+const FAILING_STATUSES = ['unhealthy', 'error'];
+
+/**
+ * Tag each failing service as an independent incident or as a likely
+ * symptom of failing services it (transitively) depends on
+ */
+function classifyFailures(healthData, graph) {
+  const failing = new Set();
+
+  for (const health of healthData.values()) {
+    if (FAILING_STATUSES.includes(health.status)) {
+      failing.add(health.serviceId);
+    }
+  }
+
+  const failingUpstream = new Map();
+  for (const serviceId of failing) {
+    failingUpstream.set(serviceId, graph.getDependencies(serviceId)
+      .map(dependency => dependency.id)
+      .filter(id => failing.has(id)));
+  }
+
+  for (const health of healthData.values()) {
+    const upstream = failingUpstream.get(health.serviceId);
+
+    if (!upstream) {
+      delete health.incident;
+    } else if (upstream.length === 0) {
+      health.incident = { type: 'independent', rootCauses: [] };
+    } else {
+      // Root causes: failing dependencies with no failing dependencies of their own
+      const roots = upstream.filter(id => failingUpstream.get(id).length === 0);
+      health.incident = {
+        type: 'symptom',
+        rootCauses: (roots.length > 0 ? roots : upstream).map(id => ({
+          serviceId: id,
+          serviceName: healthData.get(id).serviceName
+        }))
+      };
+    }
+  }
+}
+
+/**
+ * Latest check time across all services
+ */
+function getLastCheckTime(healthData) {
+  const healthTimes = Array.from(healthData.values())
+    .map(h => new Date(h.timestamp).getTime())
+    .filter(t => !isNaN(t));
+
+  if (healthTimes.length === 0) {
+    return null;
+  }
+
+  return new Date(Math.max(...healthTimes)).toISOString();
+}
+
+/**
+ * Health stats and per-service health of the given services (all health
+ * data when no selector narrowed them down)
+ */
+function summarizeHealth(healthData, services, selector) {
+  const registered = new Map(services.map(service => [service.id, service]));
+  const health = Array.from(healthData.values())
+    .filter(h => selector === undefined || registered.has(h.serviceId));
+
+  const stats = {
+    totalServices: services.length,
+    healthyServices: health.filter(h => h.status === 'healthy').length,
+    unhealthyServices: health.filter(h => h.status === 'unhealthy').length,
+    errorServices: health.filter(h => h.status === 'error').length,
+    symptomServices: health.filter(h => h.incident && h.incident.type === 'symptom').length,
+    flappingServices: services.filter(service => service.status === 'flapping').length,
+    bigBrotherCompliant: health.filter(h => h.compliance?.bigBrotherCompliant).length
+  };
+
+  stats.healthRate = services.length > 0 ?
+    ((stats.healthyServices / services.length) * 100).toFixed(1) + '%' : '0%';
+
+  stats.complianceRate = services.length > 0 ?
+    ((stats.bigBrotherCompliant / services.length) * 100).toFixed(1) + '%' : '0%';
+
+  return {
+    stats,
+    services: health.map(h => ({
+      serviceId: h.serviceId,
+      serviceName: h.serviceName,
+      status: h.status,
+      registryStatus: registered.has(h.serviceId) ? registered.get(h.serviceId).status : null,
+      source: h.source || 'poll',
+      incident: h.incident || null,
+      instances: h.totalInstances !== undefined ? `${h.healthyInstances}/${h.totalInstances}` : null,
+      responseTime: h.responseTime,
+      bigBrotherCompliant: h.compliance?.bigBrotherCompliant || false,
+      timestamp: h.timestamp
+    }))
+  };
+}
+
+class HealthRecords {
+  constructor(options = {}) {
+    this.healthData = new Map(); // Latest result per service
+    this.history = new HealthHistoryStore();
+    this.slos = new SloEvaluator({ history: this.history });
+    this.pushReportTtl = options.pushReportTtl;
+  }
+
+  /**
+   * Store a service's latest result, append it to its history and
+   * re-evaluate its SLOs
+   */
+  record(service, result) {
+    this.healthData.set(service.id, result);
+    this.history.record(service.id, result);
+
+    if (Array.isArray(service.slos) && service.slos.length > 0) {
+      this.slos.evaluateAndAlert(service, getPerformanceAlertManager());
+    }
+  }
+
+  /**
+   * Update the registry status (through its hysteresis policy), evaluate
+   * alert rules against the updated service and re-tag incidents
+   */
+  apply(result) {
+    const update = getServiceRegistry().statusTracker.applyHealthResult(result.serviceId, result);
+
+    if (update.success) {
+      getAlertNotifier().evaluate(update.service, result);
+    }
+
+    this.classifyFailures();
+    return update;
+  }
+
+  /**
+   * Latest result of a service
+   */
+  get(serviceId) {
+    return this.healthData.get(serviceId) || null;
+  }
+
+  /**
+   * Error budget, burn rates and alert state of each SLO of a service
+   */
+  getSlos(service, now = Date.now()) {
+    return this.slos.evaluate(service, now);
+  }
+
+  /**
+   * Uptime, latency percentiles and status transitions of a service over a
+   * window (an empty summary when it has no recorded checks)
+   */
+  getHistory(serviceId, options = {}) {
+    return this.history.query(serviceId, options);
+  }
+
+  /**
+   * Whether a service pushed a report within ttl (default twice the default
+   * check interval), so polling it can be skipped
+   */
+  hasFreshReport(serviceId, now = Date.now(), ttl = this.pushReportTtl) {
+    const health = this.healthData.get(serviceId);
+    return Boolean(health && health.source === 'push' &&
+      now - new Date(health.timestamp).getTime() < ttl);
+  }
+
+  /**
+   * Re-tag failing services against the current dependency graph
+   */
+  classifyFailures() {
+    classifyFailures(this.healthData, getServiceRegistry().getDependencyGraph());
+  }
+
+  /**
+   * Last check time, stats and per-service health of the given services
+   */
+  summarize(services, selector) {
+    return { lastCheck: getLastCheckTime(this.healthData), ...summarizeHealth(this.healthData, services, selector) };
+  }
+}
+
+module.exports = {
+  HealthRecords,
+  classifyFailures,
+  summarizeHealth
+};
@@ -0,0 +1,117 @@
+/**
+ * BIG BROTHER COMPLIANT - Health Reports v2
+ * SINGLE RESPONSIBILITY: Turn pushed health reports into health results and grade compliance
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+const { getServiceRegistry } = require('./serviceRegistry');
+const { getInstances, aggregateInstanceStatus } = require('./serviceInstances');
+
+const REPORTED_STATUSES = { ok: 'healthy', healthy: 'healthy', unhealthy: 'unhealthy', error: 'error' };
+
+/**
+ * Check Big Brother compliance from health response
+ */
+function checkBigBrotherCompliance(healthData, responseTime) {
+  const compliance = {
+    responseTime: {
+      actual: responseTime,
+      target: 100,
+      compliant: responseTime < 100
+    },
+    bigBrotherCompliant: false,
+    issues: []
+  };
+
+  // Check if service claims Big Brother compliance
+  if (healthData.bigBrotherCompliant === true) {
+    compliance.bigBrotherCompliant = true;
+  } else {
+    compliance.issues.push('Service not marked as Big Brother compliant');
+  }
+
+  // Check response time compliance
+  if (!compliance.responseTime.compliant) {
+    compliance.issues.push(`Response time ${responseTime}ms exceeds 100ms target`);
+  }
+
+  // Check for performance data
+  if (healthData.performance) {
+    const perf = healthData.performance;
+
+    if (perf.memoryMB && parseFloat(perf.memoryMB) > 50) {
+      compliance.issues.push(`Memory usage ${perf.memoryMB}MB exceeds 50MB target`);
+    }
+  }
+
+  return compliance;
+}
+
+/**
+ * Build the health result of a report pushed by a service; healthData holds
+ * the latest result per service (a single-instance report keeps the others)
+ * Payload: { source, data: { serviceId | serviceName, instanceId?, status, responseTime, ... } }
+ */
+function buildHealthReport(payload, healthData, now = Date.now()) {
+  const report = payload.data && typeof payload.data === 'object' ? payload.data : payload;
+  const status = REPORTED_STATUSES[report.status];
+
+  if (!status) {
+    return {
+      success: false,
+      error: `Health status must be one of: ${Object.keys(REPORTED_STATUSES).join(', ')}`,
+      code: 'INVALID_HEALTH_REPORT'
+    };
+  }
+
+  const serviceRegistry = getServiceRegistry();
+  const serviceRef = report.serviceId || report.serviceName || payload.source;
+  const service = serviceRegistry.getService(serviceRef) ||
+    serviceRegistry.getAllServices().find(s => s.name === serviceRef);
+
+  if (!service) {
+    return { success: false, error: 'Health report source is not a registered service', code: 'SERVICE_NOT_FOUND' };
+  }
+
+  const responseTime = typeof report.responseTime === 'number' ? report.responseTime : 0;
+  const timestamp = new Date(now).toISOString();
+  const result = {
+    serviceId: service.id,
+    serviceName: service.name,
+    status,
+    source: 'push',
+    responseTime,
+    compliance: checkBigBrotherCompliance(report, responseTime),
+    timestamp,
+    healthData: report
+  };
+
+  // A report for one instance updates that instance and re-aggregates the service
+  if (report.instanceId !== undefined) {
+    const instances = getInstances(service);
+    const instance = instances.find(i => i.id === report.instanceId);
+
+    if (!instance) {
+      return { success: false, error: 'Health report names an unknown instance', code: 'INSTANCE_NOT_FOUND' };
+    }
+
+    const previous = (healthData.get(service.id) || {}).instances || [];
+    result.instances = instances.map(i => i.id === instance.id
+      ? { instanceId: i.id, url: i.url, status, responseTime, timestamp }
+      : previous.find(p => p.instanceId === i.id) ||
+        { instanceId: i.id, url: i.url, status: 'unknown', responseTime: null, timestamp: null });
+
+    const aggregate = aggregateInstanceStatus(service, result.instances);
+    result.status = aggregate.status;
+    result.healthyInstances = aggregate.healthy;
+    result.totalInstances = aggregate.total;
+  }
+
+  return { success: true, service, health: result };
+}
+
+module.exports = {
+  REPORTED_STATUSES,
+  checkBigBrotherCompliance,
+  buildHealthReport
+};
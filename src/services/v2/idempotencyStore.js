@@ -0,0 +1,155 @@
+/**
+ * BIG BROTHER COMPLIANT - Idempotency Store v2
+ * SINGLE RESPONSIBILITY: Recognize redelivered webhooks within a dedup window
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+const { resolvePath } = require('./payloadMatcher');
+
+// Provider delivery-ID headers, most specific first
+const IDEMPOTENCY_HEADERS = [
+  'idempotency-key',
+  'x-idempotency-key',
+  'x-github-delivery',
+  'webhook-id',
+  'x-bigbrother-delivery'
+];
+
+class IdempotencyStore {
+  constructor(options = {}) {
+    this.windowMs = (options.windowSeconds ||
+      parseInt(process.env.WEBHOOK_DEDUP_WINDOW_SECONDS, 10) || 86400) * 1000;
+    this.fields = options.fields || IdempotencyStore.loadFieldsFromEnv(process.env);
+    this.maxEntries = options.maxEntries || 10000; // Big Brother memory limit
+    this.entries = new Map();
+    this.keysByEventId = new Map();
+    this.duplicates = 0;
+  }
+
+  /**
+   * Read WEBHOOK_IDEMPOTENCY_FIELDS, a JSON map of source -> payload path
+   * e.g. {"render":"$.data.id","*":"$.idempotencyKey"}
+   */
+  static loadFieldsFromEnv(env) {
+    if (!env.WEBHOOK_IDEMPOTENCY_FIELDS) {
+      return { '*': '$.idempotencyKey' };
+    }
+
+    try {
+      return JSON.parse(env.WEBHOOK_IDEMPOTENCY_FIELDS);
+    } catch (error) {
+      throw new Error(`WEBHOOK_IDEMPOTENCY_FIELDS must be valid JSON: ${error.message}`);
+    }
+  }
+
+  /**
+   * Extract the idempotency key from delivery headers or the configured payload field
+   */
+  extractKey(source, headers = {}, payload = {}) {
+    for (const header of IDEMPOTENCY_HEADERS) {
+      if (headers[header]) {
+        return String(headers[header]);
+      }
+    }
+
+    const field = this.fields[source] || this.fields['*'];
+    if (!field) {
+      return null;
+    }
+
+    const value = resolvePath(payload, field);
+    return value === undefined || value === null || value === '' ? null : String(value);
+  }
+
+  /**
+   * Find a live entry for a source/key pair
+   */
+  lookup(source, key, now = Date.now()) {
+    if (!key) {
+      return null;
+    }
+
+    const entry = this.entries.get(`${source}:${key}`);
+
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expiresAt <= now) {
+      this.forget(entry);
+      return null;
+    }
+
+    entry.duplicates++;
+    this.duplicates++;
+    return entry;
+  }
+
+  /**
+   * Remember the event ID accepted for a source/key pair
+   */
+  remember(source, key, eventId, status = 'queued', now = Date.now()) {
+    if (!key) {
+      return null;
+    }
+
+    this.prune(now);
+
+    const entry = {
+      source,
+      key,
+      eventId,
+      status,
+      firstSeenAt: new Date(now).toISOString(),
+      expiresAt: now + this.windowMs,
+      duplicates: 0
+    };
+
+    this.entries.set(`${source}:${key}`, entry);
+    this.keysByEventId.set(eventId, `${source}:${key}`);
+    return entry;
+  }
+
+  /**
+   * Update the processing status recorded for an event
+   */
+  updateStatus(eventId, status) {
+    const entry = this.entries.get(this.keysByEventId.get(eventId));
+    if (entry) {
+      entry.status = status;
+    }
+  }
+
+  /**
+   * Drop an entry
+   */
+  forget(entry) {
+    this.entries.delete(`${entry.source}:${entry.key}`);
+    this.keysByEventId.delete(entry.eventId);
+  }
+
+  /**
+   * Drop expired entries and enforce the size cap (oldest first)
+   */
+  prune(now = Date.now()) {
+    for (const entry of this.entries.values()) {
+      if (entry.expiresAt > now && this.entries.size < this.maxEntries) {
+        break;
+      }
+      this.forget(entry);
+    }
+  }
+
+  /**
+   * Get store statistics
+   */
+  getStats() {
+    return {
+      trackedKeys: this.entries.size,
+      duplicatesSuppressed: this.duplicates,
+      windowSeconds: this.windowMs / 1000
+    };
+  }
+}
+
+module.exports = IdempotencyStore;
@@ -0,0 +1,94 @@
+/**
+ * BIG BROTHER COMPLIANT - Instance Balancer v2
+ * SINGLE RESPONSIBILITY: Pick the instance of a service that receives a delivery
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+const { getInstances } = require('./serviceInstances');
+
+const FAILING_STATUSES = ['unhealthy', 'error'];
+const LATENCY_SMOOTHING = 0.3; // Weight of the newest delivery in the moving average
+const FAILURE_PENALTY_MS = 30000; // Latency a failed delivery counts as (refused connections fail fast)
+
+/**
+ * Instances whose last health check failed are skipped while any other
+ * instance is available. Strategies (service.instanceSelection):
+ *   round-robin (default) - rotate through available instances
+ *   least-latency         - lowest delivery latency (moving average), falling
+ *                           back to the last health check response time
+ */
+class InstanceBalancer {
+  constructor() {
+    this.cursors = new Map();   // serviceId -> next round-robin position
+    this.latencies = new Map(); // serviceId/instanceId -> moving average (ms)
+  }
+
+  /**
+   * Choose an instance of a service
+   */
+  pick(service) {
+    const instances = getInstances(service);
+    const reported = new Map(((service.healthData && service.healthData.instances) || [])
+      .map(health => [health.instanceId, health]));
+    const available = instances.filter(instance =>
+      !reported.has(instance.id) || !FAILING_STATUSES.includes(reported.get(instance.id).status));
+    const pool = available.length > 0 ? available : instances;
+
+    if (pool.length === 1) {
+      return pool[0];
+    }
+
+    if (service.instanceSelection === 'least-latency') {
+      return pool.reduce((best, instance) =>
+        this.getLatency(service.id, instance, reported) < this.getLatency(service.id, best, reported)
+          ? instance : best);
+    }
+
+    const cursor = this.cursors.get(service.id) || 0;
+    this.cursors.set(service.id, cursor + 1);
+    return pool[cursor % pool.length];
+  }
+
+  /**
+   * Expected latency of an instance (untried instances count as fastest)
+   */
+  getLatency(serviceId, instance, reported) {
+    const key = `${serviceId}/${instance.id}`;
+
+    if (this.latencies.has(key)) {
+      return this.latencies.get(key);
+    }
+
+    const health = reported.get(instance.id);
+    return health && typeof health.responseTime === 'number' ? health.responseTime : 0;
+  }
+
+  /**
+   * Feed a delivery's latency into the instance's moving average; failed
+   * deliveries count as FAILURE_PENALTY_MS however quickly they failed
+   */
+  recordLatency(serviceId, instanceId, latencyMs, success = true) {
+    const key = `${serviceId}/${instanceId}`;
+    const previous = this.latencies.get(key);
+
+    if (!success) {
+      latencyMs = Math.max(latencyMs || 0, FAILURE_PENALTY_MS);
+    }
+
+    this.latencies.set(key, previous === undefined
+      ? latencyMs
+      : previous + LATENCY_SMOOTHING * (latencyMs - previous));
+  }
+
+  /**
+   * Balancer statistics
+   */
+  getStats() {
+    return {
+      services: this.cursors.size,
+      trackedInstances: this.latencies.size
+    };
+  }
+}
+
+module.exports = InstanceBalancer;
@@ -0,0 +1,121 @@
+/**
+ * BIG BROTHER COMPLIANT - JSON File Registry Store v2
+ * SINGLE RESPONSIBILITY: Persist ServiceRegistry records to a JSON document
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../utils/logger');
+
+/**
+ * The whole registry (max 50 services) is rewritten on every change through a
+ * temp file + rename, so a crash leaves either the old or the new document.
+ * File format: { "version": 1, "services": [ {...}, ... ] }
+ */
+class JsonFileRegistryStore {
+  constructor(options = {}) {
+    this.type = 'file';
+    this.durable = true;
+    this.filePath = options.filePath || path.join(process.cwd(), 'data', 'service-registry.json');
+    this.records = new Map();
+    this.writes = 0;
+  }
+
+  /**
+   * Read the registry document (an unreadable file is moved aside, not overwritten)
+   */
+  load() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    this.records.clear();
+
+    if (!fs.existsSync(this.filePath)) {
+      return [];
+    }
+
+    try {
+      const document = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      for (const service of document.services || []) {
+        this.records.set(service.id, service);
+      }
+    } catch (error) {
+      const corruptPath = `${this.filePath}.corrupt-${Date.now()}`;
+      fs.renameSync(this.filePath, corruptPath);
+      logger.error('Unreadable service registry file moved aside', { file: this.filePath, movedTo: corruptPath, error: error.message });
+    }
+
+    return Array.from(this.records.values());
+  }
+
+  /**
+   * Insert or replace a service record
+   */
+  save(service) {
+    const previous = this.records.get(service.id);
+    this.records.set(service.id, service);
+
+    try {
+      this.flush();
+    } catch (error) {
+      if (previous) {
+        this.records.set(service.id, previous);
+      } else {
+        this.records.delete(service.id);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a service record
+   */
+  remove(serviceId) {
+    const previous = this.records.get(serviceId);
+    this.records.delete(serviceId);
+
+    try {
+      this.flush();
+    } catch (error) {
+      if (previous) {
+        this.records.set(serviceId, previous);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Atomically rewrite the registry document
+   */
+  flush() {
+    const tmpPath = `${this.filePath}.tmp`;
+    const document = {
+      version: 1,
+      updatedAt: new Date().toISOString(),
+      services: Array.from(this.records.values())
+    };
+
+    fs.writeFileSync(tmpPath, JSON.stringify(document, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+    this.writes++;
+  }
+
+  /**
+   * Store details
+   */
+  getStats() {
+    return {
+      store: this.type,
+      durable: this.durable,
+      file: this.filePath,
+      records: this.records.size,
+      writes: this.writes
+    };
+  }
+
+  /**
+   * Nothing held open between writes
+   */
+  close() {}
+}
+
+module.exports = JsonFileRegistryStore;
@@ -0,0 +1,156 @@
+/**
+ * BIG BROTHER COMPLIANT - Label Selector v2
+ * SINGLE RESPONSIBILITY: Validate service labels and match them against selectors
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+/**
+ * Selector syntax (comma-separated requirements, all must match):
+ *   team=payments   team==payments   team!=infra   region   !canary
+ * `!=` also matches services without the label. Every service carries the
+ * built-in labels name, type and environment alongside its own labels.
+ */
+const KEY_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._\/-]{0,62}$/;
+const VALUE_PATTERN = /^[A-Za-z0-9._\/-]{0,63}$/;
+const REQUIREMENT_PATTERN = /^\s*([^\s!=]+)\s*(==|!=|=)\s*([^\s]*)\s*$/;
+const EXISTS_PATTERN = /^\s*(!?)\s*([^\s!=]+)\s*$/;
+const BUILTIN_LABELS = ['name', 'type', 'environment'];
+const MAX_LABELS = 64;
+
+const compiledCache = new Map();
+const MAX_CACHE_SIZE = 500; // Big Brother memory limit
+
+/**
+ * Parse one requirement ("key=value", "key!=value", "key", "!key")
+ */
+function parseRequirement(term) {
+  let match;
+
+  if ((match = term.match(REQUIREMENT_PATTERN))) {
+    const [, key, operator, value] = match;
+    if (!KEY_PATTERN.test(key)) throw new Error(`Invalid label key: ${key}`);
+    if (!VALUE_PATTERN.test(value)) throw new Error(`Invalid label value: ${value}`);
+    return { key, operator: operator === '!=' ? '!=' : '=', value };
+  }
+
+  if ((match = term.match(EXISTS_PATTERN))) {
+    const [, negate, key] = match;
+    if (!KEY_PATTERN.test(key)) throw new Error(`Invalid label key: ${key}`);
+    return { key, operator: negate ? '!exists' : 'exists' };
+  }
+
+  throw new Error(`Unrecognized selector requirement: ${term.trim()}`);
+}
+
+/**
+ * Compile a selector string into a list of requirements
+ */
+function compileSelector(expression) {
+  if (compiledCache.has(expression)) {
+    return compiledCache.get(expression);
+  }
+
+  const requirements = expression.split(',')
+    .filter(term => term.trim() !== '')
+    .map(parseRequirement);
+
+  if (compiledCache.size >= MAX_CACHE_SIZE) {
+    compiledCache.delete(compiledCache.keys().next().value);
+  }
+  compiledCache.set(expression, requirements);
+
+  return requirements;
+}
+
+/**
+ * Validate a selector string
+ */
+function validateSelector(expression) {
+  if (expression === undefined) {
+    return { isValid: true, errors: [] };
+  }
+
+  if (typeof expression !== 'string') {
+    return { isValid: false, errors: ['Label selector must be a string'] };
+  }
+
+  try {
+    compileSelector(expression);
+    return { isValid: true, errors: [] };
+  } catch (error) {
+    return { isValid: false, errors: [`Invalid label selector: ${error.message}`] };
+  }
+}
+
+/**
+ * Check whether a label set satisfies every requirement of a selector
+ */
+function matchesSelector(expression, labels) {
+  if (expression === undefined || expression === null) {
+    return true;
+  }
+
+  return compileSelector(expression).every(({ key, operator, value }) => {
+    const has = Object.prototype.hasOwnProperty.call(labels, key);
+    switch (operator) {
+      case '=': return has && labels[key] === value;
+      case '!=': return !has || labels[key] !== value;
+      case 'exists': return has;
+      default: return !has;
+    }
+  });
+}
+
+/**
+ * Validate a service's labels ({ key: value } with selector-safe keys and values)
+ */
+function validateLabels(labels) {
+  const errors = [];
+
+  if (labels === undefined) {
+    return { isValid: true, errors };
+  }
+
+  if (!labels || typeof labels !== 'object' || Array.isArray(labels)) {
+    return { isValid: false, errors: ['labels must be an object of key/value strings'] };
+  }
+
+  const keys = Object.keys(labels);
+  if (keys.length > MAX_LABELS) {
+    errors.push(`labels may have at most ${MAX_LABELS} entries`);
+  }
+
+  for (const key of keys) {
+    if (!KEY_PATTERN.test(key)) {
+      errors.push(`Invalid label key: ${key}`);
+    } else if (BUILTIN_LABELS.includes(key)) {
+      errors.push(`Label ${key} is built in and cannot be set`);
+    } else if (typeof labels[key] !== 'string' || !VALUE_PATTERN.test(labels[key])) {
+      errors.push(`Invalid value for label ${key} (letters, digits, . _ / - up to 63 characters)`);
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * A service's labels including the built-in name, type and environment
+ */
+function getServiceLabels(service) {
+  return {
+    ...(service.labels || {}),
+    name: service.name,
+    type: service.type,
+    environment: service.environment || 'production'
+  };
+}
+
+module.exports = {
+  validateSelector,
+  matchesSelector,
+  validateLabels,
+  getServiceLabels
+};
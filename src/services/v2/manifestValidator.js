@@ -0,0 +1,105 @@
+/**
+ * BIG BROTHER COMPLIANT - Manifest Validator v2
+ * SINGLE RESPONSIBILITY: Validate service manifest documents before import
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+const { ROUTE_FIELDS } = require('./webhookRouteConfig');
+const { validateServiceConfig } = require('./serviceConfig');
+
+const MANIFEST_VERSION = 1;
+const DEFAULT_ENVIRONMENT = 'production';
+// Service fields a manifest may declare (ttlSeconds becomes the lease)
+const SERVICE_FIELDS = [
+  'name', 'environment', 'type', 'version', 'url', 'healthEndpoint', 'capabilities',
+  'bigBrotherCompliant', 'description', 'dependsOn', 'tags', 'labels', 'instances',
+  'minHealthyInstances', 'instanceSelection', 'probe', 'slos', 'statusPolicy',
+  'checkIntervalSeconds', 'checkTimeoutMs', 'ttlSeconds'
+];
+// Fields identifying a route across imports (everything else is updated in place)
+const ROUTE_KEY_FIELDS = ['source', 'eventType', 'target', 'targetSelector', 'endpoint'];
+
+/**
+ * Identity of a route across imports
+ */
+function getRouteKey(route) {
+  return ROUTE_KEY_FIELDS.map(field => route[field] || '').join(' ');
+}
+
+/**
+ * Validate every entry of a manifest against the registry and webhook hub;
+ * nothing is applied unless the whole manifest is valid
+ */
+function validateManifest(manifest, { registry, webhookHub, findService }) {
+  const errors = [];
+
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    return { isValid: false, errors: ['Manifest must be an object with services and/or routes'] };
+  }
+
+  if (manifest.version !== undefined && manifest.version !== MANIFEST_VERSION) {
+    errors.push(`Unsupported manifest version: ${manifest.version} (expected ${MANIFEST_VERSION})`);
+  }
+
+  const services = manifest.services || [];
+  const routes = manifest.routes || [];
+
+  if (!Array.isArray(services) || !Array.isArray(routes)) {
+    errors.push('Manifest services and routes must be arrays');
+    return { isValid: false, errors };
+  }
+
+  const serviceKeys = new Set();
+  services.forEach((entry, index) => {
+    errors.push(...validateEntry(entry, SERVICE_FIELDS, `services[${index}]`,
+      config => validateServiceConfig(config)));
+
+    const key = entry && `${entry.name}@${entry.environment || DEFAULT_ENVIRONMENT}`;
+    if (key && serviceKeys.has(key)) {
+      errors.push(`services[${index}]: duplicate service ${key}`);
+    }
+    serviceKeys.add(key);
+  });
+
+  const created = services.filter(entry => entry && !findService(entry)).length;
+  if (registry.services.size + created > registry.maxServices) {
+    errors.push(`Manifest would exceed registry capacity (${registry.maxServices} services)`);
+  }
+
+  const routeKeys = new Set();
+  routes.forEach((entry, index) => {
+    errors.push(...validateEntry(entry, ROUTE_FIELDS, `routes[${index}]`,
+      config => webhookHub.routes.validate(config)));
+
+    const key = entry && getRouteKey(entry);
+    if (key && routeKeys.has(key)) {
+      errors.push(`routes[${index}]: duplicate route ${key}`);
+    }
+    routeKeys.add(key);
+  });
+
+  return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Validate one entry's shape, allowed fields and configuration
+ */
+function validateEntry(entry, allowedFields, label, validateConfig) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return [`${label}: entry must be an object`];
+  }
+
+  const errors = Object.keys(entry)
+    .filter(field => !allowedFields.includes(field))
+    .map(field => `${label}: unknown field ${field}`);
+
+  return errors.concat(validateConfig(entry).errors.map(error => `${label}: ${error}`));
+}
+
+module.exports = {
+  MANIFEST_VERSION,
+  DEFAULT_ENVIRONMENT,
+  SERVICE_FIELDS,
+  getRouteKey,
+  validateManifest
+};
@@ -0,0 +1,132 @@
+/**
+ * BIG BROTHER COMPLIANT - Memory Queue Backend v2
+ * SINGLE RESPONSIBILITY: In-process webhook event queue with claim/ack
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+/**
+ * Queue backend contract (shared by all backends):
+ *   load()          -> number of unacknowledged events restored
+ *   enqueue(item)   -> store a new event
+ *   claim(now)      -> next due, unclaimed event (or null) for one worker
+ *   requeue(item)   -> persist updated retry state and release the claim
+ *   ack(id)         -> remove a finished event
+ *   list()          -> all unacknowledged events
+ *   size()          -> queue depth
+ *   getStats(now)   -> depth/age statistics
+ *   close()         -> release resources
+ */
+class MemoryQueueBackend {
+  constructor() {
+    this.type = 'memory';
+    this.durable = false;
+    this.items = new Map();
+    this.claimed = new Set();
+  }
+
+  /**
+   * Nothing to restore for an in-memory queue
+   */
+  load() {
+    return this.items.size;
+  }
+
+  /**
+   * Store a new event
+   */
+  enqueue(item) {
+    this.items.set(item.id, item);
+  }
+
+  /**
+   * Claim the oldest event that is due and not held by another worker
+   */
+  claim(now = Date.now()) {
+    for (const item of this.items.values()) {
+      if (!this.claimed.has(item.id) && item.nextAttemptAt <= now) {
+        this.claimed.add(item.id);
+        return item;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Store updated event state and release the claim
+   */
+  requeue(item) {
+    this.items.set(item.id, item);
+    this.claimed.delete(item.id);
+  }
+
+  /**
+   * Remove a finished event
+   */
+  ack(itemId) {
+    this.items.delete(itemId);
+    this.claimed.delete(itemId);
+  }
+
+  /**
+   * Get an event without claiming it
+   */
+  get(itemId) {
+    return this.items.get(itemId) || null;
+  }
+
+  /**
+   * All unacknowledged events
+   */
+  list() {
+    return Array.from(this.items.values());
+  }
+
+  /**
+   * Queue depth
+   */
+  size() {
+    return this.items.size;
+  }
+
+  /**
+   * Depth and age statistics
+   */
+  getStats(now = Date.now()) {
+    let due = 0;
+    let oldestCreatedAt = null;
+    let nextAttemptAt = null;
+
+    for (const item of this.items.values()) {
+      const createdAt = new Date(item.createdAt).getTime();
+
+      if (oldestCreatedAt === null || createdAt < oldestCreatedAt) {
+        oldestCreatedAt = createdAt;
+      }
+
+      if (item.nextAttemptAt <= now) {
+        due++;
+      } else if (nextAttemptAt === null || item.nextAttemptAt < nextAttemptAt) {
+        nextAttemptAt = item.nextAttemptAt;
+      }
+    }
+
+    return {
+      backend: this.type,
+      durable: this.durable,
+      depth: this.items.size,
+      due,
+      inFlight: this.claimed.size,
+      oldestAgeMs: oldestCreatedAt === null ? 0 : now - oldestCreatedAt,
+      nextAttemptAt: nextAttemptAt === null ? null : new Date(nextAttemptAt).toISOString()
+    };
+  }
+
+  /**
+   * Release resources
+   */
+  close() {
+    this.claimed.clear();
+  }
+}
+
+module.exports = MemoryQueueBackend;
@@ -0,0 +1,62 @@
+/**
+ * BIG BROTHER COMPLIANT - Memory Registry Store v2
+ * SINGLE RESPONSIBILITY: Non-durable ServiceRegistry storage
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+/**
+ * Registry store contract (shared by all stores):
+ *   load()           -> array of persisted service records
+ *   save(service)    -> insert or replace a service record
+ *   remove(id)       -> delete a service record
+ *   getStats()       -> store details
+ *   close()          -> release resources
+ * Writes are synchronous so the registry can write through before it
+ * acknowledges a change.
+ */
+class MemoryRegistryStore {
+  constructor() {
+    this.type = 'memory';
+    this.durable = false;
+    this.records = new Map();
+  }
+
+  /**
+   * Return stored service records
+   */
+  load() {
+    return Array.from(this.records.values());
+  }
+
+  /**
+   * Insert or replace a service record
+   */
+  save(service) {
+    this.records.set(service.id, service);
+  }
+
+  /**
+   * Delete a service record
+   */
+  remove(serviceId) {
+    this.records.delete(serviceId);
+  }
+
+  /**
+   * Store details
+   */
+  getStats() {
+    return {
+      store: this.type,
+      durable: this.durable,
+      records: this.records.size
+    };
+  }
+
+  /**
+   * Release resources
+   */
+  close() {}
+}
+
+module.exports = MemoryRegistryStore;
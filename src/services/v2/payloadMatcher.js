@@ -0,0 +1,243 @@
+/**
+ * BIG BROTHER COMPLIANT - Payload Matcher v2
+ * SINGLE RESPONSIBILITY: Evaluate JSONPath-style predicates against webhook payloads
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+/**
+ * Predicate syntax (a route filter is one predicate or an array, all must match):
+ *   $.data.service.name == "api"      ==  !=  >  >=  <  <=
+ *   branch in ["main", "release"]     in / not in (JSON array)
+ *   $.data.commit.message =~ "/hotfix/i"     (no nested quantifiers or backreferences)
+ *   $.data.deploy.id exists
+ * Paths may omit the leading "$." and support [index] / ["key"] segments.
+ */
+const COMPARISON_PATTERN = /^\s*(\S+?)\s*(==|!=|>=|<=|=~|>|<)\s*(.+?)\s*$/;
+const MEMBERSHIP_PATTERN = /^\s*(\S+)\s+(not in|in)\s+(.+?)\s*$/;
+const EXISTS_PATTERN = /^\s*(\S+)\s+exists\s*$/;
+const PATH_SEGMENT_PATTERN = /\.?([A-Za-z_$][\w$-]*)|\[(\d+)\]|\[["']([^"']+)["']\]/g;
+
+const compiledCache = new Map();
+const MAX_CACHE_SIZE = 500; // Big Brother memory limit
+const MAX_REGEX_LENGTH = 200;
+
+/**
+ * Split a JSONPath-style path into property segments
+ */
+function parsePath(path) {
+  const normalized = path.replace(/^\$\.?/, '');
+  const segments = [];
+  let consumed = 0;
+  let match;
+
+  PATH_SEGMENT_PATTERN.lastIndex = 0;
+  while ((match = PATH_SEGMENT_PATTERN.exec(normalized)) !== null) {
+    if (match.index !== consumed) break;
+    segments.push(match[1] !== undefined ? match[1] : match[2] !== undefined ? Number(match[2]) : match[3]);
+    consumed = PATH_SEGMENT_PATTERN.lastIndex;
+  }
+
+  if (consumed !== normalized.length) {
+    throw new Error(`Invalid payload path: ${path}`);
+  }
+
+  return segments;
+}
+
+/**
+ * Resolve a path against a payload (undefined when missing)
+ */
+function resolvePath(payload, path) {
+  const segments = Array.isArray(path) ? path : parsePath(path);
+  let value = payload;
+
+  for (const segment of segments) {
+    if (value === null || value === undefined) return undefined;
+    value = value[segment];
+  }
+
+  return value;
+}
+
+/**
+ * Parse a predicate literal (JSON, falling back to a bare string)
+ */
+function parseLiteral(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    return raw;
+  }
+}
+
+/**
+ * Reject patterns prone to catastrophic backtracking: nested quantifiers
+ * such as (a+)+ and backreferences. Patterns come in over the API.
+ */
+function assertSafeRegex(source) {
+  if (source.length > MAX_REGEX_LENGTH) {
+    throw new Error(`Regex exceeds ${MAX_REGEX_LENGTH} characters`);
+  }
+
+  const groups = [{ quantified: false }];
+  let closedGroup = null;
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    const quantifier = '*+?'.includes(ch) ? ch : (ch === '{' && (source.slice(i).match(/^\{\d+(,\d*)?\}/) || [])[0]);
+    if (quantifier) {
+      if (closedGroup && closedGroup.quantified) throw new Error(`Regex has nested quantifiers: ${source}`);
+      groups[groups.length - 1].quantified = true;
+      i += quantifier.length - 1;
+      closedGroup = null;
+      continue;
+    }
+
+    closedGroup = null;
+    if (ch === '\\') {
+      if (/[1-9k]/.test(source[i + 1] || '')) throw new Error(`Regex backreferences are not supported: ${source}`);
+      i++;
+    } else if (ch === '[') {
+      while (++i < source.length && source[i] !== ']') if (source[i] === '\\') i++;
+    } else if (ch === '(') {
+      groups.push({ quantified: false });
+      if (source[i + 1] === '?') i += source[i + 2] === '<' && '=!'.includes(source[i + 3]) ? 3 : 2;
+    } else if (ch === ')' && groups.length > 1) {
+      closedGroup = groups.pop();
+      if (closedGroup.quantified) groups[groups.length - 1].quantified = true;
+    }
+  }
+}
+
+/**
+ * Build a RegExp from "/pattern/flags" or a plain pattern string
+ */
+function parseRegex(value) {
+  const source = String(value);
+  const match = source.match(/^\/(.*)\/([a-z]*)$/);
+  assertSafeRegex(match ? match[1] : source);
+  return match ? new RegExp(match[1], match[2]) : new RegExp(source);
+}
+
+/**
+ * Compare values structurally
+ */
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Compile a predicate string into a test function
+ */
+function compilePredicate(expression) {
+  if (compiledCache.has(expression)) {
+    return compiledCache.get(expression);
+  }
+
+  let predicate;
+  let match;
+
+  if ((match = expression.match(EXISTS_PATTERN))) {
+    const path = parsePath(match[1]);
+    predicate = payload => resolvePath(payload, path) !== undefined;
+
+  } else if ((match = expression.match(MEMBERSHIP_PATTERN))) {
+    const path = parsePath(match[1]);
+    const list = parseLiteral(match[3]);
+    if (!Array.isArray(list)) {
+      throw new Error(`Predicate "${expression}" needs a JSON array after ${match[2]}`);
+    }
+    const negate = match[2] === 'not in';
+    predicate = payload => {
+      const value = resolvePath(payload, path);
+      const values = Array.isArray(value) ? value : [value];
+      const found = values.some(v => list.some(item => isEqual(item, v)));
+      return negate ? !found : found;
+    };
+
+  } else if ((match = expression.match(COMPARISON_PATTERN))) {
+    const path = parsePath(match[1]);
+    const operator = match[2];
+    const expected = parseLiteral(match[3]);
+    const regex = operator === '=~' ? parseRegex(expected) : null;
+
+    predicate = payload => {
+      const value = resolvePath(payload, path);
+      switch (operator) {
+        case '==': return isEqual(value, expected);
+        case '!=': return !isEqual(value, expected);
+        case '=~': return value !== undefined && value !== null && regex.test(String(value));
+        case '>': return value > expected;
+        case '>=': return value >= expected;
+        case '<': return value < expected;
+        default: return value <= expected;
+      }
+    };
+
+  } else {
+    throw new Error(`Unrecognized predicate: ${expression}`);
+  }
+
+  if (compiledCache.size >= MAX_CACHE_SIZE) {
+    compiledCache.delete(compiledCache.keys().next().value);
+  }
+  compiledCache.set(expression, predicate);
+
+  return predicate;
+}
+
+/**
+ * Normalize a route filter into a list of predicate strings
+ */
+function toPredicates(filter) {
+  return Array.isArray(filter) ? filter : [filter];
+}
+
+/**
+ * Validate a route filter
+ */
+function validateFilter(filter) {
+  const errors = [];
+
+  if (filter === undefined) {
+    return { isValid: true, errors };
+  }
+
+  for (const expression of toPredicates(filter)) {
+    if (typeof expression !== 'string') {
+      errors.push('Route filter predicates must be strings');
+      continue;
+    }
+
+    try {
+      compilePredicate(expression);
+    } catch (error) {
+      errors.push(`Invalid route filter: ${error.message}`);
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Check whether a payload satisfies every predicate of a filter
+ */
+function matchesFilter(filter, payload) {
+  if (filter === undefined || filter === null) {
+    return true;
+  }
+
+  return toPredicates(filter).every(expression => compilePredicate(expression)(payload));
+}
+
+module.exports = {
+  parsePath,
+  resolvePath,
+  parseRegex,
+  validateFilter,
+  matchesFilter
+};
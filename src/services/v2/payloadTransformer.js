@@ -0,0 +1,128 @@
+/**
+ * BIG BROTHER COMPLIANT - Payload Transformer v2
+ * SINGLE RESPONSIBILITY: Reshape webhook payloads into target request bodies
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+const { parsePath, resolvePath } = require('./payloadMatcher');
+const { getRenderWebhookProcessor } = require('./renderWebhookProcessor');
+
+const INTERPOLATION_PATTERN = /\{\{\s*([^}]+?)\s*\}\}/g;
+
+/**
+ * Built-in transforms, referenced as { builtin: '<name>' }
+ */
+const BUILTIN_TRANSFORMS = {
+  // Render deploy_failed event -> POST /api/v2/error-fixing/fix body
+  'render-deploy-failed': webhook => {
+    const processor = getRenderWebhookProcessor();
+    return processor.buildFixRequest(processor.parseDeployEvent(webhook));
+  }
+};
+
+/**
+ * Route transform syntax:
+ *   { builtin: 'render-deploy-failed' }
+ *   { template: { error: '$.data.error', context: { service: '{{ $.data.serviceName }}' } } }
+ * Template strings that are a whole path ("$.a.b") copy the value as-is;
+ * "{{ path }}" placeholders are interpolated into strings; anything else is literal.
+ */
+function renderTemplate(template, payload) {
+  if (typeof template === 'string') {
+    if (template === '$' || template.startsWith('$.') || template.startsWith('$[')) {
+      return resolvePath(payload, template);
+    }
+
+    return template.replace(INTERPOLATION_PATTERN, (_, path) => {
+      const value = resolvePath(payload, path);
+      if (value === undefined || value === null) return '';
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+  }
+
+  if (Array.isArray(template)) {
+    return template.map(item => renderTemplate(item, payload));
+  }
+
+  if (template && typeof template === 'object') {
+    const rendered = {};
+    for (const [key, value] of Object.entries(template)) {
+      rendered[key] = renderTemplate(value, payload);
+    }
+    return rendered;
+  }
+
+  return template;
+}
+
+/**
+ * Collect every path referenced by a template (for validation)
+ */
+function templatePaths(template, paths = []) {
+  if (typeof template === 'string') {
+    if (template === '$' || template.startsWith('$.') || template.startsWith('$[')) {
+      paths.push(template);
+    }
+    for (const match of template.matchAll(INTERPOLATION_PATTERN)) {
+      paths.push(match[1]);
+    }
+  } else if (template && typeof template === 'object') {
+    Object.values(template).forEach(value => templatePaths(value, paths));
+  }
+  return paths;
+}
+
+/**
+ * Validate a route transform
+ */
+function validateTransform(transform) {
+  const errors = [];
+
+  if (transform === undefined) {
+    return { isValid: true, errors };
+  }
+
+  if (!transform || typeof transform !== 'object' || Array.isArray(transform)) {
+    errors.push('Route transform must be an object with builtin or template');
+  } else if (transform.builtin !== undefined) {
+    if (!BUILTIN_TRANSFORMS[transform.builtin]) {
+      errors.push(`Unknown builtin transform: ${transform.builtin} (available: ${Object.keys(BUILTIN_TRANSFORMS).join(', ')})`);
+    }
+  } else if (transform.template === undefined) {
+    errors.push('Route transform requires builtin or template');
+  } else {
+    for (const path of templatePaths(transform.template)) {
+      try {
+        parsePath(path);
+      } catch (error) {
+        errors.push(`Invalid route transform: ${error.message}`);
+      }
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Build the outbound body for a route (the raw webhook when no transform)
+ */
+function applyTransform(transform, webhook) {
+  if (!transform) {
+    return webhook;
+  }
+
+  if (transform.builtin !== undefined) {
+    return BUILTIN_TRANSFORMS[transform.builtin](webhook);
+  }
+
+  return renderTemplate(transform.template, webhook);
+}
+
+module.exports = {
+  BUILTIN_TRANSFORMS,
+  validateTransform,
+  applyTransform
+};
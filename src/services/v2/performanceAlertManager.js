@@ -0,0 +1,205 @@
+/**
+ * BIG BROTHER COMPLIANT - Performance Alert Manager v2
+ * SINGLE RESPONSIBILITY: Ingest, deduplicate and resolve service performance alerts
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+const logger = require('../../utils/logger');
+const { getServiceRegistry } = require('./serviceRegistry');
+const { validateAlert, createAlert, repeatAlert } = require('./performanceAlerts');
+
+// SLO burn-rate alerts are resolved by the SLO evaluator once the burn stops
+const EXPLICITLY_RESOLVED_METRIC_PREFIX = 'slo:';
+
+/**
+ * Alerts for the same service and metric are one alert: repeats bump its count
+ * while active; it resolves on status "resolved" or after a quiet period
+ * (except `slo:*` alerts, which only resolve when reported).
+ */
+class PerformanceAlertManager {
+  constructor(options = {}) {
+    this.alerts = new Map();
+    this.maxAlerts = options.maxAlerts || 500; // Big Brother memory limit
+    this.resolveAfterMs = (options.resolveAfterSeconds ||
+      parseInt(process.env.PERFORMANCE_ALERT_RESOLVE_SECONDS, 10) || 600) * 1000;
+    this.registry = options.registry || getServiceRegistry();
+  }
+
+  /**
+   * Ingest an alert from a registered service
+   */
+  ingest(payload = {}, now = Date.now()) {
+    const data = payload.data && typeof payload.data === 'object' ? payload.data : payload;
+    const validation = validateAlert(data);
+
+    if (!validation.isValid) {
+      return { success: false, error: validation.errors.join(', '), code: 'INVALID_ALERT' };
+    }
+
+    const service = this.findService(data.serviceId || data.serviceName || data.service || payload.source);
+
+    if (!service) {
+      return { success: false, error: 'Alert source is not a registered service', code: 'SERVICE_NOT_FOUND' };
+    }
+
+    this.resolveStale(now);
+
+    const fingerprint = `${service.id}:${data.metric}`;
+    const active = this.findActive(fingerprint);
+    const timestamp = new Date(now).toISOString();
+
+    if (data.status === 'resolved') {
+      if (!active) {
+        return { success: true, alert: null, action: 'ignored' };
+      }
+      this.resolve(active, 'reported', now);
+      return { success: true, alert: active, action: 'resolved' };
+    }
+
+    if (active) {
+      repeatAlert(active, data, timestamp);
+      this.linkToService(service.id);
+      return { success: true, alert: active, action: 'deduplicated' };
+    }
+
+    const alert = createAlert(service, data, timestamp);
+
+    this.store(alert);
+    this.linkToService(service.id);
+
+    logger.warn('Performance alert raised', {
+      alertId: alert.id,
+      service: service.name,
+      metric: alert.metric,
+      severity: alert.severity,
+      value: alert.value,
+      threshold: alert.threshold
+    });
+
+    return { success: true, alert, action: 'created' };
+  }
+
+  /**
+   * Find a registered service by ID or name
+   */
+  findService(serviceRef) {
+    if (!serviceRef) {
+      return null;
+    }
+    return this.registry.getService(serviceRef) ||
+      this.registry.getAllServices().find(service => service.name === serviceRef) || null;
+  }
+
+  /**
+   * Find the active alert for a fingerprint
+   */
+  findActive(fingerprint) {
+    for (const alert of this.alerts.values()) {
+      if (alert.fingerprint === fingerprint && alert.status === 'active') {
+        return alert;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Mark an alert resolved
+   */
+  resolve(alert, resolution, now = Date.now()) {
+    alert.status = 'resolved';
+    alert.resolution = resolution;
+    alert.resolvedAt = new Date(now).toISOString();
+    this.linkToService(alert.serviceId);
+
+    logger.info('Performance alert resolved', { alertId: alert.id, service: alert.serviceName, metric: alert.metric, resolution });
+  }
+
+  /**
+   * Auto-resolve active alerts that have not repeated within the quiet period
+   */
+  resolveStale(now = Date.now()) {
+    for (const alert of this.alerts.values()) {
+      if (alert.status === 'active' && !alert.metric.startsWith(EXPLICITLY_RESOLVED_METRIC_PREFIX) &&
+        new Date(alert.lastSeenAt).getTime() + this.resolveAfterMs <= now) {
+        this.resolve(alert, 'auto', now);
+      }
+    }
+  }
+
+  /**
+   * Store an alert, evicting the oldest when at capacity
+   */
+  store(alert) {
+    if (this.alerts.size >= this.maxAlerts) {
+      this.alerts.delete(this.alerts.keys().next().value);
+    }
+    this.alerts.set(alert.id, alert);
+  }
+
+  /**
+   * Refresh the alert summary on the emitting service's registry entry
+   */
+  linkToService(serviceId) {
+    const alerts = this.list({ serviceId, limit: this.maxAlerts }, false);
+    const latest = alerts[0];
+
+    this.registry.statusTracker.updateAlerts(serviceId, {
+      active: alerts.filter(alert => alert.status === 'active').length,
+      lastAlertId: latest ? latest.id : null,
+      lastAlertAt: latest ? latest.lastSeenAt : null
+    });
+  }
+
+  /**
+   * List alerts, newest first, optionally filtered by status, serviceId or severity
+   */
+  list(filter = {}, refresh = true) {
+    if (refresh) {
+      this.resolveStale();
+    }
+
+    const limit = Math.min(parseInt(filter.limit, 10) || 100, this.maxAlerts);
+
+    return Array.from(this.alerts.values())
+      .filter(alert => (!filter.status || alert.status === filter.status) &&
+        (!filter.serviceId || alert.serviceId === filter.serviceId) &&
+        (!filter.severity || alert.severity === filter.severity))
+      .reverse()
+      .slice(0, limit);
+  }
+
+  /**
+   * Get alert statistics
+   */
+  getStats() {
+    this.resolveStale();
+    const alerts = Array.from(this.alerts.values());
+    const active = alerts.filter(alert => alert.status === 'active');
+
+    return {
+      total: alerts.length,
+      active: active.length,
+      resolved: alerts.length - active.length,
+      critical: active.filter(alert => alert.severity === 'critical').length,
+      resolveAfterSeconds: this.resolveAfterMs / 1000
+    };
+  }
+}
+
+// Singleton instance
+let alertManagerInstance = null;
+
+/**
+ * Get singleton performance alert manager
+ */
+function getPerformanceAlertManager() {
+  if (!alertManagerInstance) {
+    alertManagerInstance = new PerformanceAlertManager();
+  }
+  return alertManagerInstance;
+}
+
+module.exports = {
+  PerformanceAlertManager,
+  getPerformanceAlertManager
+};
@@ -0,0 +1,85 @@
+/**
+ * BIG BROTHER COMPLIANT - Performance Alerts v2
+ * SINGLE RESPONSIBILITY: Validate performance alert payloads and build alert records
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+/**
+ * Alert payload (flat or `data`-wrapped, as delivered by the WebhookHub):
+ *   { source, eventType: 'performance_alert',
+ *     data: { serviceId | serviceName, metric, value, threshold, severity, message, status } }
+ */
+
+/**
+ * Validate alert fields
+ */
+function validateAlert(data) {
+  const errors = [];
+
+  if (!data.metric || typeof data.metric !== 'string') {
+    errors.push('Alert metric is required');
+  }
+
+  if (data.severity !== undefined && !SEVERITIES.includes(data.severity)) {
+    errors.push(`Alert severity must be one of: ${SEVERITIES.join(', ')}`);
+  }
+
+  if (data.status !== undefined && !['firing', 'resolved'].includes(data.status)) {
+    errors.push('Alert status must be firing or resolved');
+  }
+
+  for (const field of ['value', 'threshold']) {
+    if (data[field] !== undefined && typeof data[field] !== 'number') {
+      errors.push(`Alert ${field} must be a number`);
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * New active alert for a service and metric
+ */
+function createAlert(service, data, timestamp) {
+  return {
+    id: `alert-${Date.now()}-${Math.random().toString(36).substr(2, 8)}`,
+    fingerprint: `${service.id}:${data.metric}`,
+    serviceId: service.id,
+    serviceName: service.name,
+    metric: data.metric,
+    value: data.value !== undefined ? data.value : null,
+    threshold: data.threshold !== undefined ? data.threshold : null,
+    severity: data.severity || 'warning',
+    message: data.message || null,
+    status: 'active',
+    count: 1,
+    firstSeenAt: timestamp,
+    lastSeenAt: timestamp,
+    resolvedAt: null,
+    resolution: null
+  };
+}
+
+/**
+ * Fold a repeat of an active alert into it
+ */
+function repeatAlert(alert, data, timestamp) {
+  alert.count++;
+  alert.lastSeenAt = timestamp;
+  alert.value = data.value !== undefined ? data.value : alert.value;
+  alert.threshold = data.threshold !== undefined ? data.threshold : alert.threshold;
+  alert.severity = data.severity || alert.severity;
+  alert.message = data.message || alert.message;
+}
+
+module.exports = {
+  SEVERITIES,
+  validateAlert,
+  createAlert,
+  repeatAlert
+};
@@ -0,0 +1,156 @@
+/**
+ * BIG BROTHER COMPLIANT - Probe Config v2
+ * SINGLE RESPONSIBILITY: Validate health-check probe definitions and mask their credentials
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+const { validateFilter, parseRegex } = require('./payloadMatcher');
+
+const PROBE_TYPES = ['http', 'tcp', 'command'];
+const HTTP_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE'];
+const STATUS_RANGE_PATTERN = /^([1-5]\d\d)(?:-([1-5]\d\d))?$/;
+const MAX_TIMEOUT_MS = 60000;
+const REDACTED = '[redacted]';
+
+/**
+ * Command lines permitted for command probes, as argv arrays
+ * (HEALTH_PROBE_COMMANDS is comma-separated; arguments are split on whitespace)
+ */
+function getAllowedCommands() {
+  return (process.env.HEALTH_PROBE_COMMANDS || '').split(',')
+    .map(line => line.trim().split(/\s+/).filter(Boolean))
+    .filter(argv => argv.length > 0);
+}
+
+/**
+ * Whether a probe's command and args exactly match an allowlisted command line
+ */
+function isAllowedCommand(probe) {
+  const argv = [probe.command, ...(probe.args || [])];
+  return getAllowedCommands().some(allowed =>
+    allowed.length === argv.length && allowed.every((arg, i) => arg === argv[i]));
+}
+
+/**
+ * Normalize expectStatus into [[min, max], ...] (null when invalid)
+ */
+function parseStatusRanges(expectStatus = '200-299') {
+  const ranges = [];
+
+  for (const entry of Array.isArray(expectStatus) ? expectStatus : [expectStatus]) {
+    const match = String(entry).match(STATUS_RANGE_PATTERN);
+    if (!match) return null;
+    const min = Number(match[1]);
+    const max = match[2] ? Number(match[2]) : min;
+    if (max < min) return null;
+    ranges.push([min, max]);
+  }
+
+  return ranges.length > 0 ? ranges : null;
+}
+
+/**
+ * Validate a probe definition
+ */
+function validateProbe(probe) {
+  const errors = [];
+
+  if (probe === undefined) {
+    return { isValid: true, errors };
+  }
+
+  if (!probe || typeof probe !== 'object' || !PROBE_TYPES.includes(probe.type)) {
+    return { isValid: false, errors: [`probe.type must be one of: ${PROBE_TYPES.join(', ')}`] };
+  }
+
+  if (probe.timeoutMs !== undefined &&
+      (!Number.isInteger(probe.timeoutMs) || probe.timeoutMs <= 0 || probe.timeoutMs > MAX_TIMEOUT_MS)) {
+    errors.push(`probe.timeoutMs must be an integer between 1 and ${MAX_TIMEOUT_MS}`);
+  }
+
+  if (probe.bodyPattern !== undefined) {
+    try {
+      parseRegex(probe.bodyPattern);
+    } catch (error) {
+      errors.push(`probe.bodyPattern is not a valid regex: ${error.message}`);
+    }
+  }
+
+  if (probe.type === 'http') {
+    if (probe.method !== undefined && !HTTP_METHODS.includes(probe.method)) {
+      errors.push(`probe.method must be one of: ${HTTP_METHODS.join(', ')}`);
+    }
+    if (probe.path !== undefined && (typeof probe.path !== 'string' || !probe.path.startsWith('/'))) {
+      errors.push('probe.path must start with /');
+    }
+    if (probe.headers !== undefined && (!probe.headers || typeof probe.headers !== 'object' ||
+        Object.values(probe.headers).some(value => typeof value !== 'string'))) {
+      errors.push('probe.headers must map header names to strings');
+    }
+    if (parseStatusRanges(probe.expectStatus) === null) {
+      errors.push('probe.expectStatus must be a status code, a range like "200-299", or a list of them');
+    }
+    errors.push(...validateFilter(probe.assertions).errors.map(error => `probe.assertions: ${error}`));
+  }
+
+  if (probe.type === 'tcp') {
+    if (probe.host !== undefined && (typeof probe.host !== 'string' || !probe.host)) {
+      errors.push('probe.host must be a non-empty string');
+    }
+    if (probe.port !== undefined && (!Number.isInteger(probe.port) || probe.port < 1 || probe.port > 65535)) {
+      errors.push('probe.port must be an integer between 1 and 65535');
+    }
+  }
+
+  if (probe.type === 'command') {
+    if (probe.args !== undefined && (!Array.isArray(probe.args) || probe.args.some(arg => typeof arg !== 'string'))) {
+      errors.push('probe.args must be an array of strings');
+    } else if (!isAllowedCommand(probe)) {
+      errors.push('probe.command and probe.args must match a command line listed in HEALTH_PROBE_COMMANDS');
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Probe safe to show outside the registry (header values often carry credentials)
+ */
+function redactProbe(probe) {
+  if (!probe || !probe.headers) {
+    return probe;
+  }
+
+  return {
+    ...probe,
+    headers: Object.fromEntries(Object.keys(probe.headers).map(name => [name, REDACTED]))
+  };
+}
+
+/**
+ * Take masked header values back from the current probe, so a redacted
+ * export can be imported again without losing credentials
+ */
+function restoreProbeHeaders(probe, current) {
+  if (!probe || !probe.headers || !current || !current.headers) {
+    return probe;
+  }
+
+  const headers = {};
+  for (const [name, value] of Object.entries(probe.headers)) {
+    headers[name] = value === REDACTED && current.headers[name] !== undefined ? current.headers[name] : value;
+  }
+  return { ...probe, headers };
+}
+
+module.exports = {
+  PROBE_TYPES,
+  isAllowedCommand,
+  parseStatusRanges,
+  validateProbe,
+  redactProbe,
+  restoreProbeHeaders
+};
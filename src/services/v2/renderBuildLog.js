@@ -0,0 +1,97 @@
+/**
+ * BIG BROTHER COMPLIANT - Render Build Log v2
+ * SINGLE RESPONSIBILITY: Extract the error, file path and excerpt from a Render build log
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+const ERROR_LINE_PATTERN = /^\s*(?:[\w.$]+\.)?\w*(?:Error|Exception)\b:?/;
+const FAILURE_LINE_PATTERN = /error|failed|fatal|ERR!/i;
+const FILE_PATH_PATTERNS = [
+  /File "([^"]+)", line \d+/,           // Python tracebacks
+  /\(([^()\s]+\.[a-z]+):\d+:\d+\)/i,    // Node stack frames
+  /^\s*([\w./-]+\.[a-z]+):\d+/i          // compiler style path:line
+];
+const MAX_EXCERPT_LINES = 20;
+const MAX_EXCERPT_CHARS = 4000;
+
+/**
+ * Normalize log input (string, string[] or {message}[]) into lines
+ */
+function normalizeLogLines(logs) {
+  if (!logs) return [];
+
+  if (typeof logs === 'string') {
+    return logs.split(/\r?\n/);
+  }
+
+  if (Array.isArray(logs)) {
+    return logs
+      .map(entry => (typeof entry === 'string' ? entry : entry && (entry.message || entry.text)))
+      .filter(line => typeof line === 'string');
+  }
+
+  return [];
+}
+
+/**
+ * Pick the most specific error line from the build log
+ */
+function extractError(lines) {
+  for (const pattern of [ERROR_LINE_PATTERN, FAILURE_LINE_PATTERN]) {
+    for (let i = lines.length - 1; i >= 0; i--) {
+      if (pattern.test(lines[i])) {
+        return { error: lines[i].trim(), errorLine: i };
+      }
+    }
+  }
+
+  return { error: null, errorLine: lines.length - 1 };
+}
+
+/**
+ * Find the last source file referenced by the build log
+ */
+function extractFilePath(lines) {
+  for (let i = lines.length - 1; i >= 0; i--) {
+    for (const pattern of FILE_PATH_PATTERNS) {
+      const match = lines[i].match(pattern);
+      if (match && !match[1].includes('node_modules')) {
+        return match[1];
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Build a bounded log excerpt ending at the error line
+ */
+function buildExcerpt(lines, errorLine) {
+  if (lines.length === 0) return '';
+
+  const end = Math.max(errorLine, 0) + 1;
+  const start = Math.max(end - MAX_EXCERPT_LINES, 0);
+  const excerpt = lines.slice(start, end).join('\n');
+
+  return excerpt.length > MAX_EXCERPT_CHARS
+    ? excerpt.slice(excerpt.length - MAX_EXCERPT_CHARS)
+    : excerpt;
+}
+
+/**
+ * Parse raw build log input into { error, filePath, buildLogExcerpt }
+ */
+function parseBuildLog(logs) {
+  const lines = normalizeLogLines(logs);
+  const { error, errorLine } = extractError(lines);
+
+  return {
+    error,
+    filePath: extractFilePath(lines),
+    buildLogExcerpt: buildExcerpt(lines, errorLine)
+  };
+}
+
+module.exports = {
+  parseBuildLog
+};
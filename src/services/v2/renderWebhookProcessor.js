@@ -0,0 +1,218 @@
+/**
+ * BIG BROTHER COMPLIANT - Render Webhook Processor v2
+ * SINGLE RESPONSIBILITY: Turn Render deploy events into error fix requests
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+const logger = require('../../utils/logger');
+const { getErrorFixerFactory } = require('./errorFixerFactory');
+const IdempotencyStore = require('./idempotencyStore');
+const { parseBuildLog } = require('./renderBuildLog');
+
+const FAILED_STATUSES = ['failed', 'build_failed', 'deploy_failed', 'update_failed'];
+
+class RenderWebhookProcessor {
+  constructor(options = {}) {
+    this.events = new Map();
+    this.idempotency = options.idempotencyStore || new IdempotencyStore();
+    this.maxEvents = 500; // Big Brother memory limit
+  }
+
+  /**
+   * Record an inbound Render webhook and return its event ID
+   * (redeliveries return the original event with duplicate: true)
+   */
+  receiveEvent(payload, headers = {}) {
+    const deploy = this.parseDeployEvent(payload || {});
+    const idempotencyKey = this.idempotency.extractKey('render', headers, payload || {});
+    const original = this.idempotency.lookup('render', idempotencyKey);
+
+    if (original) {
+      const record = this.getEvent(original.eventId);
+      return { eventId: original.eventId, deploy, duplicate: true, status: record ? record.status : original.status };
+    }
+
+    const eventId = this.generateEventId();
+
+    this.storeEvent({
+      eventId,
+      status: 'received',
+      deploy,
+      result: null,
+      error: null,
+      receivedAt: new Date().toISOString(),
+      completedAt: null
+    });
+
+    this.idempotency.remember('render', idempotencyKey, eventId, 'received');
+
+    return { eventId, deploy, duplicate: false, status: 'received' };
+  }
+
+  /**
+   * Parse a Render deploy event (flat or `data`-wrapped payloads)
+   */
+  parseDeployEvent(payload) {
+    const data = payload.data && typeof payload.data === 'object' ? payload.data : payload;
+    const service = data.service && typeof data.service === 'object' ? data.service : {};
+    const deploy = data.deploy && typeof data.deploy === 'object' ? data.deploy : {};
+    const commit = data.commit || deploy.commit || {};
+
+    const eventType = payload.type || payload.event || payload.eventType || 'unknown';
+    const status = data.status || deploy.status || null;
+
+    const log = parseBuildLog(data.buildLog || data.logs || deploy.logs || payload.buildLog || payload.logs);
+
+    return {
+      eventType,
+      status,
+      failed: FAILED_STATUSES.includes(status) || /fail/i.test(eventType),
+      serviceId: data.serviceId || service.id || null,
+      serviceName: data.serviceName || service.name || null,
+      deployId: data.deployId || deploy.id || data.id || null,
+      commit: {
+        id: (typeof commit === 'string' ? commit : commit.id) || data.commitId || null,
+        message: typeof commit === 'object' ? commit.message || null : null
+      },
+      error: log.error,
+      filePath: log.filePath,
+      buildLogExcerpt: log.buildLogExcerpt
+    };
+  }
+
+  /**
+   * Build an error fix request ({error, context, files}) from a parsed deploy
+   */
+  buildFixRequest(deploy) {
+    return {
+      error: deploy.error || `Render deploy failed for ${deploy.serviceName || deploy.serviceId || 'unknown service'}`,
+      context: {
+        source: 'render',
+        serviceId: deploy.serviceId,
+        serviceName: deploy.serviceName,
+        deployId: deploy.deployId,
+        commit: deploy.commit,
+        filePath: deploy.filePath,
+        buildLog: deploy.buildLogExcerpt
+      },
+      files: []
+    };
+  }
+
+  /**
+   * Feed a received deploy failure into the v2 error fixer
+   */
+  async processEvent(eventId) {
+    const record = this.events.get(eventId);
+
+    if (!record) {
+      return { success: false, error: 'Event not found' };
+    }
+
+    const { deploy } = record;
+
+    if (!deploy.failed) {
+      return this.completeEvent(record, 'ignored', { reason: `Deploy status ${deploy.status || deploy.eventType} is not a failure` });
+    }
+
+    record.status = 'processing';
+
+    try {
+      const factory = getErrorFixerFactory();
+      const result = await factory.processErrorFix(this.buildFixRequest(deploy));
+
+      // success only means the fixer ran; the fix outcome is in the fixer response
+      const fixed = Boolean(result.success && result.result && result.result.result && result.result.result.success);
+
+      logger.info('Render deploy failure processed', {
+        eventId,
+        service: deploy.serviceName,
+        success: result.success,
+        fixed
+      });
+
+      return this.completeEvent(record, !result.success ? 'failed' : fixed ? 'completed' : 'no_fix', result);
+
+    } catch (error) {
+      logger.error('Render deploy processing failed', { eventId, error: error.message });
+      record.error = error.message;
+      return this.completeEvent(record, 'failed', null);
+    }
+  }
+
+  /**
+   * Mark an event as finished without running the fixer
+   */
+  skipEvent(eventId, reason) {
+    const record = this.events.get(eventId);
+    return record ? this.completeEvent(record, 'skipped', { reason }) : { success: false, error: 'Event not found' };
+  }
+
+  /**
+   * Record final state for an event
+   */
+  completeEvent(record, status, result) {
+    record.status = status;
+    record.result = result;
+    record.completedAt = new Date().toISOString();
+    this.idempotency.updateStatus(record.eventId, status);
+    return { success: status !== 'failed', eventId: record.eventId, status };
+  }
+
+  /**
+   * Store event record, evicting the oldest when at capacity
+   */
+  storeEvent(record) {
+    if (this.events.size >= this.maxEvents) {
+      const oldestId = this.events.keys().next().value;
+      this.events.delete(oldestId);
+    }
+    this.events.set(record.eventId, record);
+  }
+
+  /**
+   * Get event record by ID
+   */
+  getEvent(eventId) {
+    return this.events.get(eventId) || null;
+  }
+
+  /**
+   * Generate unique event ID
+   */
+  generateEventId() {
+    return `render-${Date.now()}-${Math.random().toString(36).substr(2, 8)}`;
+  }
+
+  /**
+   * Health status for monitoring
+   */
+  getHealthStatus() {
+    return {
+      service: 'RenderWebhookProcessor',
+      version: 'v2',
+      trackedEvents: this.events.size,
+      maxEvents: this.maxEvents,
+      idempotency: this.idempotency.getStats(),
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+// Singleton instance
+let processorInstance = null;
+
+/**
+ * Get singleton Render webhook processor
+ */
+function getRenderWebhookProcessor() {
+  if (!processorInstance) {
+    processorInstance = new RenderWebhookProcessor();
+  }
+  return processorInstance;
+}
+
+module.exports = {
+  RenderWebhookProcessor,
+  getRenderWebhookProcessor
+};
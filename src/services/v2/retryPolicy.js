@@ -0,0 +1,92 @@
+/**
+ * BIG BROTHER COMPLIANT - Retry Policy v2
+ * SINGLE RESPONSIBILITY: Decide when a failed webhook delivery is retried
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 4,       // 1 initial attempt + 3 retries
+  baseDelayMs: 1000,
+  maxDelayMs: 300000,   // 5 minutes
+  multiplier: 2,
+  jitter: 0.2           // +/- 20% of the computed delay
+};
+
+class RetryPolicy {
+  constructor(config = {}) {
+    this.config = { ...DEFAULT_RETRY_POLICY, ...config };
+  }
+
+  /**
+   * Validate a retry policy configuration
+   */
+  static validate(config) {
+    const errors = [];
+
+    if (config === undefined) {
+      return { isValid: true, errors };
+    }
+
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      return { isValid: false, errors: ['Retry policy must be an object'] };
+    }
+
+    const positiveIntegers = ['maxAttempts', 'baseDelayMs', 'maxDelayMs'];
+    for (const key of positiveIntegers) {
+      if (config[key] !== undefined && (!Number.isInteger(config[key]) || config[key] < 1)) {
+        errors.push(`Retry policy ${key} must be a positive integer`);
+      }
+    }
+
+    if (config.multiplier !== undefined && (typeof config.multiplier !== 'number' || config.multiplier < 1)) {
+      errors.push('Retry policy multiplier must be a number >= 1');
+    }
+
+    if (config.jitter !== undefined && (typeof config.jitter !== 'number' || config.jitter < 0 || config.jitter > 1)) {
+      errors.push('Retry policy jitter must be between 0 and 1');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Whether another attempt is allowed after `attempts` attempts
+   */
+  shouldRetry(attempts) {
+    return attempts < this.config.maxAttempts;
+  }
+
+  /**
+   * Backoff delay (ms) before the attempt following `attempts` attempts
+   */
+  getDelay(attempts, random = Math.random) {
+    const { baseDelayMs, maxDelayMs, multiplier, jitter } = this.config;
+    const exponential = baseDelayMs * Math.pow(multiplier, Math.max(attempts - 1, 0));
+    const capped = Math.min(exponential, maxDelayMs);
+    const jittered = capped * (1 + jitter * (2 * random() - 1));
+
+    return Math.round(Math.min(Math.max(jittered, 0), maxDelayMs));
+  }
+
+  /**
+   * Timestamp (ms) of the next attempt after `attempts` attempts
+   */
+  getNextAttemptAt(attempts, now = Date.now()) {
+    return now + this.getDelay(attempts);
+  }
+
+  /**
+   * Serializable policy settings
+   */
+  toJSON() {
+    return { ...this.config };
+  }
+}
+
+module.exports = {
+  DEFAULT_RETRY_POLICY,
+  RetryPolicy
+};
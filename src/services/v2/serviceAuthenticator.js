@@ -0,0 +1,105 @@
+/**
+ * BIG BROTHER COMPLIANT - Service Authenticator v2
+ * SINGLE RESPONSIBILITY: Rotate, revoke and verify ServiceRegistry service tokens
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+const logger = require('../../utils/logger');
+const { issueToken, revokeToken, verifyToken, verifyAdminToken, describeAuth } = require('./serviceTokens');
+
+const MAX_TOKEN_GRACE_SECONDS = 24 * 3600;
+
+/**
+ * Token operations on a ServiceRegistry's services (changes are persisted
+ * and emitted through the registry)
+ */
+class ServiceAuthenticator {
+  constructor(registry) {
+    this.registry = registry;
+  }
+
+  /**
+   * Issue a new token for a service; the old one stays valid for graceSeconds
+   */
+  rotateToken(serviceId, graceSeconds = 0, now = Date.now()) {
+    const service = this.registry.services.get(serviceId);
+
+    if (!service) {
+      return { success: false, error: 'Service not found', code: 'SERVICE_NOT_FOUND' };
+    }
+
+    if (!Number.isInteger(graceSeconds) || graceSeconds < 0 || graceSeconds > MAX_TOKEN_GRACE_SECONDS) {
+      return {
+        success: false,
+        error: `graceSeconds must be an integer between 0 and ${MAX_TOKEN_GRACE_SECONDS}`,
+        code: 'INVALID_TOKEN_ROTATION'
+      };
+    }
+
+    const issued = issueToken(service.auth, graceSeconds, now);
+    this.registry.persist({ ...service, auth: issued.auth });
+
+    logger.info('Service token rotated', { id: serviceId, graceSeconds });
+    this.registry.emit('service:token_rotated', { service: this.registry.services.get(serviceId), reason: 'rotated' });
+
+    return { success: true, token: issued.token, auth: describeAuth(issued.auth) };
+  }
+
+  /**
+   * Revoke a service's tokens; requests about it are refused until a new
+   * token is issued
+   */
+  revokeToken(serviceId, now = Date.now()) {
+    const service = this.registry.services.get(serviceId);
+
+    if (!service) {
+      return { success: false, error: 'Service not found', code: 'SERVICE_NOT_FOUND' };
+    }
+
+    const auth = revokeToken(service.auth || {}, now);
+    this.registry.persist({ ...service, auth });
+
+    logger.warn('Service token revoked', { id: serviceId });
+    this.registry.emit('service:token_revoked', { service: this.registry.services.get(serviceId), reason: 'revoked' });
+
+    return { success: true, auth: describeAuth(auth) };
+  }
+
+  /**
+   * Check a token presented for a service. Services without credentials
+   * (registered before tokens existed) are not enforced. The operator's admin
+   * token is accepted for every service, revoked ones included. The registry's own
+   * token is accepted only for the service a WebhookHub relay speaks for
+   * (options.relayedFor), whose token the hub verified at ingress.
+   */
+  authenticate(serviceId, token, options = {}, now = Date.now()) {
+    const service = this.registry.services.get(serviceId);
+
+    if (!service) {
+      return { success: false, error: 'Service not found', code: 'SERVICE_NOT_FOUND' };
+    }
+
+    if (!service.auth) {
+      return { success: true };
+    }
+
+    if (verifyAdminToken(token)) {
+      return { success: true, admin: true };
+    }
+
+    const verification = verifyToken(service.auth, token, now);
+    if (verification.valid) {
+      return { success: true, previousToken: verification.previous === true };
+    }
+
+    const self = this.registry.services.get(this.registry.selfServiceId);
+    if (token && options.relayedFor === serviceId && serviceId !== this.registry.selfServiceId &&
+        self && self.auth && verifyToken(self.auth, token, now).valid) {
+      return { success: true, relayed: true };
+    }
+
+    return { success: false, error: verification.error, code: verification.code };
+  }
+}
+
+module.exports = ServiceAuthenticator;
@@ -0,0 +1,135 @@
+/**
+ * BIG BROTHER COMPLIANT - Service Config v2
+ * SINGLE RESPONSIBILITY: ServiceRegistry configuration: service validation, leases and store selection
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+const MemoryRegistryStore = require('./memoryRegistryStore');
+const JsonFileRegistryStore = require('./jsonFileRegistryStore');
+const SqliteRegistryStore = require('./sqliteRegistryStore');
+const { validateLabels } = require('./labelSelector');
+const { validateInstances } = require('./serviceInstances');
+const { validateProbe } = require('./probeConfig');
+const { validateSlos } = require('./sloEvaluator');
+const { getDefaultCheckIntervalSeconds } = require('./checkScheduler');
+const { validateStatusPolicy } = require('./statusHysteresis');
+
+const MAX_LEASE_TTL_SECONDS = 7 * 24 * 3600;
+const DEFAULT_ENVIRONMENT = 'production';
+const SETTABLE_STATUSES = ['registered', 'healthy', 'unhealthy', 'error'];
+// Fields PATCH may change (name + environment identify the service)
+const UPDATABLE_FIELDS = [
+  'type', 'version', 'url', 'healthEndpoint', 'capabilities', 'bigBrotherCompliant', 'description',
+  'dependsOn', 'tags', 'labels', 'instances', 'minHealthyInstances', 'instanceSelection', 'probe', 'slos',
+  'statusPolicy', 'checkIntervalSeconds', 'checkTimeoutMs'
+];
+const MIN_CHECK_INTERVAL_SECONDS = 5;
+const MAX_CHECK_INTERVAL_SECONDS = 86400;
+
+/**
+ * Create the configured registry store (JSON file by default)
+ */
+function createRegistryStore() {
+  switch (process.env.SERVICE_REGISTRY_STORE) {
+    case 'memory':
+      return new MemoryRegistryStore();
+    case 'sqlite':
+      return new SqliteRegistryStore({ filePath: process.env.SERVICE_REGISTRY_PATH });
+    default:
+      return new JsonFileRegistryStore({ filePath: process.env.SERVICE_REGISTRY_PATH });
+  }
+}
+
+/**
+ * Check a lease TTL
+ */
+function isValidTtl(ttlSeconds) {
+  return Number.isInteger(ttlSeconds) && ttlSeconds > 0 && ttlSeconds <= MAX_LEASE_TTL_SECONDS;
+}
+
+/**
+ * Build a lease expiring ttlSeconds from now
+ */
+function createLease(ttlSeconds, now = Date.now()) {
+  return {
+    ttlSeconds,
+    renewedAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + ttlSeconds * 1000).toISOString()
+  };
+}
+
+/**
+ * Validate service configuration
+ */
+function validateServiceConfig(config) {
+  const errors = [];
+
+  if (!config.name || typeof config.name !== 'string') {
+    errors.push('Service name is required');
+  }
+
+  const hasInstances = Array.isArray(config.instances) && config.instances.length > 0;
+  if ((!config.url || typeof config.url !== 'string') && !hasInstances) {
+    errors.push('Service URL (or instances) is required');
+  }
+
+  if (!config.type || !['core', 'api', 'middleware', 'assistant'].includes(config.type)) {
+    errors.push('Valid service type is required (core, api, middleware, assistant)');
+  }
+
+  if (!config.version || typeof config.version !== 'string') {
+    errors.push('Service version is required');
+  }
+
+  if (config.environment !== undefined && (typeof config.environment !== 'string' || !config.environment)) {
+    errors.push('Service environment must be a non-empty string');
+  }
+
+  if (config.dependsOn !== undefined && (!Array.isArray(config.dependsOn) ||
+      !config.dependsOn.every(ref => typeof ref === 'string' && ref.length > 0))) {
+    errors.push('dependsOn must be an array of service names or IDs');
+  }
+
+  if (config.tags !== undefined && (!Array.isArray(config.tags) ||
+      !config.tags.every(tag => typeof tag === 'string' && tag.length > 0))) {
+    errors.push('tags must be an array of non-empty strings');
+  }
+
+  errors.push(...validateLabels(config.labels).errors);
+  errors.push(...validateInstances(config));
+  errors.push(...validateProbe(config.probe).errors);
+  errors.push(...validateSlos(config.slos));
+  errors.push(...validateStatusPolicy(config.statusPolicy).errors);
+
+  if (config.checkIntervalSeconds !== undefined && (!Number.isInteger(config.checkIntervalSeconds) ||
+      config.checkIntervalSeconds < MIN_CHECK_INTERVAL_SECONDS || config.checkIntervalSeconds > MAX_CHECK_INTERVAL_SECONDS)) {
+    errors.push(`checkIntervalSeconds must be an integer between ${MIN_CHECK_INTERVAL_SECONDS} and ${MAX_CHECK_INTERVAL_SECONDS}`);
+  }
+
+  // Compare against the interval the monitor will actually use
+  const intervalSeconds = config.checkIntervalSeconds || getDefaultCheckIntervalSeconds();
+  if (config.checkTimeoutMs !== undefined && (!Number.isInteger(config.checkTimeoutMs) ||
+      config.checkTimeoutMs < 100 || config.checkTimeoutMs > 60000 || config.checkTimeoutMs >= intervalSeconds * 1000)) {
+    errors.push('checkTimeoutMs must be an integer between 100 and 60000, shorter than the check interval');
+  }
+
+  if (config.ttlSeconds !== undefined && !isValidTtl(config.ttlSeconds)) {
+    errors.push(`ttlSeconds must be an integer between 1 and ${MAX_LEASE_TTL_SECONDS}`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+module.exports = {
+  createRegistryStore,
+  MAX_LEASE_TTL_SECONDS,
+  DEFAULT_ENVIRONMENT,
+  SETTABLE_STATUSES,
+  UPDATABLE_FIELDS,
+  isValidTtl,
+  createLease,
+  validateServiceConfig
+};
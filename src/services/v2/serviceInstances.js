@@ -0,0 +1,118 @@
+/**
+ * BIG BROTHER COMPLIANT - Service Instances v2
+ * SINGLE RESPONSIBILITY: Validate, normalize and aggregate a service's instance endpoints
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+const crypto = require('crypto');
+
+const SELECTION_STRATEGIES = ['round-robin', 'least-latency'];
+const MAX_INSTANCES = 50;
+
+/**
+ * Validate instances, minHealthyInstances and instanceSelection of a service config
+ */
+function validateInstances(config) {
+  const errors = [];
+  const { instances, minHealthyInstances, instanceSelection } = config;
+
+  if (instances !== undefined) {
+    if (!Array.isArray(instances) || instances.length === 0 || instances.length > MAX_INSTANCES) {
+      errors.push(`instances must be an array of 1 to ${MAX_INSTANCES} endpoints`);
+    } else {
+      const ids = new Set();
+      const urls = new Set();
+
+      instances.forEach((instance, index) => {
+        if (!instance || typeof instance !== 'object' || !instance.url || typeof instance.url !== 'string') {
+          errors.push(`instances[${index}] needs a url`);
+          return;
+        }
+        if (instance.id !== undefined && (typeof instance.id !== 'string' || !instance.id)) {
+          errors.push(`instances[${index}] id must be a non-empty string`);
+        }
+        if (instance.healthEndpoint !== undefined && typeof instance.healthEndpoint !== 'string') {
+          errors.push(`instances[${index}] healthEndpoint must be a string`);
+        }
+
+        const id = instance.id || generateInstanceId(instance.url);
+        if (ids.has(id) || urls.has(instance.url)) {
+          errors.push(`instances[${index}] duplicates another instance`);
+        }
+        ids.add(id);
+        urls.add(instance.url);
+      });
+    }
+  }
+
+  const total = Array.isArray(instances) && instances.length > 0 ? instances.length : 1;
+  if (minHealthyInstances !== undefined &&
+      (!Number.isInteger(minHealthyInstances) || minHealthyInstances < 1 || minHealthyInstances > total)) {
+    errors.push(`minHealthyInstances must be an integer between 1 and ${total}`);
+  }
+
+  if (instanceSelection !== undefined && !SELECTION_STRATEGIES.includes(instanceSelection)) {
+    errors.push(`instanceSelection must be one of: ${SELECTION_STRATEGIES.join(', ')}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Stable instance ID derived from its URL
+ */
+function generateInstanceId(url) {
+  return `i-${crypto.createHash('sha1').update(url).digest('hex').substr(0, 8)}`;
+}
+
+/**
+ * Give every instance an ID and keep only known fields
+ */
+function normalizeInstances(instances) {
+  return instances.map(instance => ({
+    id: instance.id || generateInstanceId(instance.url),
+    url: instance.url,
+    ...(instance.healthEndpoint !== undefined && { healthEndpoint: instance.healthEndpoint })
+  }));
+}
+
+/**
+ * A service's instances; services registered with a single url have one
+ * implicit "default" instance
+ */
+function getInstances(service) {
+  if (!Array.isArray(service.instances) || service.instances.length === 0) {
+    return [{ id: 'default', url: service.url, healthEndpoint: service.healthEndpoint }];
+  }
+
+  return service.instances.map(instance => ({
+    ...instance,
+    healthEndpoint: instance.healthEndpoint || service.healthEndpoint
+  }));
+}
+
+/**
+ * Overall service status from per-instance results: healthy when at least
+ * minHealthyInstances (default 1) of its instances are healthy
+ */
+function aggregateInstanceStatus(service, results) {
+  const healthy = results.filter(result => result.status === 'healthy').length;
+  const minHealthy = service.minHealthyInstances || 1;
+  let status = 'unhealthy';
+
+  if (healthy >= minHealthy) {
+    status = 'healthy';
+  } else if (results.length > 0 && results.every(result => result.status === 'error')) {
+    status = 'error';
+  }
+
+  return { status, healthy, total: results.length, minHealthy };
+}
+
+module.exports = {
+  SELECTION_STRATEGIES,
+  validateInstances,
+  normalizeInstances,
+  getInstances,
+  aggregateInstanceStatus
+};
@@ -0,0 +1,138 @@
+/**
+ * BIG BROTHER COMPLIANT - Service Lease Reaper v2
+ * SINGLE RESPONSIBILITY: Renew service leases and expire those whose heartbeat lapsed
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+const logger = require('../../utils/logger');
+const { MAX_LEASE_TTL_SECONDS, isValidTtl, createLease } = require('./serviceConfig');
+
+/**
+ * A leased service that misses its heartbeat is marked `stale` when the lease
+ * expires, and deregistered once a grace period (default: one more TTL) passes.
+ */
+class ServiceLeaseReaper {
+  constructor(registry, options = {}) {
+    this.registry = registry;
+    this.intervalMs = (options.intervalSeconds ||
+      parseInt(process.env.SERVICE_LEASE_REAP_INTERVAL_SECONDS, 10) || 15) * 1000;
+    this.graceSeconds = options.graceSeconds !== undefined
+      ? options.graceSeconds
+      : parseInt(process.env.SERVICE_LEASE_GRACE_SECONDS, 10) || null;
+    this.timer = null;
+    this.staleMarked = 0;
+    this.deregistered = 0;
+  }
+
+  /**
+   * Start periodic reaping (does not keep the process alive)
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.reap(), this.intervalMs);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop periodic reaping
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Renew a service's lease (heartbeat), optionally changing its TTL;
+   * a stale service returns to the status it had before it went stale
+   */
+  renew(serviceId, ttlSeconds, now = Date.now()) {
+    const service = this.registry.services.get(serviceId);
+
+    if (!service) {
+      return { success: false, error: 'Service not found', code: 'SERVICE_NOT_FOUND' };
+    }
+
+    const ttl = ttlSeconds !== undefined ? ttlSeconds : service.lease && service.lease.ttlSeconds;
+
+    if (ttl === undefined || ttl === null) {
+      return { success: false, error: 'Service has no lease; send ttlSeconds to create one', code: 'LEASE_NOT_CONFIGURED' };
+    }
+
+    if (!isValidTtl(ttl)) {
+      return { success: false, error: `ttlSeconds must be an integer between 1 and ${MAX_LEASE_TTL_SECONDS}`, code: 'INVALID_LEASE' };
+    }
+
+    const wasStale = service.status === 'stale';
+    const previousStatus = service.lease && service.lease.statusBeforeStale;
+    service.lease = createLease(ttl, now);
+
+    if (wasStale) {
+      this.registry.statusTracker.recordTransition(service, 'stale', previousStatus || 'registered', 'lease_renewed', now);
+      service.status = previousStatus || 'registered';
+      logger.info('Stale service renewed its lease', { id: serviceId, name: service.name });
+    }
+
+    this.registry.persist(service);
+    this.registry.emit('service:renewed', { service, wasStale });
+
+    return { success: true, service, lease: service.lease };
+  }
+
+  /**
+   * Grace period after expiry before a stale service is removed
+   */
+  getGraceMs(lease) {
+    return (this.graceSeconds !== null ? this.graceSeconds : lease.ttlSeconds) * 1000;
+  }
+
+  /**
+   * Mark expired leases stale and deregister stale services past their grace period
+   */
+  reap(now = Date.now()) {
+    const result = { stale: [], deregistered: [] };
+
+    for (const service of this.registry.getAllServices()) {
+      if (!service.lease) continue;
+
+      const expiresAt = new Date(service.lease.expiresAt).getTime();
+
+      if (now >= expiresAt + this.getGraceMs(service.lease)) {
+        if (this.registry.unregisterService(service.id, 'lease_expired').success) {
+          this.deregistered++;
+          result.deregistered.push(service.id);
+        }
+      } else if (now >= expiresAt && service.status !== 'stale') {
+        service.lease.statusBeforeStale = service.status;
+        this.registry.statusTracker.updateStatus(service.id, 'stale', null, 'lease_expired', now);
+        this.staleMarked++;
+        result.stale.push(service.id);
+        this.registry.emit('service:stale', { service, expiredAt: service.lease.expiresAt });
+      }
+    }
+
+    if (result.stale.length > 0 || result.deregistered.length > 0) {
+      logger.warn('Service leases reaped', result);
+    }
+
+    return result;
+  }
+
+  /**
+   * Reaper statistics
+   */
+  getStats() {
+    return {
+      running: this.timer !== null,
+      intervalSeconds: this.intervalMs / 1000,
+      staleMarked: this.staleMarked,
+      deregistered: this.deregistered
+    };
+  }
+}
+
+module.exports = ServiceLeaseReaper;
@@ -0,0 +1,222 @@
+/**
+ * BIG BROTHER COMPLIANT - Service Manifest v2
+ * SINGLE RESPONSIBILITY: Import/export services and webhook routes as a declarative manifest
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+const fs = require('fs');
+const yaml = require('js-yaml');
+const logger = require('../../utils/logger');
+const { getServiceRegistry } = require('./serviceRegistry');
+const { getWebhookHub } = require('./webhookHub');
+const { redactProbe, restoreProbeHeaders } = require('./probeConfig');
+const {
+  MANIFEST_VERSION, DEFAULT_ENVIRONMENT, SERVICE_FIELDS, validateManifest, getRouteKey
+} = require('./manifestValidator');
+
+/**
+ * Parse a YAML or JSON manifest document (JSON is valid YAML)
+ */
+function parseManifest(document) {
+  if (document && typeof document === 'object') {
+    return { success: true, manifest: document };
+  }
+
+  try {
+    return { success: true, manifest: yaml.load(String(document || ''), { schema: yaml.CORE_SCHEMA }) };
+  } catch (error) {
+    return { success: false, error: `Manifest could not be parsed: ${error.message}`, code: 'INVALID_MANIFEST' };
+  }
+}
+
+/**
+ * Serialize a manifest as YAML or JSON
+ */
+function serializeManifest(manifest, format = 'json') {
+  return format === 'yaml'
+    ? yaml.dump(manifest, { noRefs: true, lineWidth: 120 })
+    : JSON.stringify(manifest, null, 2);
+}
+
+class ServiceManifest {
+  constructor(registry, webhookHub) {
+    this.registry = registry;
+    this.webhookHub = webhookHub;
+  }
+
+  /**
+   * Dump registered services and webhook routes as a manifest
+   */
+  export() {
+    return {
+      version: MANIFEST_VERSION,
+      exportedAt: new Date().toISOString(),
+      services: this.registry.getAllServices().map(service => {
+        const entry = {};
+        for (const field of SERVICE_FIELDS) {
+          if (service[field] !== undefined) entry[field] = service[field];
+        }
+        if (service.lease) entry.ttlSeconds = service.lease.ttlSeconds;
+        if (entry.probe) entry.probe = redactProbe(entry.probe);
+        return entry;
+      }),
+      routes: this.webhookHub.routes.getAll().map(route => this.webhookHub.routes.pickFields(route))
+    };
+  }
+
+  /**
+   * Validate every entry; nothing is applied unless the whole manifest is valid
+   */
+  validate(manifest) {
+    return validateManifest(manifest, {
+      registry: this.registry,
+      webhookHub: this.webhookHub,
+      findService: entry => this.findService(entry)
+    });
+  }
+
+  /**
+   * Import a manifest: upsert services by name + environment and routes by
+   * source/eventType/target(Selector)/endpoint. Any failure rolls back applied entries.
+   */
+  import(manifest, options = {}) {
+    const startTime = Date.now();
+    const validation = this.validate(manifest);
+
+    if (!validation.isValid) {
+      return {
+        success: false,
+        error: `Invalid manifest: ${validation.errors.length} error(s)`,
+        code: 'INVALID_MANIFEST',
+        errors: validation.errors
+      };
+    }
+
+    const services = (manifest.services || []).map(entry => ({
+      name: entry.name,
+      environment: entry.environment || DEFAULT_ENVIRONMENT,
+      action: this.findService(entry) ? 'updated' : 'created'
+    }));
+    const routes = (manifest.routes || []).map(entry => ({
+      key: this.getRouteKey(entry),
+      action: this.findRoute(entry) ? 'updated' : 'created'
+    }));
+
+    if (options.dryRun) {
+      return { success: true, dryRun: true, services, routes, executionTime: Date.now() - startTime };
+    }
+
+    const journal = [];
+    try {
+      (manifest.services || []).forEach((entry, index) => {
+        const existing = this.findService(entry);
+        const previous = existing ? JSON.parse(JSON.stringify(existing)) : null;
+        const config = existing && entry.probe ? { ...entry, probe: restoreProbeHeaders(entry.probe, existing.probe) } : entry;
+        const result = this.registry.registerService(config);
+
+        if (!result.success) {
+          throw new Error(`services[${index}]: ${result.error}`);
+        }
+        journal.push({ kind: 'service', id: result.serviceId, previous });
+        services[index].serviceId = result.serviceId;
+        if (result.token) services[index].token = result.token;
+      });
+
+      (manifest.routes || []).forEach((entry, index) => {
+        const existing = this.findRoute(entry);
+        const result = existing
+          ? this.webhookHub.routes.update(existing.id, entry)
+          : this.webhookHub.routes.add(entry);
+
+        if (!result.success) {
+          throw new Error(`routes[${index}]: ${result.error}`);
+        }
+        const routeId = existing ? existing.id : result.routeId;
+        journal.push({ kind: 'route', id: routeId, previous: existing });
+        routes[index].routeId = routeId;
+      });
+
+    } catch (error) {
+      this.rollback(journal);
+      logger.error('Manifest import rolled back', { error: error.message, reverted: journal.length });
+      return { success: false, error: `Manifest import rolled back: ${error.message}`, code: 'MANIFEST_IMPORT_FAILED' };
+    }
+
+    logger.info('Manifest imported', { services: services.length, routes: routes.length });
+
+    return { success: true, dryRun: false, services, routes, executionTime: Date.now() - startTime };
+  }
+
+  /**
+   * Undo applied entries in reverse order
+   */
+  rollback(journal) {
+    for (const { kind, id, previous } of journal.slice().reverse()) {
+      if (kind === 'service') {
+        if (previous) this.registry.persist(previous);
+        else this.registry.unregisterService(id, 'manifest_rollback');
+      } else if (previous) {
+        this.webhookHub.routes.restore(previous);
+      } else {
+        this.webhookHub.routes.remove(id);
+      }
+    }
+  }
+
+  /**
+   * Read and import a manifest file
+   */
+  importFile(filePath, options = {}) {
+    let document;
+    try {
+      document = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+      return { success: false, error: `Manifest could not be read: ${error.message}`, code: 'INVALID_MANIFEST' };
+    }
+
+    const parsed = parseManifest(document);
+    return parsed.success ? this.import(parsed.manifest, options) : parsed;
+  }
+
+  /**
+   * Registered service a manifest entry refers to
+   */
+  findService(entry) {
+    return this.registry.findServiceByName(entry.name, entry.environment || DEFAULT_ENVIRONMENT);
+  }
+
+  /**
+   * Existing route a manifest entry refers to
+   */
+  findRoute(entry) {
+    const key = this.getRouteKey(entry);
+    return this.webhookHub.routes.getAll().find(route => this.getRouteKey(route) === key) || null;
+  }
+
+  /**
+   * Identity of a route across imports
+   */
+  getRouteKey(route) {
+    return getRouteKey(route);
+  }
+}
+
+// Singleton instance
+let serviceManifestInstance = null;
+
+/**
+ * Get singleton service manifest
+ */
+function getServiceManifest() {
+  if (!serviceManifestInstance) {
+    serviceManifestInstance = new ServiceManifest(getServiceRegistry(), getWebhookHub());
+  }
+  return serviceManifestInstance;
+}
+
+module.exports = {
+  ServiceManifest,
+  parseManifest,
+  serializeManifest,
+  getServiceManifest
+};
@@ -0,0 +1,241 @@
+/**
+ * BIG BROTHER COMPLIANT - Service Registrar v2
+ * SINGLE RESPONSIBILITY: Register, update and unregister ServiceRegistry services
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+const logger = require('../../utils/logger');
+const { normalizeInstances } = require('./serviceInstances');
+const { issueToken } = require('./serviceTokens');
+const {
+  MAX_LEASE_TTL_SECONDS, DEFAULT_ENVIRONMENT, SETTABLE_STATUSES, UPDATABLE_FIELDS,
+  isValidTtl, createLease, validateServiceConfig
+} = require('./serviceConfig');
+
+/**
+ * Lifecycle operations on a ServiceRegistry's services (writes go through
+ * the registry's store; events are emitted by the registry)
+ */
+class ServiceRegistrar {
+  constructor(registry) {
+    this.registry = registry;
+  }
+
+  /**
+   * Register a Big Brother service (upserts by name + environment)
+   */
+  register(serviceConfig) {
+    const startTime = Date.now();
+
+    try {
+      // Validate input
+      const validation = validateServiceConfig(serviceConfig);
+      if (!validation.isValid) {
+        throw new Error(`Invalid service config: ${validation.errors.join(', ')}`);
+      }
+
+      // Re-registration (e.g. on every boot) keeps the existing ID
+      const environment = serviceConfig.environment || DEFAULT_ENVIRONMENT;
+      const existing = this.registry.findServiceByName(serviceConfig.name, environment);
+      if (existing) {
+        return this.reregister(existing, serviceConfig, startTime);
+      }
+
+      // Check capacity
+      if (this.registry.services.size >= this.registry.maxServices) {
+        throw new Error('Service registry at capacity');
+      }
+
+      // Credentials are issued here, never taken from the caller
+      const { ttlSeconds, auth, ...config } = serviceConfig;
+      const issued = issueToken();
+      const service = this.withInstances({
+        ...config,
+        environment,
+        id: this.generateId(serviceConfig.name),
+        registeredAt: new Date().toISOString(),
+        lastHealthCheck: null,
+        status: 'registered',
+        bigBrotherCompliant: serviceConfig.bigBrotherCompliant || false,
+        lease: ttlSeconds !== undefined ? createLease(ttlSeconds) : null,
+        auth: issued.auth
+      });
+
+      // Write through before acknowledging the registration
+      this.registry.store.save(service);
+      this.registry.services.set(service.id, service);
+      
+      logger.info('Service registered', {
+        id: service.id,
+        name: service.name,
+        type: service.type,
+        bigBrotherCompliant: service.bigBrotherCompliant,
+        ttlSeconds: service.lease ? service.lease.ttlSeconds : null
+      });
+      this.registry.emit('service:registered', { service });
+
+      const executionTime = Date.now() - startTime;
+      return {
+        success: true,
+        serviceId: service.id,
+        created: true,
+        token: issued.token,
+        executionTime,
+        compliant: executionTime < 100
+      };
+
+    } catch (error) {
+      logger.error('Service registration failed', { 
+        error: error.message,
+        service: serviceConfig.name 
+      });
+      
+      return {
+        success: false,
+        error: error.message,
+        executionTime: Date.now() - startTime
+      };
+    }
+  }
+
+  /**
+   * Refresh an existing registration in place (services registered before
+   * tokens existed are issued one)
+   */
+  reregister(existing, serviceConfig, startTime) {
+    const { ttlSeconds, auth, ...config } = serviceConfig;
+    const issued = existing.auth ? null : issueToken();
+    const service = this.withInstances({
+      ...existing,
+      ...config,
+      environment: existing.environment || DEFAULT_ENVIRONMENT,
+      id: existing.id,
+      registeredAt: existing.registeredAt,
+      updatedAt: new Date().toISOString(),
+      status: existing.status === 'stale' ? 'registered' : existing.status,
+      bigBrotherCompliant: serviceConfig.bigBrotherCompliant || false,
+      lease: ttlSeconds !== undefined ? createLease(ttlSeconds) : null,
+      auth: issued ? issued.auth : existing.auth
+    });
+
+    this.registry.store.save(service);
+    this.registry.services.set(service.id, service);
+
+    logger.info('Service re-registered', { id: service.id, name: service.name, environment: service.environment });
+    this.registry.emit('service:updated', { service, reason: 'reregistered' });
+
+    const executionTime = Date.now() - startTime;
+    return {
+      success: true,
+      serviceId: service.id,
+      created: false,
+      ...(issued && { token: issued.token }),
+      executionTime,
+      compliant: executionTime < 100
+    };
+  }
+
+  /**
+   * Update a service's configuration, status and/or lease
+   */
+  update(serviceId, changes = {}) {
+    const service = this.registry.services.get(serviceId);
+
+    if (!service) {
+      return { success: false, error: 'Service not found', code: 'SERVICE_NOT_FOUND' };
+    }
+
+    const { status, ttlSeconds, ...fields } = changes;
+    const errors = Object.keys(fields)
+      .filter(field => !UPDATABLE_FIELDS.includes(field))
+      .map(field => `${field} cannot be updated`);
+
+    const updated = { ...service };
+    for (const field of UPDATABLE_FIELDS) {
+      if (fields[field] !== undefined) {
+        updated[field] = fields[field];
+      }
+    }
+
+    errors.push(...validateServiceConfig(updated).errors);
+
+    if (status !== undefined && !SETTABLE_STATUSES.includes(status)) {
+      errors.push(`status must be one of: ${SETTABLE_STATUSES.join(', ')}`);
+    }
+
+    if (ttlSeconds !== undefined && !isValidTtl(ttlSeconds)) {
+      errors.push(`ttlSeconds must be an integer between 1 and ${MAX_LEASE_TTL_SECONDS}`);
+    }
+
+    if (errors.length > 0) {
+      return { success: false, error: `Invalid service update: ${errors.join(', ')}`, code: 'INVALID_SERVICE' };
+    }
+
+    updated.updatedAt = new Date().toISOString();
+    this.registry.persist(this.withInstances(updated));
+
+    if (status !== undefined) {
+      this.registry.statusTracker.updateStatus(serviceId, status, null, 'manual');
+    }
+
+    if (ttlSeconds !== undefined) {
+      this.registry.reaper.renew(serviceId, ttlSeconds);
+    }
+
+    this.registry.emit('service:updated', { service: updated, reason: 'updated' });
+
+    return { success: true, service: this.registry.services.get(serviceId) };
+  }
+
+  /**
+   * Normalize instance endpoints; the first instance doubles as the service url
+   */
+  withInstances(service) {
+    if (Array.isArray(service.instances)) {
+      service.instances = normalizeInstances(service.instances);
+      service.url = service.url || service.instances[0].url;
+    }
+    return service;
+  }
+
+  /**
+   * Generate unique service ID
+   */
+  generateId(serviceName) {
+    const timestamp = Date.now().toString(36);
+    const random = Math.random().toString(36).substr(2, 5);
+    const sanitized = serviceName.toLowerCase().replace(/[^a-z0-9]/g, '-');
+    return `bb-${sanitized}-${timestamp}-${random}`;
+  }
+
+  /**
+   * Remove service from registry
+   */
+  unregister(serviceId, reason = 'manual') {
+    const service = this.registry.services.get(serviceId);
+    
+    if (!service) {
+      return { success: false, error: 'Service not found', code: 'SERVICE_NOT_FOUND' };
+    }
+
+    try {
+      this.registry.store.remove(serviceId);
+    } catch (error) {
+      logger.error('Service registry write failed', { serviceId, error: error.message });
+      return { success: false, error: `Failed to persist unregistration: ${error.message}` };
+    }
+
+    this.registry.services.delete(serviceId);
+    
+    logger.info('Service unregistered', {
+      id: serviceId,
+      name: service.name,
+      reason
+    });
+    this.registry.emit('service:deregistered', { service, reason });
+
+    return { success: true, removedService: service };
+  }
+}
+
+module.exports = ServiceRegistrar;
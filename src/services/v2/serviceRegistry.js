@@ -4,18 +4,46 @@
  * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
  */
 
+const EventEmitter = require('events');
 const logger = require('../../utils/logger');
 const { getFeatureFlagManager } = require('../../config/featureFlags');
+const ServiceLeaseReaper = require('./serviceLeaseReaper');
+const DependencyGraph = require('./dependencyGraph');
+const ServiceAuthenticator = require('./serviceAuthenticator');
+const ServiceStatusTracker = require('./serviceStatusTracker');
+const ServiceRegistrar = require('./serviceRegistrar');
+const { matchesSelector, getServiceLabels } = require('./labelSelector');
+const { redactProbe } = require('./probeConfig');
+const { getDefaultPolicy } = require('./statusHysteresis');
+const { describeAuth } = require('./serviceTokens');
+const { DEFAULT_ENVIRONMENT, createRegistryStore } = require('./serviceConfig');
 
 const flagManager = getFeatureFlagManager();
 
-class ServiceRegistry {
-  constructor() {
+// Rewritten on every health check; kept in memory only
+const VOLATILE_FIELDS = ['healthData', 'statusTracking', 'lastHealthCheck'];
+
+/**
+ * Registry events: service:registered, service:updated, service:renewed,
+ * service:stale, service:deregistered, service:token_rotated,
+ * service:token_revoked ({ service, reason })
+ */
+class ServiceRegistry extends EventEmitter {
+  constructor(options = {}) {
+    super();
     this.services = new Map();
+    this.store = options.store || createRegistryStore();
+    this.reaper = new ServiceLeaseReaper(this, options.reaper);
     this.healthChecks = new Map();
     this.lastHealthCheck = null;
     this.initialized = false;
     this.maxServices = 50; // Big Brother limit
+    this.statusPolicy = { ...getDefaultPolicy(), ...options.statusPolicy };
+    this.selfServiceId = null;
+    this.selfToken = null; // Lets the hub relay verified reports to its own endpoints
+    this.authenticator = new ServiceAuthenticator(this);
+    this.statusTracker = new ServiceStatusTracker(this);
+    this.registrar = new ServiceRegistrar(this);
   }
 
   /**
@@ -29,8 +57,14 @@ class ServiceRegistry {
     try {
       logger.info('Initializing Big Brother Service Registry');
       
-      // Register the AutoHealer itself
-      this.registerService({
+      // Restore services registered before the last restart
+      for (const service of this.store.load()) {
+        this.services.set(service.id, service);
+      }
+      logger.info('Service registry loaded', { services: this.services.size, store: this.store.type });
+      
+      // Register the AutoHealer itself (refreshed in place when already stored)
+      const self = this.registerService({
         name: 'autohealer-bigbrother',
         type: 'core',
         version: '2.0.0',
@@ -39,6 +73,11 @@ class ServiceRegistry {
         bigBrotherCompliant: true,
         capabilities: ['error-fixing', 'performance-monitoring', 'feature-flags']
       });
+      this.selfServiceId = self.serviceId;
+      this.selfToken = self.token || this.authenticator.rotateToken(self.serviceId).token;
+      
+      // Expire services whose heartbeat lease lapsed
+      this.reaper.start();
 
       this.initialized = true;
       logger.info('Service Registry initialized successfully');
@@ -51,99 +90,31 @@ class ServiceRegistry {
   }
 
   /**
-   * Register a Big Brother service
+   * Register a Big Brother service (upserts by name + environment)
    */
   registerService(serviceConfig) {
-    const startTime = Date.now();
-
-    try {
-      // Validate input
-      const validation = this.validateServiceConfig(serviceConfig);
-      if (!validation.isValid) {
-        throw new Error(`Invalid service config: ${validation.errors.join(', ')}`);
-      }
-
-      // Check capacity
-      if (this.services.size >= this.maxServices) {
-        throw new Error('Service registry at capacity');
-      }
-
-      const service = {
-        ...serviceConfig,
-        id: this.generateServiceId(serviceConfig.name),
-        registeredAt: new Date().toISOString(),
-        lastHealthCheck: null,
-        status: 'registered',
-        bigBrotherCompliant: serviceConfig.bigBrotherCompliant || false
-      };
-
-      this.services.set(service.id, service);
-      
-      logger.info('Service registered', {
-        id: service.id,
-        name: service.name,
-        type: service.type,
-        bigBrotherCompliant: service.bigBrotherCompliant
-      });
-
-      const executionTime = Date.now() - startTime;
-      return {
-        success: true,
-        serviceId: service.id,
-        executionTime,
-        compliant: executionTime < 100
-      };
-
-    } catch (error) {
-      logger.error('Service registration failed', { 
-        error: error.message,
-        service: serviceConfig.name 
-      });
-      
-      return {
-        success: false,
-        error: error.message,
-        executionTime: Date.now() - startTime
-      };
-    }
+    return this.registrar.register(serviceConfig);
   }
 
   /**
-   * Validate service configuration
+   * Update a service's configuration, status and/or lease
    */
-  validateServiceConfig(config) {
-    const errors = [];
-
-    if (!config.name || typeof config.name !== 'string') {
-      errors.push('Service name is required');
-    }
-
-    if (!config.url || typeof config.url !== 'string') {
-      errors.push('Service URL is required');
-    }
-
-    if (!config.type || !['core', 'api', 'middleware', 'assistant'].includes(config.type)) {
-      errors.push('Valid service type is required (core, api, middleware, assistant)');
-    }
-
-    if (!config.version || typeof config.version !== 'string') {
-      errors.push('Service version is required');
-    }
+  updateService(serviceId, changes = {}) {
+    return this.registrar.update(serviceId, changes);
+  }
 
-    return {
-      isValid: errors.length === 0,
-      errors
-    };
+  /**
+   * Remove service from registry
+   */
+  unregisterService(serviceId, reason = 'manual') {
+    return this.registrar.unregister(serviceId, reason);
   }
 
   /**
-   * Generate unique service ID
+   * Service record safe to return from the API (token hashes and probe header values removed)
    */
-  generateServiceId(serviceName) {
-    const timestamp = Date.now().toString(36);
-    const random = Math.random().toString(36).substr(2, 5);
-    const sanitized = serviceName.toLowerCase().replace(/[^a-z0-9]/g, '-');
-    return `bb-${sanitized}-${timestamp}-${random}`;
+  toPublic(service) {
+    return { ...service, auth: describeAuth(service.auth), probe: redactProbe(service.probe) };
   }
 
   /**
@@ -153,6 +124,14 @@ class ServiceRegistry {
     return this.services.get(serviceId) || null;
   }
 
+  /**
+   * Find a service by name within an environment
+   */
+  findServiceByName(name, environment = DEFAULT_ENVIRONMENT) {
+    return this.getAllServices().find(service =>
+      service.name === name && (service.environment || DEFAULT_ENVIRONMENT) === environment) || null;
+  }
+
   /**
    * Get all services
    */
@@ -161,59 +140,43 @@ class ServiceRegistry {
   }
 
   /**
-   * Get services by type
+   * Build the dependency graph of registered services
    */
-  getServicesByType(type) {
-    return this.getAllServices().filter(service => service.type === type);
+  getDependencyGraph() {
+    return new DependencyGraph(this.getAllServices());
   }
 
   /**
-   * Get Big Brother compliant services only
+   * Services affected if a service is unhealthy (null when unknown)
    */
-  getBigBrotherServices() {
-    return this.getAllServices().filter(service => service.bigBrotherCompliant === true);
+  getImpact(serviceId) {
+    return this.getDependencyGraph().getImpact(serviceId);
   }
 
   /**
-   * Update service status
+   * Get services matching a label selector (validate it with validateSelector first)
    */
-  updateServiceStatus(serviceId, status, healthData = null) {
-    const service = this.services.get(serviceId);
-    
-    if (!service) {
-      return { success: false, error: 'Service not found' };
-    }
-
-    service.status = status;
-    service.lastHealthCheck = new Date().toISOString();
-    
-    if (healthData) {
-      service.healthData = healthData;
-    }
-
-    this.services.set(serviceId, service);
-    
-    return { success: true, service };
+  getServicesBySelector(selector) {
+    return this.getAllServices().filter(service => matchesSelector(selector, getServiceLabels(service)));
   }
 
   /**
-   * Remove service from registry
+   * Apply a service update in memory and write it through to the store
+   * without its volatile health fields (a failed write is logged; the
+   * in-memory state stays current)
    */
-  unregisterService(serviceId) {
-    const service = this.services.get(serviceId);
-    
-    if (!service) {
-      return { success: false, error: 'Service not found' };
-    }
+  persist(service) {
+    this.services.set(service.id, service);
+    const record = { ...service };
+    VOLATILE_FIELDS.forEach(field => delete record[field]);
 
-    this.services.delete(serviceId);
-    
-    logger.info('Service unregistered', {
-      id: serviceId,
-      name: service.name
-    });
-
-    return { success: true, removedService: service };
+    try {
+      this.store.save(record);
+      return true;
+    } catch (error) {
+      logger.error('Service registry write failed', { serviceId: service.id, error: error.message });
+      return false;
+    }
   }
 
   /**
@@ -221,7 +184,8 @@ class ServiceRegistry {
    */
   getStats() {
     const services = this.getAllServices();
-    const bbServices = this.getBigBrotherServices();
+    const bbServices = services.filter(service => service.bigBrotherCompliant === true);
+    const ofType = type => services.filter(service => service.type === type).length;
     
     return {
       totalServices: services.length,
@@ -229,17 +193,23 @@ class ServiceRegistry {
       complianceRate: services.length > 0 ? 
         ((bbServices.length / services.length) * 100).toFixed(1) + '%' : '0%',
       serviceTypes: {
-        core: this.getServicesByType('core').length,
-        api: this.getServicesByType('api').length,
-        middleware: this.getServicesByType('middleware').length,
-        assistant: this.getServicesByType('assistant').length
+        core: ofType('core'),
+        api: ofType('api'),
+        middleware: ofType('middleware'),
+        assistant: ofType('assistant')
       },
       healthyServices: services.filter(s => s.status === 'healthy').length,
       capacity: {
         used: services.length,
         max: this.maxServices,
         available: this.maxServices - services.length
-      }
+      },
+      leases: {
+        leased: services.filter(s => s.lease).length,
+        stale: services.filter(s => s.status === 'stale').length,
+        reaper: this.reaper.getStats()
+      },
+      store: this.store.getStats()
     };
   }
 
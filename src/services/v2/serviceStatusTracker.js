@@ -0,0 +1,109 @@
+/**
+ * BIG BROTHER COMPLIANT - Service Status Tracker v2
+ * SINGLE RESPONSIBILITY: Track ServiceRegistry service status, transitions and alert summaries
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+const logger = require('../../utils/logger');
+const { resolvePolicy, nextStatus } = require('./statusHysteresis');
+
+const MAX_STATUS_HISTORY = 50;
+
+/**
+ * Status updates on a ServiceRegistry's services (status changes are
+ * persisted through the registry; health data stays in memory)
+ */
+class ServiceStatusTracker {
+  constructor(registry) {
+    this.registry = registry;
+  }
+
+  /**
+   * Update service status
+   */
+  updateStatus(serviceId, status, healthData = null, reason = 'reported', now = Date.now()) {
+    const service = this.registry.services.get(serviceId);
+    
+    if (!service) {
+      return { success: false, error: 'Service not found', code: 'SERVICE_NOT_FOUND' };
+    }
+
+    // A stale service stays stale until it renews its lease; remember the
+    // latest health status so renewal restores it
+    let changed = false;
+    if (service.status === 'stale' && status !== 'stale') {
+      changed = service.lease.statusBeforeStale !== status;
+      service.lease.statusBeforeStale = status;
+    } else {
+      if (service.status !== status) {
+        this.recordTransition(service, service.status, status, reason, now);
+        changed = true;
+      }
+      service.status = status;
+    }
+    service.lastHealthCheck = new Date().toISOString();
+    
+    if (healthData) {
+      service.healthData = healthData;
+    }
+
+    // Only status changes reach the store; health data stays in memory
+    if (changed) {
+      this.registry.persist(service);
+    }
+    
+    return { success: true, service };
+  }
+
+  /**
+   * Apply a health check result through the service's status policy: the
+   * status only turns failing (or recovers) after enough consecutive checks,
+   * and a service whose checks keep changing is marked flapping
+   */
+  applyHealthResult(serviceId, result, now = Date.now()) {
+    const service = this.registry.services.get(serviceId);
+
+    if (!service) {
+      return { success: false, error: 'Service not found', code: 'SERVICE_NOT_FOUND' };
+    }
+
+    const current = service.status === 'stale' ? service.lease.statusBeforeStale || 'registered' : service.status;
+    service.statusTracking = service.statusTracking || {};
+    const next = nextStatus(service.statusTracking, current, result.status, resolvePolicy(service, this.registry.statusPolicy));
+
+    return next
+      ? this.updateStatus(serviceId, next.status, result, next.reason, now)
+      : this.updateStatus(serviceId, current, result, 'health_check', now);
+  }
+
+  /**
+   * Append a status change to the service's bounded status history
+   */
+  recordTransition(service, from, to, reason, now = Date.now()) {
+    service.statusHistory = (service.statusHistory || [])
+      .concat({ at: new Date(now).toISOString(), from, to, reason })
+      .slice(-MAX_STATUS_HISTORY);
+
+    if (to === 'flapping' || from === 'flapping') {
+      logger.warn(to === 'flapping' ? 'Service is flapping' : 'Service stopped flapping', { id: service.id, name: service.name });
+    }
+  }
+
+  /**
+   * Record the performance alert summary for a service
+   */
+  updateAlerts(serviceId, alerts) {
+    const service = this.registry.services.get(serviceId);
+
+    if (!service) {
+      return { success: false, error: 'Service not found', code: 'SERVICE_NOT_FOUND' };
+    }
+
+    service.alerts = alerts;
+    this.registry.persist(service);
+
+    return { success: true, service };
+  }
+}
+
+module.exports = ServiceStatusTracker;
@@ -0,0 +1,130 @@
+/**
+ * BIG BROTHER COMPLIANT - Service Tokens v2
+ * SINGLE RESPONSIBILITY: Issue, hash and verify per-service authentication tokens
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+const crypto = require('crypto');
+
+const TOKEN_PREFIX = 'bbst_';
+
+/**
+ * SHA-256 of a token (tokens are 256-bit random, so no salt/KDF is needed)
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Constant-time comparison of two hex digests
+ */
+function digestsEqual(a, b) {
+  if (!a || !b || a.length !== b.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(a, 'hex'), Buffer.from(b, 'hex'));
+}
+
+/**
+ * Issue a new token. The plaintext is returned once; only its hash is kept.
+ * With graceSeconds the previous token keeps working until the grace ends.
+ */
+function issueToken(previousAuth = null, graceSeconds = 0, now = Date.now()) {
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+  const auth = {
+    tokenHash: hashToken(token),
+    tokenHint: token.slice(-4),
+    issuedAt: new Date(now).toISOString(),
+    revokedAt: null,
+    previousTokenHash: null,
+    previousExpiresAt: null
+  };
+
+  if (previousAuth && previousAuth.tokenHash && graceSeconds > 0) {
+    auth.previousTokenHash = previousAuth.tokenHash;
+    auth.previousExpiresAt = new Date(now + graceSeconds * 1000).toISOString();
+  }
+
+  return { token, auth };
+}
+
+/**
+ * Revoked credentials: no token (current or previous) is accepted
+ */
+function revokeToken(auth, now = Date.now()) {
+  return {
+    ...auth,
+    tokenHash: null,
+    previousTokenHash: null,
+    previousExpiresAt: null,
+    revokedAt: new Date(now).toISOString()
+  };
+}
+
+/**
+ * Check a presented token against stored credentials
+ */
+function verifyToken(auth, token, now = Date.now()) {
+  if (!token) {
+    return { valid: false, error: 'Service token required', code: 'TOKEN_REQUIRED' };
+  }
+
+  if (auth.revokedAt) {
+    return { valid: false, error: 'Service token has been revoked', code: 'TOKEN_REVOKED' };
+  }
+
+  const digest = hashToken(token);
+  if (digestsEqual(digest, auth.tokenHash)) {
+    return { valid: true };
+  }
+
+  if (auth.previousTokenHash && now < new Date(auth.previousExpiresAt).getTime() &&
+      digestsEqual(digest, auth.previousTokenHash)) {
+    return { valid: true, previous: true };
+  }
+
+  return { valid: false, error: 'Invalid service token', code: 'INVALID_TOKEN' };
+}
+
+/**
+ * Check the operator's admin token (REGISTRY_ADMIN_TOKEN); unset disables it
+ */
+function verifyAdminToken(token, adminToken = process.env.REGISTRY_ADMIN_TOKEN) {
+  return Boolean(token && adminToken) && digestsEqual(hashToken(token), hashToken(adminToken));
+}
+
+/**
+ * Credentials safe to return from the API (no hashes)
+ */
+function describeAuth(auth) {
+  if (!auth) {
+    return null;
+  }
+
+  return {
+    tokenHint: auth.tokenHint,
+    issuedAt: auth.issuedAt,
+    revoked: Boolean(auth.revokedAt),
+    revokedAt: auth.revokedAt,
+    previousTokenExpiresAt: auth.previousExpiresAt
+  };
+}
+
+/**
+ * Extract a bearer token from request headers
+ */
+function extractToken(headers = {}) {
+  const header = headers.authorization || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+module.exports = {
+  hashToken,
+  issueToken,
+  revokeToken,
+  verifyToken,
+  verifyAdminToken,
+  describeAuth,
+  extractToken
+};
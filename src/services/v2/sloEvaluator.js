@@ -0,0 +1,192 @@
+/**
+ * BIG BROTHER COMPLIANT - SLO Evaluator v2
+ * SINGLE RESPONSIBILITY: Compute error budgets and burn-rate alerts from health history
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+const logger = require('../../utils/logger');
+const HealthHistoryStore = require('./healthHistoryStore');
+
+/**
+ * SLO definitions (service.slos):
+ *   { name: 'availability', type: 'availability', objective: 99.9, window: '30d' }
+ *   { name: 'latency', type: 'latency', objective: 95, thresholdMs: 200, window: '30d' }
+ * Availability is the share of healthy checks; latency is the share of checks
+ * answering within thresholdMs (objective 95 + thresholdMs 200 = "p95 < 200ms").
+ *
+ * Burn rate = observed error rate / error rate the objective allows. Alerts use
+ * multiple windows: one fires when both its long and short window burn faster
+ * than the rate that would spend budgetPercent of the budget in the long window.
+ */
+const SLO_TYPES = ['availability', 'latency'];
+const MAX_SLOS = 10;
+const BURN_RATE_ALERTS = [
+  { severity: 'critical', longWindow: '1h', shortWindow: '5m', budgetPercent: 2 },
+  { severity: 'critical', longWindow: '6h', shortWindow: '30m', budgetPercent: 5 },
+  { severity: 'warning', longWindow: '1d', shortWindow: '2h', budgetPercent: 10 },
+  { severity: 'warning', longWindow: '3d', shortWindow: '6h', budgetPercent: 10 }
+];
+const BURN_WINDOWS = [...new Set(BURN_RATE_ALERTS.flatMap(a => [a.shortWindow, a.longWindow]))];
+
+/**
+ * Validate a service's SLO definitions (returns errors)
+ */
+function validateSlos(slos) {
+  const errors = [];
+
+  if (slos === undefined) {
+    return errors;
+  }
+
+  if (!Array.isArray(slos) || slos.length > MAX_SLOS) {
+    return [`slos must be an array of at most ${MAX_SLOS} objectives`];
+  }
+
+  const names = new Set();
+  slos.forEach((slo, index) => {
+    if (!slo || typeof slo !== 'object') {
+      errors.push(`slos[${index}] must be an object`);
+      return;
+    }
+    if (!SLO_TYPES.includes(slo.type)) {
+      errors.push(`slos[${index}].type must be one of: ${SLO_TYPES.join(', ')}`);
+    }
+    if (typeof slo.objective !== 'number' || slo.objective <= 0 || slo.objective >= 100) {
+      errors.push(`slos[${index}].objective must be a percentage between 0 and 100 (exclusive)`);
+    }
+    if (slo.window !== undefined) {
+      const windowMs = HealthHistoryStore.parseDuration(slo.window);
+      if (windowMs === null || windowMs > 90 * 24 * 3600 * 1000) {
+        errors.push(`slos[${index}].window must be a duration like 7d or 30d, at most 90d`);
+      }
+    }
+    if (slo.type === 'latency' && (!Number.isInteger(slo.thresholdMs) || slo.thresholdMs <= 0)) {
+      errors.push(`slos[${index}].thresholdMs must be a positive integer`);
+    }
+
+    const name = getSloName(slo);
+    if (typeof name !== 'string' || !name || names.has(name)) {
+      errors.push(`slos[${index}].name must be a unique non-empty string`);
+    }
+    names.add(name);
+  });
+
+  return errors;
+}
+
+/**
+ * SLO name, defaulting to its type
+ */
+function getSloName(slo) {
+  return slo.name !== undefined ? slo.name : slo.type;
+}
+
+/**
+ * Observed error rate divided by the allowed one (null without events)
+ */
+function burnRate(events, objective) {
+  if (events.total === 0) return null;
+  return ((events.total - events.good) / events.total) / (1 - objective / 100);
+}
+
+class SloEvaluator {
+  constructor(options = {}) {
+    this.history = options.history;
+    this.firing = new Map(); // serviceId:slo -> severity of the raised alert
+  }
+
+  /**
+   * Error budget, burn rates and alert state of one SLO
+   */
+  evaluateSlo(serviceId, slo, now = Date.now()) {
+    const windowMs = HealthHistoryStore.parseDuration(slo.window || '30d');
+    const count = ms => this.history.countEvents(serviceId, { since: now - ms, until: now, thresholdMs: slo.thresholdMs });
+    const events = count(windowMs);
+    const consumed = burnRate(events, slo.objective);
+
+    const burnRates = {};
+    for (const window of BURN_WINDOWS) {
+      const rate = burnRate(count(HealthHistoryStore.parseDuration(window)), slo.objective);
+      burnRates[window] = rate === null ? null : Number(rate.toFixed(3));
+    }
+
+    const alerts = BURN_RATE_ALERTS
+      .filter(alert => HealthHistoryStore.parseDuration(alert.longWindow) < windowMs)
+      .map(alert => {
+        const threshold = Number(((alert.budgetPercent / 100) * windowMs / HealthHistoryStore.parseDuration(alert.longWindow)).toFixed(3));
+        return {
+          ...alert,
+          threshold,
+          firing: burnRates[alert.longWindow] !== null && burnRates[alert.shortWindow] !== null &&
+            burnRates[alert.longWindow] >= threshold && burnRates[alert.shortWindow] >= threshold
+        };
+      });
+    const firing = alerts.find(alert => alert.firing && alert.severity === 'critical') || alerts.find(alert => alert.firing);
+
+    return {
+      name: getSloName(slo),
+      type: slo.type,
+      objective: slo.objective,
+      window: slo.window || '30d',
+      ...(slo.thresholdMs !== undefined && { thresholdMs: slo.thresholdMs }),
+      sli: events.total > 0 ? Number(((events.good / events.total) * 100).toFixed(3)) : null,
+      events,
+      errorBudget: consumed === null ? null : {
+        consumedPercent: Number((consumed * 100).toFixed(2)),
+        remainingPercent: Number(((1 - consumed) * 100).toFixed(2))
+      },
+      burnRates,
+      alerts,
+      status: events.total === 0 ? 'no_data' : (firing ? firing.severity : 'ok')
+    };
+  }
+
+  /**
+   * Evaluate every SLO of a service
+   */
+  evaluate(service, now = Date.now()) {
+    return (service.slos || []).map(slo => this.evaluateSlo(service.id, slo, now));
+  }
+
+  /**
+   * Evaluate a service and raise or resolve its burn-rate alerts through a
+   * PerformanceAlertManager
+   */
+  evaluateAndAlert(service, alertManager, now = Date.now()) {
+    const reports = this.evaluate(service, now);
+
+    for (const report of reports) {
+      const key = `${service.id}:${report.name}`;
+      const firing = report.alerts.find(alert => alert.firing && alert.severity === report.status);
+
+      if (firing) {
+        alertManager.ingest({
+          serviceId: service.id,
+          metric: `slo:${report.name}`,
+          value: report.burnRates[firing.longWindow],
+          threshold: firing.threshold,
+          severity: firing.severity,
+          message: `${report.name} SLO burning error budget at ${report.burnRates[firing.longWindow]}x ` +
+            `over ${firing.longWindow} (${firing.shortWindow} confirms); ${report.errorBudget.remainingPercent}% of budget left`
+        }, now);
+
+        if (this.firing.get(key) !== firing.severity) {
+          logger.warn('SLO burn-rate alert firing', { service: service.name, slo: report.name, severity: firing.severity });
+        }
+        this.firing.set(key, firing.severity);
+      } else if (this.firing.has(key)) {
+        alertManager.ingest({ serviceId: service.id, metric: `slo:${report.name}`, status: 'resolved' }, now);
+        this.firing.delete(key);
+      }
+    }
+
+    return reports;
+  }
+}
+
+module.exports = {
+  SLO_TYPES,
+  BURN_RATE_ALERTS,
+  validateSlos,
+  SloEvaluator
+};
@@ -0,0 +1,113 @@
+/**
+ * BIG BROTHER COMPLIANT - SQLite Registry Store v2
+ * SINGLE RESPONSIBILITY: Persist ServiceRegistry records to a SQLite database
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Uses the optional better-sqlite3 package (synchronous API, WAL journal).
+ * Records are stored as JSON documents keyed by service ID.
+ */
+class SqliteRegistryStore {
+  constructor(options = {}) {
+    this.type = 'sqlite';
+    this.durable = true;
+    this.filePath = options.filePath || path.join(process.cwd(), 'data', 'service-registry.db');
+    this.db = null;
+    this.writes = 0;
+  }
+
+  /**
+   * Open the database (creating the schema) and return stored records
+   */
+  load() {
+    if (!this.db) {
+      this.open();
+    }
+
+    return this.statements.all.all().map(row => JSON.parse(row.data));
+  }
+
+  /**
+   * Open the database and prepare statements
+   */
+  open() {
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('SQLite registry store requires the better-sqlite3 package (npm install better-sqlite3)');
+    }
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    this.db = new Database(this.filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS services (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+
+    this.statements = {
+      all: this.db.prepare('SELECT data FROM services ORDER BY rowid'),
+      upsert: this.db.prepare(`
+        INSERT INTO services (id, name, data, updated_at) VALUES (@id, @name, @data, @updatedAt)
+        ON CONFLICT(id) DO UPDATE SET name = excluded.name, data = excluded.data, updated_at = excluded.updated_at
+      `),
+      remove: this.db.prepare('DELETE FROM services WHERE id = ?'),
+      count: this.db.prepare('SELECT COUNT(*) AS count FROM services')
+    };
+  }
+
+  /**
+   * Insert or replace a service record
+   */
+  save(service) {
+    this.statements.upsert.run({
+      id: service.id,
+      name: service.name,
+      data: JSON.stringify(service),
+      updatedAt: new Date().toISOString()
+    });
+    this.writes++;
+  }
+
+  /**
+   * Delete a service record
+   */
+  remove(serviceId) {
+    this.statements.remove.run(serviceId);
+    this.writes++;
+  }
+
+  /**
+   * Store details
+   */
+  getStats() {
+    return {
+      store: this.type,
+      durable: this.durable,
+      file: this.filePath,
+      records: this.db ? this.statements.count.get().count : 0,
+      writes: this.writes
+    };
+  }
+
+  /**
+   * Close the database
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+module.exports = SqliteRegistryStore;
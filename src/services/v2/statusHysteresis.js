@@ -0,0 +1,122 @@
+/**
+ * BIG BROTHER COMPLIANT - Status Hysteresis v2
+ * SINGLE RESPONSIBILITY: Debounce health check results into a stable service status
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+const FAILING_STATUSES = ['unhealthy', 'error'];
+const POLICY_FIELDS = ['failureThreshold', 'recoveryThreshold', 'flapWindow', 'flapThreshold'];
+const MAX_FLAP_WINDOW = 100;
+
+/**
+ * Status policy (service.statusPolicy, defaults from the environment):
+ *   failureThreshold  - consecutive failed checks before a service turns unhealthy/error
+ *   recoveryThreshold - consecutive healthy checks before a failing service recovers
+ *   flapWindow        - number of recent checks inspected for flapping
+ *   flapThreshold     - healthy/failing changes within flapWindow that mark the
+ *                       service flapping (0 disables); it stops flapping once
+ *                       changes drop to half the threshold
+ */
+function getDefaultPolicy(env = process.env) {
+  return {
+    failureThreshold: parseInt(env.HEALTH_FAILURE_THRESHOLD, 10) || 1,
+    recoveryThreshold: parseInt(env.HEALTH_RECOVERY_THRESHOLD, 10) || 1,
+    flapWindow: parseInt(env.HEALTH_FLAP_WINDOW, 10) || 10,
+    flapThreshold: env.HEALTH_FLAP_THRESHOLD !== undefined ? parseInt(env.HEALTH_FLAP_THRESHOLD, 10) || 0 : 5
+  };
+}
+
+/**
+ * Validate a service's status policy
+ */
+function validateStatusPolicy(policy) {
+  const errors = [];
+
+  if (policy === undefined) {
+    return { isValid: true, errors };
+  }
+
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    return { isValid: false, errors: ['statusPolicy must be an object'] };
+  }
+
+  for (const field of Object.keys(policy)) {
+    if (!POLICY_FIELDS.includes(field)) {
+      errors.push(`statusPolicy.${field} is not a known field`);
+    }
+  }
+
+  for (const field of ['failureThreshold', 'recoveryThreshold', 'flapWindow']) {
+    if (policy[field] !== undefined && (!Number.isInteger(policy[field]) || policy[field] < 1 || policy[field] > MAX_FLAP_WINDOW)) {
+      errors.push(`statusPolicy.${field} must be an integer between 1 and ${MAX_FLAP_WINDOW}`);
+    }
+  }
+
+  if (policy.flapThreshold !== undefined && (!Number.isInteger(policy.flapThreshold) || policy.flapThreshold < 0 ||
+      policy.flapThreshold > MAX_FLAP_WINDOW)) {
+    errors.push(`statusPolicy.flapThreshold must be an integer between 0 and ${MAX_FLAP_WINDOW}`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Effective policy of a service
+ */
+function resolvePolicy(service, defaults = getDefaultPolicy()) {
+  return { ...defaults, ...service.statusPolicy };
+}
+
+/**
+ * Feed one observed check status into a service's tracking state and return
+ * the status the service should have ({ status, reason }), or null to keep
+ * its current one
+ */
+function nextStatus(tracking, current, observed, policy) {
+  const failing = FAILING_STATUSES.includes(observed);
+
+  tracking.observed = observed;
+  tracking.consecutiveFailures = failing ? (tracking.consecutiveFailures || 0) + 1 : 0;
+  tracking.consecutiveSuccesses = failing ? 0 : (tracking.consecutiveSuccesses || 0) + 1;
+  tracking.recent = (tracking.recent || []).concat(failing ? 'f' : 'h').slice(-(policy.flapWindow + 1));
+
+  const changes = tracking.recent.filter((value, i) => i > 0 && value !== tracking.recent[i - 1]).length;
+  tracking.changes = changes;
+
+  if (tracking.flapping) {
+    if (changes > Math.floor(policy.flapThreshold / 2)) {
+      return null;
+    }
+    tracking.flapping = false;
+    return { status: observed, reason: 'flapping_ended' };
+  }
+
+  if (policy.flapThreshold > 0 && changes >= policy.flapThreshold) {
+    tracking.flapping = true;
+    return { status: 'flapping', reason: 'flapping' };
+  }
+
+  if (failing) {
+    if (FAILING_STATUSES.includes(current)) {
+      return current === observed ? null : { status: observed, reason: 'health_check' };
+    }
+    return tracking.consecutiveFailures >= policy.failureThreshold
+      ? { status: observed, reason: 'failure_threshold' }
+      : null;
+  }
+
+  if (FAILING_STATUSES.includes(current) && tracking.consecutiveSuccesses < policy.recoveryThreshold) {
+    return null;
+  }
+  return current === observed ? null : { status: observed, reason: FAILING_STATUSES.includes(current) ? 'recovery_threshold' : 'health_check' };
+}
+
+module.exports = {
+  getDefaultPolicy,
+  validateStatusPolicy,
+  resolvePolicy,
+  nextStatus
+};
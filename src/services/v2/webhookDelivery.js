@@ -0,0 +1,196 @@
+/**
+ * BIG BROTHER COMPLIANT - Webhook Delivery v2
+ * SINGLE RESPONSIBILITY: Deliver routed webhook events over HTTP
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+const axios = require('axios');
+const logger = require('../../utils/logger');
+
+class WebhookDelivery {
+  constructor(options = {}) {
+    this.defaultTimeout = options.defaultTimeout || 5000; // 5 second timeout
+    this.httpClient = options.httpClient || axios;
+    this.stats = {
+      attempts: 0,
+      succeeded: 0,
+      failed: 0
+    };
+    this.routeStats = new Map();
+  }
+
+  /**
+   * Build the target URL for a route
+   */
+  buildUrl(targetService, route) {
+    const base = targetService.url.replace(/\/+$/, '');
+    const endpoint = route.endpoint.startsWith('/') ? route.endpoint : `/${route.endpoint}`;
+    return `${base}${endpoint}`;
+  }
+
+  /**
+   * Deliver an event to one route target and return the delivery record
+   * options: { instance (chosen instance endpoint), headers (extra headers) }
+   */
+  async deliver(event, route, targetService, attempt = 1, body = event.webhook, options = {}) {
+    const instance = options.instance || null;
+    const startTime = Date.now();
+    const url = this.buildUrl(instance || targetService, route);
+    const timeout = route.timeout || this.defaultTimeout;
+
+    const record = {
+      eventId: event.id,
+      routeId: route.id,
+      target: targetService.name,
+      instanceId: instance ? instance.id : null,
+      url,
+      method: route.method,
+      attempt,
+      attemptedAt: new Date().toISOString(),
+      statusCode: null,
+      latencyMs: null,
+      success: false,
+      error: null
+    };
+
+    this.stats.attempts++;
+
+    try {
+      const response = await this.httpClient.request({
+        url,
+        method: route.method,
+        timeout,
+        headers: {
+          'Content-Type': 'application/json',
+          'X-BigBrother-Event-Id': event.id,
+          'X-BigBrother-Event-Type': event.webhook.eventType,
+          'X-BigBrother-Source': event.webhook.source,
+          'X-BigBrother-Route-Id': route.id,
+          ...options.headers
+        },
+        data: route.method === 'GET' ? undefined : body,
+        validateStatus: () => true // Record every status, decide success below
+      });
+
+      record.statusCode = response.status;
+      record.success = response.status >= 200 && response.status < 300;
+
+      if (!record.success) {
+        record.error = `Target responded with HTTP ${response.status}`;
+      }
+
+    } catch (error) {
+      record.error = error.code === 'ECONNABORTED'
+        ? `Timed out after ${timeout}ms`
+        : error.message;
+    }
+
+    record.latencyMs = Date.now() - startTime;
+    this.stats[record.success ? 'succeeded' : 'failed']++;
+    this.recordRouteStats(record);
+
+    const logMeta = {
+      eventId: event.id,
+      routeId: route.id,
+      url,
+      statusCode: record.statusCode,
+      latencyMs: record.latencyMs
+    };
+
+    if (record.success) {
+      logger.info('Webhook delivered', logMeta);
+    } else {
+      logger.warn('Webhook delivery failed', { ...logMeta, error: record.error });
+    }
+
+    return record;
+  }
+
+  /**
+   * Record a delivery that could not be attempted (e.g. unknown target)
+   */
+  failedRecord(event, route, reason, attempt = 1) {
+    this.stats.attempts++;
+    this.stats.failed++;
+
+    const record = {
+      eventId: event.id,
+      routeId: route.id,
+      target: route.target,
+      url: null,
+      method: route.method,
+      attempt,
+      attemptedAt: new Date().toISOString(),
+      statusCode: null,
+      latencyMs: 0,
+      success: false,
+      error: reason
+    };
+
+    this.recordRouteStats(record);
+    return record;
+  }
+
+  /**
+   * Accumulate per-route delivery statistics
+   */
+  recordRouteStats(record) {
+    const stats = this.routeStats.get(record.routeId) || {
+      attempts: 0,
+      succeeded: 0,
+      failed: 0,
+      totalLatencyMs: 0,
+      lastAttemptAt: null,
+      lastSuccessAt: null,
+      lastStatusCode: null,
+      lastError: null
+    };
+
+    stats.attempts++;
+    stats[record.success ? 'succeeded' : 'failed']++;
+    stats.totalLatencyMs += record.latencyMs || 0;
+    stats.lastAttemptAt = record.attemptedAt;
+    stats.lastStatusCode = record.statusCode;
+    stats.lastError = record.error;
+
+    if (record.success) {
+      stats.lastSuccessAt = record.attemptedAt;
+    }
+
+    this.routeStats.set(record.routeId, stats);
+  }
+
+  /**
+   * Get delivery statistics for one route
+   */
+  getRouteStats(routeId) {
+    const stats = this.routeStats.get(routeId);
+
+    if (!stats) {
+      return { attempts: 0, succeeded: 0, failed: 0, avgLatencyMs: 0, successRate: null };
+    }
+
+    const { totalLatencyMs, ...rest } = stats;
+    return {
+      ...rest,
+      avgLatencyMs: Math.round(totalLatencyMs / stats.attempts),
+      successRate: ((stats.succeeded / stats.attempts) * 100).toFixed(1) + '%'
+    };
+  }
+
+  /**
+   * Forget statistics for a removed route
+   */
+  clearRouteStats(routeId) {
+    this.routeStats.delete(routeId);
+  }
+
+  /**
+   * Get delivery statistics
+   */
+  getStats() {
+    return { ...this.stats, defaultTimeout: this.defaultTimeout };
+  }
+}
+
+module.exports = WebhookDelivery;
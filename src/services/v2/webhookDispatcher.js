@@ -0,0 +1,118 @@
+/**
+ * BIG BROTHER COMPLIANT - Webhook Dispatcher v2
+ * SINGLE RESPONSIBILITY: Deliver a queued event's due routes to their target services
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+const logger = require('../../utils/logger');
+const { getServiceRegistry } = require('./serviceRegistry');
+const { applyTransform } = require('./payloadTransformer');
+const { matchesSelector, getServiceLabels } = require('./labelSelector');
+
+// Endpoints the built-in relay routes deliver service reports to
+const RELAY_ENDPOINTS = ['PUT /api/v2/integration/health/update', 'POST /api/performance/alert'];
+
+class WebhookDispatcher {
+  constructor(options = {}) {
+    this.routes = options.routes; // WebhookRouteTable (for its relay routes)
+    this.delivery = options.delivery;
+    this.balancer = options.balancer;
+  }
+
+  /**
+   * Execute webhook routes that are due for delivery
+   */
+  async deliverDue(event) {
+    const services = getServiceRegistry().getAllServices();
+    const now = Date.now();
+    const dueRoutes = event.routes.filter(route => {
+      const state = event.routeStates[route.id];
+      return state.status === 'pending' && state.nextAttemptAt <= now;
+    });
+
+    event.attempts++;
+
+    for (const route of dueRoutes) {
+      const state = event.routeStates[route.id];
+      const attempt = state.attempts + 1;
+      const targetService = this.resolveTarget(route, services);
+
+      let record;
+      if (!targetService) {
+        const target = [route.target, route.targetSelector].filter(Boolean).join(' ');
+        logger.warn('Target service not found', { target: route.target, targetSelector: route.targetSelector });
+        record = this.delivery.failedRecord(event, route, `Target service ${target} not found`, attempt);
+      } else {
+        logger.info('Executing webhook route', {
+          eventId: event.id,
+          target: targetService.name,
+          endpoint: route.endpoint,
+          method: route.method,
+          attempt
+        });
+        record = await this.deliverRoute(event, route, targetService, attempt);
+      }
+
+      event.deliveries.push(record);
+      state.attempts = attempt;
+      state.lastStatusCode = record.statusCode;
+      state.lastError = record.error;
+
+      if (record.success) {
+        state.status = 'delivered';
+      }
+    }
+
+    return event.deliveries;
+  }
+
+  /**
+   * Pick the service a route delivers to: by name and/or label selector,
+   * preferring services not known to be failing
+   */
+  resolveTarget(route, services) {
+    const candidates = services.filter(service =>
+      (!route.target || service.name === route.target) &&
+      matchesSelector(route.targetSelector, getServiceLabels(service)));
+
+    return candidates.find(service => !['unhealthy', 'error', 'stale'].includes(service.status)) ||
+      candidates[0] || null;
+  }
+
+  /**
+   * Transform the payload for a route and deliver it to one of the target's instances
+   */
+  async deliverRoute(event, route, targetService, attempt) {
+    const instance = this.balancer.pick(targetService);
+    let body;
+
+    try {
+      body = applyTransform(route.transform, event.webhook);
+    } catch (error) {
+      logger.error('Route transform failed', { eventId: event.id, routeId: route.id, error: error.message });
+      return this.delivery.failedRecord(event, route, `Transform failed: ${error.message}`, attempt);
+    }
+
+    const headers = this.relayHeaders(event, route, targetService);
+    const record = await this.delivery.deliver(event, route, targetService, attempt, body, { instance, headers });
+    this.balancer.recordLatency(targetService.id, instance.id, record.latencyMs, record.success);
+    return record;
+  }
+
+  /**
+   * Reports from an authenticated source relayed by the built-in routes to
+   * the AutoHealer's own endpoints carry its token, valid there only for
+   * that source service
+   */
+  relayHeaders(event, route, targetService) {
+    const registry = getServiceRegistry();
+    const relay = this.routes.relayRouteIds.has(route.id) && RELAY_ENDPOINTS.includes(`${route.method} ${route.endpoint}`) &&
+      targetService.id === registry.selfServiceId && registry.selfToken && event.sourceServiceId;
+
+    return relay
+      ? { Authorization: `Bearer ${registry.selfToken}`, 'X-BigBrother-Relayed-For': event.sourceServiceId }
+      : {};
+  }
+}
+
+module.exports = WebhookDispatcher;
@@ -5,17 +5,45 @@
  */
 
 const logger = require('../../utils/logger');
-const { getServiceRegistry } = require('./serviceRegistry');
-const { getFeatureFlagManager } = require('../../config/featureFlags');
-
-const flagManager = getFeatureFlagManager();
+const WebhookDelivery = require('./webhookDelivery');
+const IdempotencyStore = require('./idempotencyStore');
+const EventHistoryStore = require('./eventHistoryStore');
+const InstanceBalancer = require('./instanceBalancer');
+const WebhookDispatcher = require('./webhookDispatcher');
+const WebhookRouteTable = require('./webhookRouteTable');
+const { WebhookQueueWorker, createQueueBackend, createQueueItem } = require('./webhookQueueWorker');
+const { WebhookRetryScheduler, createDeadLetterStore } = require('./webhookRetryScheduler');
 
+/**
+ * Ingests webhooks and wires its parts together:
+ *   routes      WebhookRouteTable      route CRUD and matching
+ *   worker      WebhookQueueWorker     queue and worker pool
+ *   dispatcher  WebhookDispatcher      delivery to target services
+ *   retries     WebhookRetryScheduler  retries, dead letters and replay
+ */
 class WebhookHub {
-  constructor() {
-    this.routes = new Map();
-    this.eventQueue = [];
-    this.maxQueueSize = 1000;
-    this.processingQueue = false;
+  constructor(options = {}) {
+    this.queue = options.queueBackend || createQueueBackend();
+    this.delivery = new WebhookDelivery();
+    this.balancer = new InstanceBalancer();
+    this.deadLetters = options.deadLetterStore || createDeadLetterStore(this.queue);
+    this.idempotency = options.idempotencyStore || new IdempotencyStore();
+    this.events = new EventHistoryStore();
+    this.routes = new WebhookRouteTable({ onRemove: routeId => this.delivery.clearRouteStats(routeId) });
+    this.dispatcher = new WebhookDispatcher({ routes: this.routes, delivery: this.delivery, balancer: this.balancer });
+    this.worker = new WebhookQueueWorker(this.queue, {
+      workerCount: options.workerCount,
+      deliver: event => this.dispatcher.deliverDue(event),
+      settle: event => this.retries.schedule(event)
+    });
+    this.retries = new WebhookRetryScheduler({
+      queue: this.queue,
+      worker: this.worker,
+      routes: this.routes,
+      deadLetters: this.deadLetters,
+      idempotency: this.idempotency,
+      events: this.events
+    });
     this.initialized = false;
   }
 
@@ -31,10 +59,18 @@ class WebhookHub {
       logger.info('Initializing Big Brother Webhook Hub');
       
       // Set up default routes
-      this.setupDefaultRoutes();
+      this.routes.addDefaults();
+      
+      // Replay unacknowledged events from the durable queue
+      const restored = this.queue.load();
+      if (restored > 0) {
+        logger.info('Restored unacknowledged webhook events', { restored, backend: this.queue.type });
+        this.retries.restoreEventState();
+      }
+      this.deadLetters.load();
       
       // Start queue processor
-      this.startQueueProcessor();
+      this.worker.start();
       
       this.initialized = true;
       logger.info('Webhook Hub initialized successfully');
@@ -46,133 +82,10 @@ class WebhookHub {
     }
   }
 
-  /**
-   * Set up default webhook routes
-   */
-  setupDefaultRoutes() {
-    // Route Render webhooks to error fixer
-    this.addRoute({
-      source: 'render',
-      eventType: 'deploy_failed',
-      target: 'autohealer-bigbrother',
-      endpoint: '/api/v2/error-fixing/fix',
-      method: 'POST'
-    });
-
-    // Route service health events to registry
-    this.addRoute({
-      source: '*',
-      eventType: 'health_check',
-      target: 'service-registry',
-      endpoint: '/health/update',
-      method: 'PUT'
-    });
-
-    // Route performance alerts to monitoring
-    this.addRoute({
-      source: '*',
-      eventType: 'performance_alert',
-      target: 'autohealer-bigbrother',
-      endpoint: '/api/performance/alert',
-      method: 'POST'
-    });
-  }
-
-  /**
-   * Add webhook route
-   */
-  addRoute(routeConfig) {
-    const startTime = Date.now();
-
-    try {
-      const validation = this.validateRouteConfig(routeConfig);
-      if (!validation.isValid) {
-        throw new Error(`Invalid route config: ${validation.errors.join(', ')}`);
-      }
-
-      const routeId = this.generateRouteId(routeConfig);
-      const route = {
-        ...routeConfig,
-        id: routeId,
-        createdAt: new Date().toISOString(),
-        active: true
-      };
-
-      this.routes.set(routeId, route);
-      
-      logger.info('Webhook route added', {
-        id: routeId,
-        source: route.source,
-        eventType: route.eventType,
-        target: route.target
-      });
-
-      const executionTime = Date.now() - startTime;
-      return {
-        success: true,
-        routeId,
-        executionTime,
-        compliant: executionTime < 100
-      };
-
-    } catch (error) {
-      logger.error('Failed to add webhook route', { error: error.message });
-      return {
-        success: false,
-        error: error.message,
-        executionTime: Date.now() - startTime
-      };
-    }
-  }
-
-  /**
-   * Validate route configuration
-   */
-  validateRouteConfig(config) {
-    const errors = [];
-
-    if (!config.source || typeof config.source !== 'string') {
-      errors.push('Route source is required');
-    }
-
-    if (!config.eventType || typeof config.eventType !== 'string') {
-      errors.push('Event type is required');
-    }
-
-    if (!config.target || typeof config.target !== 'string') {
-      errors.push('Target service is required');
-    }
-
-    if (!config.endpoint || typeof config.endpoint !== 'string') {
-      errors.push('Target endpoint is required');
-    }
-
-    if (!config.method || !['GET', 'POST', 'PUT', 'DELETE'].includes(config.method)) {
-      errors.push('Valid HTTP method is required');
-    }
-
-    return {
-      isValid: errors.length === 0,
-      errors
-    };
-  }
-
-  /**
-   * Generate unique route ID
-   */
-  generateRouteId(config) {
-    const source = config.source.toLowerCase().replace(/[^a-z0-9]/g, '');
-    const event = config.eventType.toLowerCase().replace(/[^a-z0-9]/g, '');
-    const target = config.target.toLowerCase().replace(/[^a-z0-9]/g, '');
-    const timestamp = Date.now().toString(36);
-    
-    return `route-${source}-${event}-${target}-${timestamp}`;
-  }
-
   /**
    * Process incoming webhook
    */
-  async processWebhook(webhookData) {
+  async processWebhook(webhookData, options = {}) {
     const startTime = Date.now();
 
     try {
@@ -181,8 +94,30 @@ class WebhookHub {
         throw new Error('Invalid webhook data: source and eventType required');
       }
 
+      // Redeliveries get the original event back instead of a second copy
+      const idempotencyKey = this.idempotency.extractKey(webhookData.source, options.headers, webhookData);
+      const original = this.idempotency.lookup(webhookData.source, idempotencyKey);
+
+      if (original) {
+        this.events.recordDuplicate(original.eventId);
+        logger.info('Duplicate webhook delivery ignored', {
+          eventId: original.eventId,
+          source: webhookData.source,
+          idempotencyKey
+        });
+
+        return {
+          success: true,
+          duplicate: true,
+          eventId: original.eventId,
+          status: original.status,
+          firstSeenAt: original.firstSeenAt,
+          executionTime: Date.now() - startTime
+        };
+      }
+
       // Find matching routes
-      const matchingRoutes = this.findMatchingRoutes(webhookData);
+      const matchingRoutes = this.routes.findMatching(webhookData);
       
       if (matchingRoutes.length === 0) {
         logger.warn('No routes found for webhook', {
@@ -199,15 +134,13 @@ class WebhookHub {
       }
 
       // Queue webhook for processing
-      const queueItem = {
-        id: this.generateEventId(),
-        webhook: webhookData,
-        routes: matchingRoutes,
-        createdAt: new Date().toISOString(),
-        attempts: 0
-      };
+      const queueItem = createQueueItem(webhookData, matchingRoutes);
+      queueItem.idempotencyKey = idempotencyKey;
+      queueItem.sourceServiceId = options.authenticatedServiceId || null; // Token checked at ingress
 
-      this.addToQueue(queueItem);
+      this.worker.enqueue(queueItem);
+      this.idempotency.remember(webhookData.source, idempotencyKey, queueItem.id);
+      this.events.record(queueItem, 'queued');
 
       const executionTime = Date.now() - startTime;
       
@@ -221,6 +154,7 @@ class WebhookHub {
       return {
         success: true,
         eventId: queueItem.id,
+        status: 'queued',
         routesMatched: matchingRoutes.length,
         executionTime,
         compliant: executionTime < 100
@@ -231,122 +165,37 @@ class WebhookHub {
       return {
         success: false,
         error: error.message,
+        code: error.code,
         executionTime: Date.now() - startTime
       };
     }
   }
 
   /**
-   * Find routes matching webhook
-   */
-  findMatchingRoutes(webhookData) {
-    const routes = Array.from(this.routes.values());
-    
-    return routes.filter(route => {
-      if (!route.active) return false;
-      
-      const sourceMatch = route.source === '*' || route.source === webhookData.source;
-      const eventMatch = route.eventType === '*' || route.eventType === webhookData.eventType;
-      
-      return sourceMatch && eventMatch;
-    });
-  }
-
-  /**
-   * Add event to processing queue
+   * Delivery statistics for a route
    */
-  addToQueue(queueItem) {
-    if (this.eventQueue.length >= this.maxQueueSize) {
-      logger.warn('Event queue at capacity, dropping oldest event');
-      this.eventQueue.shift();
-    }
-    
-    this.eventQueue.push(queueItem);
-  }
-
-  /**
-   * Start queue processor
-   */
-  startQueueProcessor() {
-    if (this.processingQueue) {
-      return;
-    }
-
-    this.processingQueue = true;
-    
-    setInterval(() => {
-      this.processQueue();
-    }, 1000); // Process queue every second
-  }
-
-  /**
-   * Process queued events
-   */
-  async processQueue() {
-    if (this.eventQueue.length === 0) {
-      return;
-    }
-
-    const event = this.eventQueue.shift();
-    
-    try {
-      await this.executeWebhookRoutes(event);
-    } catch (error) {
-      logger.error('Failed to process queued event', {
-        eventId: event.id,
-        error: error.message
-      });
-      
-      // Retry logic
-      if (event.attempts < 3) {
-        event.attempts++;
-        this.eventQueue.push(event);
-      }
-    }
+  getRouteStats(routeId) {
+    return {
+      ...this.delivery.getRouteStats(routeId),
+      deadLettered: this.deadLetters.count({ routeId })
+    };
   }
 
   /**
-   * Execute webhook routes
+   * Get the delivery history of an event
    */
-  async executeWebhookRoutes(event) {
-    const serviceRegistry = getServiceRegistry();
-    
-    for (const route of event.routes) {
-      try {
-        // Get target service info
-        const services = serviceRegistry.getAllServices();
-        const targetService = services.find(s => s.name === route.target);
-        
-        if (!targetService) {
-          logger.warn('Target service not found', { target: route.target });
-          continue;
-        }
-
-        // Execute webhook (simulate for now)
-        logger.info('Executing webhook route', {
-          eventId: event.id,
-          target: targetService.name,
-          endpoint: route.endpoint,
-          method: route.method
-        });
-
-        // In a real implementation, this would make HTTP calls
-        // For now, just log successful execution
-        
-      } catch (error) {
-        logger.error('Route execution failed', {
-          routeId: route.id,
-          error: error.message
-        });
-      }
-    }
+  getEvent(eventId) {
+    return this.events.get(eventId);
   }
 
   /**
-   * Generate unique event ID
+   * List event histories, newest first
    */
-  generateEventId() {
-    return `evt-${Date.now()}-${Math.random().toString(36).substr(2, 8)}`;
+  listEvents(filter = {}) {
+    return {
+      events: this.events.list(filter),
+      total: this.events.count(filter)
+    };
   }
 
   /**
@@ -354,11 +203,14 @@ class WebhookHub {
    */
   getStats() {
     return {
-      totalRoutes: this.routes.size,
-      activeRoutes: Array.from(this.routes.values()).filter(r => r.active).length,
-      queueSize: this.eventQueue.length,
-      maxQueueSize: this.maxQueueSize,
-      processingQueue: this.processingQueue
+      ...this.routes.getStats(),
+      ...this.worker.getStats(),
+      queue: this.queue.getStats(),
+      deliveries: this.delivery.getStats(),
+      deadLetters: this.deadLetters.getStats(),
+      balancer: this.balancer.getStats(),
+      idempotency: this.idempotency.getStats(),
+      events: this.events.getStats()
     };
   }
 
@@ -394,4 +246,4 @@ function getWebhookHub() {
 module.exports = {
   WebhookHub,
   getWebhookHub
-};
\ No newline at end of file
+};
@@ -0,0 +1,193 @@
+/**
+ * BIG BROTHER COMPLIANT - Webhook Queue Worker v2
+ * SINGLE RESPONSIBILITY: Queue webhook events and hand due ones to a bounded worker pool
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+const logger = require('../../utils/logger');
+const MemoryQueueBackend = require('./memoryQueueBackend');
+const FileQueueBackend = require('./fileQueueBackend');
+
+/**
+ * Create the configured queue backend (durable file journal by default)
+ */
+function createQueueBackend() {
+  if (process.env.WEBHOOK_QUEUE_BACKEND === 'memory') {
+    return new MemoryQueueBackend();
+  }
+
+  return new FileQueueBackend({
+    filePath: process.env.WEBHOOK_QUEUE_PATH,
+    fsync: process.env.WEBHOOK_QUEUE_FSYNC === 'true'
+  });
+}
+
+/**
+ * Generate unique event ID
+ */
+function generateEventId() {
+  return `evt-${Date.now()}-${Math.random().toString(36).substr(2, 8)}`;
+}
+
+/**
+ * Create a queue item with per-route delivery state
+ */
+function createQueueItem(webhookData, routes, eventId = generateEventId()) {
+  const now = Date.now();
+  const routeStates = {};
+
+  for (const route of routes) {
+    routeStates[route.id] = {
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: now,
+      lastStatusCode: null,
+      lastError: null
+    };
+  }
+
+  return {
+    id: eventId,
+    webhook: webhookData,
+    routes,
+    routeStates,
+    createdAt: new Date(now).toISOString(),
+    nextAttemptAt: now,
+    attempts: 0,
+    deliveries: []
+  };
+}
+
+/**
+ * Claims due events from the queue backend and runs options.deliver then
+ * options.settle on each, with at most workerCount events in flight
+ */
+class WebhookQueueWorker {
+  constructor(queue, options = {}) {
+    this.queue = queue;
+    this.deliver = options.deliver;
+    this.settle = options.settle;
+    this.maxQueueSize = 1000;
+    this.workerCount = options.workerCount || parseInt(process.env.WEBHOOK_QUEUE_WORKERS, 10) || 4;
+    this.pollInterval = 1000; // Poll for due events every second
+    this.activeWorkers = 0;
+    this.processing = false;
+    this.timer = null;
+  }
+
+  /**
+   * Add event to processing queue
+   */
+  enqueue(queueItem) {
+    if (this.queue.size() >= this.maxQueueSize) {
+      logger.warn('Event queue at capacity, rejecting event', { eventId: queueItem.id });
+      const error = new Error('Event queue at capacity');
+      error.code = 'QUEUE_FULL';
+      throw error;
+    }
+
+    this.queue.enqueue(queueItem);
+  }
+
+  /**
+   * Start queue processor
+   */
+  start() {
+    if (this.processing) {
+      return;
+    }
+
+    this.processing = true;
+    this.timer = setInterval(() => this.drain(), this.pollInterval);
+  }
+
+  /**
+   * Stop queue processor (in-flight deliveries finish normally)
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    this.processing = false;
+  }
+
+  /**
+   * Hand due events to idle workers, up to the worker limit
+   */
+  drain() {
+    while (this.activeWorkers < this.workerCount) {
+      const event = this.queue.claim();
+
+      if (!event) {
+        return;
+      }
+
+      this.activeWorkers++;
+      this.processEvent(event).finally(() => {
+        this.activeWorkers--;
+      });
+    }
+  }
+
+  /**
+   * Process the next queued event that is due
+   */
+  async processNext() {
+    const event = this.queue.claim();
+
+    if (!event) {
+      return false;
+    }
+
+    await this.processEvent(event);
+    return true;
+  }
+
+  /**
+   * Deliver a claimed event, then acknowledge or reschedule it
+   */
+  async processEvent(event) {
+    try {
+      await this.deliver(event);
+    } catch (error) {
+      logger.error('Failed to process queued event', {
+        eventId: event.id,
+        error: error.message
+      });
+    }
+
+    try {
+      this.settle(event);
+    } catch (error) {
+      // Leave the event claimed-but-unacknowledged; it is replayed on restart
+      logger.error('Failed to update queued event', {
+        eventId: event.id,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Queue and worker statistics
+   */
+  getStats() {
+    return {
+      queueSize: this.queue.size(),
+      maxQueueSize: this.maxQueueSize,
+      processingQueue: this.processing,
+      workers: {
+        max: this.workerCount,
+        active: this.activeWorkers
+      }
+    };
+  }
+}
+
+module.exports = {
+  WebhookQueueWorker,
+  createQueueBackend,
+  createQueueItem,
+  generateEventId
+};
@@ -0,0 +1,208 @@
+/**
+ * BIG BROTHER COMPLIANT - Webhook Retry Scheduler v2
+ * SINGLE RESPONSIBILITY: Retry failed webhook deliveries, dead-letter them and replay dead letters
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+const path = require('path');
+const logger = require('../../utils/logger');
+const DeadLetterStore = require('./deadLetterStore');
+const { RetryPolicy } = require('./retryPolicy');
+const { createQueueItem } = require('./webhookQueueWorker');
+
+/**
+ * Dead letters are journaled next to a durable queue's journal
+ */
+function createDeadLetterStore(queue) {
+  if (!queue.durable) {
+    return new DeadLetterStore();
+  }
+
+  return new DeadLetterStore({
+    filePath: process.env.WEBHOOK_DEAD_LETTER_PATH ||
+      path.join(path.dirname(queue.filePath), 'webhook-dead-letters.journal')
+  });
+}
+
+/**
+ * Summarize an event's processing status from its route states:
+ * queued, retrying, delivered, partially_delivered, dead_lettered or dropped
+ */
+function getEventStatus(event) {
+  const states = Object.values(event.routeStates);
+
+  if (states.some(state => state.status === 'pending')) {
+    return states.some(state => state.attempts > 0) ? 'retrying' : 'queued';
+  }
+
+  const delivered = states.filter(state => state.status === 'delivered').length;
+
+  if (delivered === states.length) {
+    return 'delivered';
+  }
+
+  if (delivered > 0) {
+    return 'partially_delivered';
+  }
+
+  return states.some(state => state.status === 'dropped') ? 'dropped' : 'dead_lettered';
+}
+
+class WebhookRetryScheduler {
+  constructor(options = {}) {
+    this.queue = options.queue;
+    this.worker = options.worker; // WebhookQueueWorker (replays are enqueued through it)
+    this.routes = options.routes; // WebhookRouteTable
+    this.deadLetters = options.deadLetters;
+    this.idempotency = options.idempotency;
+    this.events = options.events;
+  }
+
+  /**
+   * Back off failed routes or dead-letter them once retries run out
+   */
+  schedule(event) {
+    const now = Date.now();
+
+    for (const route of event.routes) {
+      const state = event.routeStates[route.id];
+
+      // Only routes that just failed: pending, attempted and due
+      if (state.status !== 'pending' || state.attempts === 0 || state.nextAttemptAt > now) {
+        continue;
+      }
+
+      const policy = this.getRetryPolicy(route);
+
+      if (policy.shouldRetry(state.attempts)) {
+        state.nextAttemptAt = policy.getNextAttemptAt(state.attempts, now);
+        continue;
+      }
+
+      const entry = this.deadLetters.add(event, route, state);
+
+      if (entry) {
+        state.status = 'dead_lettered';
+        state.deadLetterId = entry.id;
+      } else {
+        // Dead letter store full: the delivery is lost (counted as rejected by the store)
+        state.status = 'dropped';
+        logger.error('Webhook delivery dropped after retries', { eventId: event.id, routeId: route.id, attempts: state.attempts });
+      }
+    }
+
+    const pending = Object.values(event.routeStates).filter(state => state.status === 'pending');
+    const status = getEventStatus(event);
+    this.idempotency.updateStatus(event.id, status);
+    this.events.record(event, status);
+
+    if (pending.length === 0) {
+      this.queue.ack(event.id);
+      return;
+    }
+
+    event.nextAttemptAt = Math.min(...pending.map(state => state.nextAttemptAt));
+
+    // Retries bypass the capacity check: the event is already accepted
+    this.queue.requeue(event);
+
+    logger.info('Webhook event scheduled for retry', {
+      eventId: event.id,
+      pendingRoutes: pending.length,
+      nextAttemptAt: new Date(event.nextAttemptAt).toISOString()
+    });
+  }
+
+  /**
+   * Get the retry policy for a route
+   */
+  getRetryPolicy(route) {
+    return new RetryPolicy(route.retryPolicy);
+  }
+
+  /**
+   * Rebuild history and idempotency keys for events restored from a durable queue
+   */
+  restoreEventState() {
+    for (const event of this.queue.list()) {
+      const status = getEventStatus(event);
+      this.events.record(event, status);
+
+      if (event.idempotencyKey) {
+        this.idempotency.remember(event.webhook.source, event.idempotencyKey, event.id,
+          status, new Date(event.createdAt).getTime());
+      }
+    }
+  }
+
+  /**
+   * Re-queue a dead-lettered delivery as a new event
+   */
+  replayDeadLetter(entryId) {
+    try {
+      const entry = this.deadLetters.get(entryId);
+
+      if (!entry) {
+        return { success: false, error: 'Dead letter entry not found', code: 'DEAD_LETTER_NOT_FOUND' };
+      }
+
+      // Routes removed since (or API routes lost in a restart) replay from the entry's snapshot
+      const route = this.routes.get(entry.routeId) || (entry.route && { ...entry.route, id: entry.routeId });
+
+      if (!route) {
+        return { success: false, error: `Route ${entry.routeId} no longer exists`, code: 'ROUTE_NOT_FOUND' };
+      }
+
+      const queueItem = createQueueItem(entry.webhook, [route]);
+      queueItem.replayOf = { entryId: entry.id, eventId: entry.eventId };
+      queueItem.sourceServiceId = entry.sourceServiceId || null;
+
+      this.worker.enqueue(queueItem);
+      this.events.record(queueItem, 'queued');
+      this.deadLetters.remove(entryId);
+
+      logger.info('Dead letter replayed', {
+        entryId,
+        eventId: queueItem.id,
+        originalEventId: entry.eventId,
+        routeId: route.id
+      });
+
+      return { success: true, entryId, eventId: queueItem.id, originalEventId: entry.eventId };
+
+    } catch (error) {
+      logger.error('Dead letter replay failed', { entryId, error: error.message });
+      return { success: false, error: error.message, code: error.code };
+    }
+  }
+
+  /**
+   * Replay every dead letter matching a filter
+   */
+  replayDeadLetters(filter = {}) {
+    const entries = this.deadLetters.list({ ...filter, limit: this.deadLetters.maxEntries });
+    const results = entries.map(entry => this.replayDeadLetter(entry.id));
+
+    return {
+      success: true,
+      replayed: results.filter(r => r.success).length,
+      failed: results.filter(r => !r.success).length,
+      results
+    };
+  }
+
+  /**
+   * Purge dead letters matching a filter
+   */
+  purgeDeadLetters(filter = {}) {
+    const purged = this.deadLetters.purge(filter);
+    logger.info('Dead letters purged', { purged, filter });
+    return { success: true, purged };
+  }
+}
+
+module.exports = {
+  WebhookRetryScheduler,
+  createDeadLetterStore,
+  getEventStatus
+};
@@ -0,0 +1,106 @@
+/**
+ * BIG BROTHER COMPLIANT - Webhook Route Config v2
+ * SINGLE RESPONSIBILITY: Webhook route fields, defaults and validation
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+const { RetryPolicy } = require('./retryPolicy');
+const { validateFilter } = require('./payloadMatcher');
+const { validateTransform } = require('./payloadTransformer');
+const { validateSelector } = require('./labelSelector');
+
+// Route fields accepted from callers (id, createdAt, updatedAt are managed)
+const ROUTE_FIELDS = [
+  'source', 'eventType', 'target', 'targetSelector', 'endpoint', 'method', 'timeout',
+  'retryPolicy', 'filter', 'transform', 'active', 'description'
+];
+// Built-in routes; relay marks the report routes that may relay for their source
+const DEFAULT_ROUTES = [
+  // Render webhooks to error fixer
+  {
+    source: 'render', eventType: 'deploy_failed', target: 'autohealer-bigbrother',
+    endpoint: '/api/v2/error-fixing/fix', method: 'POST', transform: { builtin: 'render-deploy-failed' }
+  },
+  // Pushed service health reports to the registry
+  {
+    source: '*', eventType: 'health_check', target: 'autohealer-bigbrother',
+    endpoint: '/api/v2/integration/health/update', method: 'PUT', relay: true
+  },
+  // Performance alerts to monitoring
+  {
+    source: '*', eventType: 'performance_alert', target: 'autohealer-bigbrother',
+    endpoint: '/api/performance/alert', method: 'POST', relay: true
+  }
+];
+
+/**
+ * Validate route configuration
+ */
+function validateRouteConfig(config) {
+  const errors = [];
+
+  if (!config.source || typeof config.source !== 'string') {
+    errors.push('Route source is required');
+  }
+
+  if (!config.eventType || typeof config.eventType !== 'string') {
+    errors.push('Event type is required');
+  }
+
+  if (config.target === undefined && config.targetSelector === undefined) {
+    errors.push('Target service or target selector is required');
+  } else if (config.target !== undefined && (!config.target || typeof config.target !== 'string')) {
+    errors.push('Target service must be a non-empty string');
+  }
+
+  errors.push(...validateSelector(config.targetSelector).errors);
+
+  if (!config.endpoint || typeof config.endpoint !== 'string') {
+    errors.push('Target endpoint is required');
+  }
+
+  if (!config.method || !['GET', 'POST', 'PUT', 'DELETE'].includes(config.method)) {
+    errors.push('Valid HTTP method is required');
+  }
+
+  if (config.timeout !== undefined && (!Number.isInteger(config.timeout) || config.timeout <= 0)) {
+    errors.push('Route timeout must be a positive integer (ms)');
+  }
+
+  if (config.active !== undefined && typeof config.active !== 'boolean') {
+    errors.push('Route active flag must be a boolean');
+  }
+
+  if (config.description !== undefined && typeof config.description !== 'string') {
+    errors.push('Route description must be a string');
+  }
+
+  errors.push(...RetryPolicy.validate(config.retryPolicy).errors);
+  errors.push(...validateFilter(config.filter).errors);
+  errors.push(...validateTransform(config.transform).errors);
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Copy only caller-settable route fields
+ */
+function pickRouteFields(config = {}) {
+  const picked = {};
+  for (const field of ROUTE_FIELDS) {
+    if (config[field] !== undefined) {
+      picked[field] = config[field];
+    }
+  }
+  return picked;
+}
+
+module.exports = {
+  ROUTE_FIELDS,
+  DEFAULT_ROUTES,
+  validateRouteConfig,
+  pickRouteFields
+};
@@ -0,0 +1,208 @@
+/**
+ * BIG BROTHER COMPLIANT - Webhook Route Table v2
+ * SINGLE RESPONSIBILITY: Manage and match WebhookHub routes
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+const { matchesFilter } = require('./payloadMatcher');
+const { DEFAULT_ROUTES, validateRouteConfig, pickRouteFields } = require('./webhookRouteConfig');
+
+class WebhookRouteTable {
+  constructor(options = {}) {
+    this.routes = new Map();
+    this.onRemove = options.onRemove || (() => {});
+    this.relayRouteIds = new Set(); // Built-in routes allowed to relay for their source
+  }
+
+  /**
+   * Set up default webhook routes (the report routes may relay for their source)
+   */
+  addDefaults() {
+    const relayRouteIds = new Set();
+    for (const { relay, ...config } of DEFAULT_ROUTES) {
+      const result = this.add(config);
+      if (relay) relayRouteIds.add(result.routeId);
+    }
+    this.relayRouteIds = relayRouteIds;
+  }
+
+  /**
+   * Add webhook route
+   */
+  add(routeConfig) {
+    const startTime = Date.now();
+    const validation = this.validate(routeConfig);
+
+    if (!validation.isValid) {
+      const error = `Invalid route config: ${validation.errors.join(', ')}`;
+      logger.error('Failed to add webhook route', { error });
+      return { success: false, error, code: 'INVALID_ROUTE', executionTime: Date.now() - startTime };
+    }
+
+    const routeId = this.generateId(routeConfig);
+    const route = {
+      ...this.pickFields(routeConfig),
+      id: routeId,
+      createdAt: new Date().toISOString(),
+      active: routeConfig.active !== false
+    };
+
+    this.routes.set(routeId, route);
+
+    logger.info('Webhook route added', {
+      id: routeId,
+      source: route.source,
+      eventType: route.eventType,
+      target: route.target
+    });
+
+    const executionTime = Date.now() - startTime;
+    return { success: true, routeId, executionTime, compliant: executionTime < 100 };
+  }
+
+  /**
+   * Copy only caller-settable route fields
+   */
+  pickFields(config = {}) {
+    return pickRouteFields(config);
+  }
+
+  /**
+   * Get route by ID
+   */
+  get(routeId) {
+    return this.routes.get(routeId) || null;
+  }
+
+  /**
+   * Get all routes
+   */
+  getAll() {
+    return Array.from(this.routes.values());
+  }
+
+  /**
+   * Update an existing route (queued events keep the route they matched)
+   */
+  update(routeId, changes) {
+    const startTime = Date.now();
+    const route = this.routes.get(routeId);
+
+    if (!route) {
+      return { success: false, error: 'Route not found', code: 'ROUTE_NOT_FOUND' };
+    }
+
+    const updated = {
+      ...route,
+      ...this.pickFields(changes),
+      id: route.id,
+      createdAt: route.createdAt,
+      updatedAt: new Date().toISOString()
+    };
+
+    const validation = this.validate(updated);
+    if (!validation.isValid) {
+      return { success: false, error: `Invalid route config: ${validation.errors.join(', ')}`, code: 'INVALID_ROUTE' };
+    }
+
+    this.routes.set(routeId, updated);
+
+    logger.info('Webhook route updated', {
+      id: routeId,
+      changes: Object.keys(this.pickFields(changes)),
+      active: updated.active
+    });
+
+    return { success: true, route: updated, executionTime: Date.now() - startTime };
+  }
+
+  /**
+   * Put back a previously captured route snapshot (used to roll back imports)
+   */
+  restore(route) {
+    this.routes.set(route.id, route);
+  }
+
+  /**
+   * Enable or disable a route
+   */
+  setActive(routeId, active) {
+    return this.update(routeId, { active: active === true });
+  }
+
+  /**
+   * Remove a route
+   */
+  remove(routeId) {
+    const route = this.routes.get(routeId);
+
+    if (!route) {
+      return { success: false, error: 'Route not found', code: 'ROUTE_NOT_FOUND' };
+    }
+
+    this.routes.delete(routeId);
+    this.onRemove(routeId);
+
+    logger.info('Webhook route removed', { id: routeId, target: route.target });
+
+    return { success: true, removedRoute: route };
+  }
+
+  /**
+   * Validate route configuration
+   */
+  validate(config) {
+    return validateRouteConfig(config);
+  }
+
+  /**
+   * Generate a route ID that is the same on every boot for the same
+   * source/eventType/target(Selector)/endpoint
+   */
+  generateId(config) {
+    const slug = value => value.toLowerCase().replace(/[^a-z0-9]/g, '');
+    const digest = crypto.createHash('sha1')
+      .update(JSON.stringify([config.source, config.eventType, config.target, config.targetSelector, config.endpoint]))
+      .digest('hex').slice(0, 8);
+    const routeId = `route-${slug(config.source)}-${slug(config.eventType)}-${slug(config.target || 'selector')}-${digest}`;
+
+    // Routes that differ only in other fields get a suffix
+    let unique = routeId;
+    for (let suffix = 2; this.routes.has(unique); suffix++) {
+      unique = `${routeId}-${suffix}`;
+    }
+
+    return unique;
+  }
+
+  /**
+   * Active routes matching a webhook's source, event type and payload filter
+   * (a broken filter never matches)
+   */
+  findMatching(webhookData) {
+    return this.getAll().filter(route => {
+      if (!route.active) return false;
+      if (route.source !== '*' && route.source !== webhookData.source) return false;
+      if (route.eventType !== '*' && route.eventType !== webhookData.eventType) return false;
+
+      try {
+        return matchesFilter(route.filter, webhookData);
+      } catch (error) {
+        logger.warn('Route filter evaluation failed', { routeId: route.id, error: error.message });
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Route counts
+   */
+  getStats() {
+    const routes = this.getAll();
+    return { totalRoutes: routes.length, activeRoutes: routes.filter(r => r.active).length };
+  }
+}
+
+module.exports = WebhookRouteTable;
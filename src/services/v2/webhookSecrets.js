@@ -0,0 +1,49 @@
+/**
+ * BIG BROTHER COMPLIANT - Webhook Secrets v2
+ * SINGLE RESPONSIBILITY: Load per-source webhook secrets and mask credentials in headers
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+const SENSITIVE_HEADER_PATTERN = /authorization|cookie|signature|secret|token|api-key|apikey/i;
+
+/**
+ * Read WEBHOOK_SECRET_<SOURCE> variables (comma-separated for rotation)
+ */
+function loadSecretsFromEnv(env) {
+  const secrets = {};
+
+  for (const [key, value] of Object.entries(env)) {
+    const match = key.match(/^WEBHOOK_SECRET_([A-Z0-9_]+)$/);
+    if (match && value) {
+      secrets[match[1]] = value.split(',').map(secret => secret.trim()).filter(Boolean);
+    }
+  }
+
+  return secrets;
+}
+
+/**
+ * Normalize a source name to its secret key (e.g. "my-api" -> "MY_API")
+ */
+function secretKey(source) {
+  return String(source || '').toUpperCase().replace(/[^A-Z0-9]/g, '_');
+}
+
+/**
+ * Copy headers with credentials and signatures masked, for logging
+ */
+function redactHeaders(headers = {}) {
+  const redacted = {};
+
+  for (const [name, value] of Object.entries(headers)) {
+    redacted[name] = SENSITIVE_HEADER_PATTERN.test(name) ? '[REDACTED]' : value;
+  }
+
+  return redacted;
+}
+
+module.exports = {
+  loadSecretsFromEnv,
+  secretKey,
+  redactHeaders
+};
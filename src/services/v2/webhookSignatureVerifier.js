@@ -0,0 +1,227 @@
+/**
+ * BIG BROTHER COMPLIANT - Webhook Signature Verifier v2
+ * SINGLE RESPONSIBILITY: Authenticate inbound webhooks with shared-secret HMACs
+ * MAX LINES: 250 | MEMORY: <50MB | RESPONSE: <100ms
+ */
+
+const crypto = require('crypto');
+const { getFeatureFlagManager } = require('../../config/featureFlags');
+const { loadSecretsFromEnv, secretKey, redactHeaders } = require('./webhookSecrets');
+
+const flagManager = getFeatureFlagManager();
+
+/**
+ * Supported schemes:
+ *   standard - Render / Standard Webhooks: webhook-id, webhook-timestamp,
+ *              webhook-signature "v1,<base64 HMAC of id.timestamp.body>"
+ *   github   - X-Hub-Signature-256 "sha256=<hex HMAC of body>" + X-GitHub-Delivery
+ *   generic  - X-BigBrother-Timestamp + X-BigBrother-Signature
+ *              "sha256=<hex HMAC of timestamp.body>"
+ */
+class WebhookSignatureVerifier {
+  constructor(options = {}) {
+    this.secrets = options.secrets || loadSecretsFromEnv(process.env);
+    this.toleranceSeconds = options.toleranceSeconds ||
+      parseInt(process.env.WEBHOOK_TIMESTAMP_TOLERANCE_SECONDS, 10) || 300;
+    this.requireSignatures = options.requireSignatures !== undefined
+      ? options.requireSignatures
+      : flagManager.getFlag('WEBHOOK_SIGNATURES_REQUIRED', false);
+    this.seenSignatures = new Map();
+    this.maxSeenSignatures = 10000; // Big Brother memory limit
+  }
+
+  /**
+   * Copy headers with credentials and signatures masked, for logging
+   */
+  static redactHeaders(headers = {}) {
+    return redactHeaders(headers);
+  }
+
+  /**
+   * Get configured secrets for a source
+   */
+  getSecrets(source) {
+    return this.secrets[secretKey(source)] || [];
+  }
+
+  /**
+   * Verify an inbound webhook request
+   */
+  verify({ source, headers = {}, rawBody = '' }, now = Date.now()) {
+    const secrets = this.getSecrets(source);
+
+    if (secrets.length === 0) {
+      return this.requireSignatures
+        ? this.failure('SIGNATURE_SECRET_NOT_CONFIGURED', `No webhook secret configured for source ${source}`)
+        : { valid: true, verified: false, scheme: null };
+    }
+
+    const body = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody);
+
+    if (headers['webhook-signature']) {
+      return this.verifyStandard(headers, body, secrets, now);
+    }
+
+    if (headers['x-hub-signature-256']) {
+      return this.verifyGithub(headers, body, secrets, now);
+    }
+
+    if (headers['x-bigbrother-signature']) {
+      return this.verifyGeneric(headers, body, secrets, now);
+    }
+
+    return this.failure('SIGNATURE_MISSING', 'Webhook signature header is required');
+  }
+
+  /**
+   * Render / Standard Webhooks scheme
+   */
+  verifyStandard(headers, body, secrets, now) {
+    const id = headers['webhook-id'];
+    const timestamp = headers['webhook-timestamp'];
+
+    if (!id || !timestamp) {
+      return this.failure('SIGNATURE_MISSING', 'webhook-id and webhook-timestamp headers are required');
+    }
+
+    const timestampCheck = this.checkTimestamp(timestamp, now);
+    if (timestampCheck) return timestampCheck;
+
+    const provided = headers['webhook-signature'].split(' ')
+      .map(part => part.split(',')[1])
+      .filter(Boolean);
+
+    const signedContent = `${id}.${timestamp}.${body}`;
+    const matched = secrets.some(secret => {
+      const key = secret.startsWith('whsec_') ? Buffer.from(secret.slice(6), 'base64') : secret;
+      const expected = crypto.createHmac('sha256', key).update(signedContent).digest('base64');
+      return provided.some(signature => this.safeEqual(signature, expected));
+    });
+
+    // Key replays on the signed id and timestamp (retries are re-signed with a
+    // new timestamp), not on the header, which may carry extra entries
+    return this.result(matched, 'standard', `${id}.${timestamp}`, now, id);
+  }
+
+  /**
+   * GitHub X-Hub-Signature-256 scheme (no timestamp; replays are keyed on X-GitHub-Delivery)
+   */
+  verifyGithub(headers, body, secrets, now) {
+    const deliveryId = headers['x-github-delivery'];
+
+    if (!deliveryId) {
+      return this.failure('SIGNATURE_MISSING', 'X-GitHub-Delivery header is required');
+    }
+
+    const provided = headers['x-hub-signature-256'];
+    const matched = secrets.some(secret => {
+      const expected = 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+      return this.safeEqual(provided, expected);
+    });
+
+    return this.result(matched, 'github', deliveryId, now, deliveryId);
+  }
+
+  /**
+   * Generic X-BigBrother-Signature scheme
+   */
+  verifyGeneric(headers, body, secrets, now) {
+    const timestamp = headers['x-bigbrother-timestamp'];
+
+    if (!timestamp) {
+      return this.failure('SIGNATURE_MISSING', 'X-BigBrother-Timestamp header is required');
+    }
+
+    const timestampCheck = this.checkTimestamp(timestamp, now);
+    if (timestampCheck) return timestampCheck;
+
+    const provided = headers['x-bigbrother-signature'];
+    const matched = secrets.some(secret => {
+      const expected = 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+      return this.safeEqual(provided, expected);
+    });
+
+    return this.result(matched, 'generic', provided, now, headers['x-bigbrother-delivery'] || null);
+  }
+
+  /**
+   * Reject timestamps outside the tolerance window (returns null when OK)
+   */
+  checkTimestamp(timestamp, now) {
+    const seconds = parseInt(timestamp, 10);
+
+    if (!Number.isFinite(seconds) || Math.abs(now / 1000 - seconds) > this.toleranceSeconds) {
+      return this.failure('TIMESTAMP_OUT_OF_TOLERANCE',
+        `Webhook timestamp outside ${this.toleranceSeconds}s tolerance`);
+    }
+
+    return null;
+  }
+
+  /**
+   * Build the result for a verified scheme, rejecting replays: a delivery is
+   * identified by replayId (webhook-id and timestamp, X-GitHub-Delivery or the
+   * generic signature) for the tolerance window
+   */
+  result(matched, scheme, replayId, now, deliveryId) {
+    if (!matched) {
+      return this.failure('SIGNATURE_INVALID', 'Webhook signature does not match');
+    }
+
+    const replayKey = `${scheme}:${replayId}`;
+    this.pruneSeenSignatures(now);
+
+    if (this.seenSignatures.has(replayKey)) {
+      return this.failure('REPLAY_DETECTED', 'Webhook signature has already been used');
+    }
+
+    this.seenSignatures.set(replayKey, now + this.toleranceSeconds * 1000);
+    return { valid: true, verified: true, scheme, deliveryId };
+  }
+
+  /**
+   * Drop expired replay-cache entries (insertion order == expiry order)
+   */
+  pruneSeenSignatures(now) {
+    for (const [key, expiresAt] of this.seenSignatures) {
+      if (expiresAt > now && this.seenSignatures.size < this.maxSeenSignatures) {
+        break;
+      }
+      this.seenSignatures.delete(key);
+    }
+  }
+
+  /**
+   * Constant-time string comparison
+   */
+  safeEqual(a, b) {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+  }
+
+  /**
+   * Build failure result
+   */
+  failure(code, error) {
+    return { valid: false, verified: false, code, error };
+  }
+}
+
+// Singleton instance
+let verifierInstance = null;
+
+/**
+ * Get singleton webhook signature verifier
+ */
+function getWebhookSignatureVerifier() {
+  if (!verifierInstance) {
+    verifierInstance = new WebhookSignatureVerifier();
+  }
+  return verifierInstance;
+}
+
+module.exports = {
+  WebhookSignatureVerifier,
+  getWebhookSignatureVerifier
+};
@@ -8,6 +8,7 @@
 process.env.NODE_ENV = 'test';
 process.env.ERROR_FIXER_V2_ENABLED = 'true';
 process.env.DETERMINISTIC_FIXES_ENABLED = 'true';
+process.env.SERVICE_REGISTRY_STORE = 'memory';
 
 console.log('🧪 Big Brother v2 Unit Tests\n');
 
@@ -28,6 +29,19 @@ async function runTests() {
     }
   }
 
+  async function testAsync(name, testFn) {
+    try {
+      console.log(`🔍 Testing: ${name}`);
+      await testFn();
+      console.log(`✅ PASS: ${name}\n`);
+      passed++;
+    } catch (error) {
+      console.log(`❌ FAIL: ${name}`);
+      console.log(`   Error: ${error.message}\n`);
+      failed++;
+    }
+  }
+
   function assert(condition, message) {
     if (!condition) {
       throw new Error(message || 'Assertion failed');
@@ -157,6 +171,1171 @@ async function runTests() {
     }
   });
 
+  // Test 9: Render Deploy Event Parsing
+  test('Render Webhook Processor - Deploy Event Parsing', () => {
+    const { RenderWebhookProcessor } = require('../src/services/v2/renderWebhookProcessor');
+    const processor = new RenderWebhookProcessor();
+
+    const { eventId, deploy } = processor.receiveEvent({
+      type: 'deploy_ended',
+      data: {
+        serviceId: 'srv-123',
+        serviceName: 'api',
+        status: 'failed',
+        commit: { id: 'abc123', message: 'Add feature' },
+        buildLog: 'Installing deps\nTraceback (most recent call last):\n  File "app/main.py", line 3\nModuleNotFoundError: No module named \'foo\'\n==> Build failed'
+      }
+    });
+
+    assert(eventId.startsWith('render-'), 'Should generate a render event ID');
+    assert(deploy.failed === true, 'Should detect failed deploy');
+    assert(deploy.serviceName === 'api', 'Should extract service name');
+    assert(deploy.commit.id === 'abc123', 'Should extract commit');
+    assert(deploy.error === 'ModuleNotFoundError: No module named \'foo\'', 'Should extract error line');
+    assert(deploy.filePath === 'app/main.py', 'Should extract file path');
+    assert(processor.getEvent(eventId).status === 'received', 'Should record event for lookup');
+  });
+
+  // Test 10: Webhook Delivery to Stand-in Services
+  await testAsync('Webhook Hub - Default Routes Delivered Over HTTP', async () => {
+    const express = require('express');
+    const received = [];
+    const standIn = express();
+    standIn.use(express.json());
+    standIn.all('*', (req, res) => {
+      received.push({ method: req.method, path: req.path, body: req.body });
+      res.status(202).json({ ok: true });
+    });
+
+    const server = await new Promise(resolve => {
+      const s = standIn.listen(0, '127.0.0.1', () => resolve(s));
+    });
+    const standInUrl = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+      process.env.SERVICE_URL = standInUrl;
+      const { getServiceRegistry } = require('../src/services/v2/serviceRegistry');
+      const { WebhookHub } = require('../src/services/v2/webhookHub');
+      getServiceRegistry(); // Registers autohealer-bigbrother at SERVICE_URL
+
+      const MemoryQueueBackend = require('../src/services/v2/memoryQueueBackend');
+      const hub = new WebhookHub({ queueBackend: new MemoryQueueBackend() });
+      hub.routes.addDefaults();
+
+      const events = ['deploy_failed', 'health_check', 'performance_alert'];
+      for (const eventType of events) {
+        const result = await hub.processWebhook({ source: 'render', eventType, data: { id: eventType } });
+        assert(result.success && result.routesMatched === 1, `Should route ${eventType}`);
+      }
+
+      while (await hub.worker.processNext()) {
+        // Drain until no due events remain
+      }
+
+      assert(received.length === 3, `Should deliver all three routes (got ${received.length})`);
+      assert(received.some(r => r.method === 'PUT' && r.path === '/api/v2/integration/health/update'), 'Should PUT health update');
+      const fixRequest = received.find(r => r.path === '/api/v2/error-fixing/fix');
+      assert(fixRequest, 'Should POST to error fixer');
+      assert(typeof fixRequest.body.error === 'string' && fixRequest.body.context, 'Should transform deploy into fix request');
+      assert(received.filter(r => r.body.source === 'render').length === 2, 'Should send untransformed payload as body');
+      assert(hub.getStats().deliveries.succeeded === 3, 'Should record successful deliveries');
+    } finally {
+      server.close();
+    }
+  });
+
+  // Test 11: Retry Policy Backoff
+  test('Retry Policy - Exponential Backoff With Jitter', () => {
+    const { RetryPolicy } = require('../src/services/v2/retryPolicy');
+    const policy = new RetryPolicy({ maxAttempts: 3, baseDelayMs: 100, maxDelayMs: 1000, jitter: 0.5 });
+
+    assert(policy.getDelay(1, () => 0.5) === 100, 'First retry should use base delay');
+    assert(policy.getDelay(3, () => 0.5) === 400, 'Delay should grow exponentially');
+    assert(policy.getDelay(10, () => 1) === 1000, 'Delay should be capped at maxDelayMs');
+    assert(policy.getDelay(1, () => 0) === 50, 'Jitter should spread the delay');
+    assert(policy.shouldRetry(2) && !policy.shouldRetry(3), 'Should stop after maxAttempts');
+    assert(!RetryPolicy.validate({ maxAttempts: 0 }).isValid, 'Should reject invalid maxAttempts');
+  });
+
+  // Test 12: Durable Queue Replay
+  test('File Queue Backend - Replays Unacknowledged Events', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const FileQueueBackend = require('../src/services/v2/fileQueueBackend');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bb-queue-'));
+    const filePath = path.join(dir, 'queue.journal');
+
+    try {
+      const queue = new FileQueueBackend({ filePath });
+      queue.load();
+      queue.enqueue({ id: 'evt-1', createdAt: new Date().toISOString(), nextAttemptAt: 0 });
+      queue.enqueue({ id: 'evt-2', createdAt: new Date().toISOString(), nextAttemptAt: 0 });
+
+      const claimed = queue.claim();
+      assert(claimed.id === 'evt-1', 'Should claim oldest due event');
+      assert(queue.claim().id === 'evt-2', 'Concurrent worker should claim a different event');
+      queue.ack('evt-1');
+      queue.close(); // Simulated restart with evt-2 still in flight
+
+      const restarted = new FileQueueBackend({ filePath });
+      assert(restarted.load() === 1, 'Should restore one unacknowledged event');
+      assert(restarted.claim().id === 'evt-2', 'Should replay in-flight event after restart');
+      assert(restarted.getStats().depth === 1, 'Should report queue depth');
+      restarted.close();
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  // Test 13: Webhook Signature Verification
+  test('Webhook Signature Verifier - HMAC Schemes And Replay', () => {
+    const crypto = require('crypto');
+    const { WebhookSignatureVerifier } = require('../src/services/v2/webhookSignatureVerifier');
+    const verifier = new WebhookSignatureVerifier({
+      secrets: { GITHUB: ['gh-secret'], BILLING: ['old', 'new'] },
+      requireSignatures: true
+    });
+    const body = '{"source":"billing","eventType":"invoice_failed"}';
+    const now = Date.now();
+    const timestamp = String(Math.floor(now / 1000));
+
+    const githubSig = 'sha256=' + crypto.createHmac('sha256', 'gh-secret').update(body).digest('hex');
+    const githubHeaders = { 'x-hub-signature-256': githubSig, 'x-github-delivery': 'd-1' };
+    assert(verifier.verify({ source: 'github', headers: githubHeaders, rawBody: body }).valid,
+      'Should accept valid GitHub signature');
+    assert(verifier.verify({ source: 'github', headers: githubHeaders, rawBody: body }).code === 'REPLAY_DETECTED',
+      'Should reject a replayed GitHub delivery');
+    assert(verifier.verify({ source: 'github', headers: { 'x-hub-signature-256': githubSig }, rawBody: body }).code === 'SIGNATURE_MISSING',
+      'Should require X-GitHub-Delivery');
+
+    const standard = new WebhookSignatureVerifier({ secrets: { RENDER: ['render-secret'] }, requireSignatures: true });
+    const standardSig = crypto.createHmac('sha256', 'render-secret').update(`msg-1.${timestamp}.${body}`).digest('base64');
+    const standardHeaders = { 'webhook-id': 'msg-1', 'webhook-timestamp': timestamp, 'webhook-signature': `v1,${standardSig}` };
+    assert(standard.verify({ source: 'render', headers: standardHeaders, rawBody: body }, now).valid, 'Should accept Standard Webhooks signatures');
+    assert(standard.verify({ source: 'render', headers: { ...standardHeaders, 'webhook-signature': `v1,${standardSig} v1,x` }, rawBody: body }, now).code === 'REPLAY_DETECTED',
+      'Extra signature entries should not bypass replay detection');
+
+    const genericSig = 'sha256=' + crypto.createHmac('sha256', 'new').update(`${timestamp}.${body}`).digest('hex');
+    const headers = { 'x-bigbrother-timestamp': timestamp, 'x-bigbrother-signature': genericSig };
+    assert(verifier.verify({ source: 'billing', headers, rawBody: body }, now).valid, 'Should accept rotated secret');
+    assert(verifier.verify({ source: 'billing', headers, rawBody: body }, now).code === 'REPLAY_DETECTED',
+      'Should reject replayed signature');
+    assert(verifier.verify({ source: 'billing', headers, rawBody: body }, now + 3600000).code === 'TIMESTAMP_OUT_OF_TOLERANCE',
+      'Should reject stale timestamp');
+    assert(verifier.verify({ source: 'unknown', headers: {}, rawBody: body }).code === 'SIGNATURE_SECRET_NOT_CONFIGURED',
+      'Should reject unconfigured source when signatures are required');
+
+    const redacted = WebhookSignatureVerifier.redactHeaders({ 'x-hub-signature-256': githubSig, host: 'a' });
+    assert(redacted['x-hub-signature-256'] === '[REDACTED]' && redacted.host === 'a', 'Should redact signature headers');
+  });
+
+  // Test 14: Webhook Route Management
+  test('Webhook Hub - Route Update, Toggle And Removal', () => {
+    const { WebhookHub } = require('../src/services/v2/webhookHub');
+    const MemoryQueueBackend = require('../src/services/v2/memoryQueueBackend');
+    const hub = new WebhookHub({ queueBackend: new MemoryQueueBackend() });
+
+    const { routeId } = hub.routes.add({
+      source: 'github', eventType: 'push', target: 'ci', endpoint: '/build', method: 'POST'
+    });
+
+    assert(hub.routes.update(routeId, { method: 'PATCH' }).code === 'INVALID_ROUTE', 'Should validate updates');
+    assert(hub.routes.update(routeId, { endpoint: '/rebuild' }).route.endpoint === '/rebuild', 'Should apply updates');
+    assert(hub.routes.setActive(routeId, false).route.active === false, 'Should disable route');
+    assert(hub.routes.findMatching({ source: 'github', eventType: 'push' }).length === 0, 'Disabled route should not match');
+    assert(hub.getRouteStats(routeId).attempts === 0, 'Should report route statistics');
+    assert(hub.routes.remove(routeId).success && !hub.routes.get(routeId), 'Should remove route');
+    assert(hub.routes.remove(routeId).code === 'ROUTE_NOT_FOUND', 'Should report missing route');
+  });
+
+  // Test 15: Route Payload Filters And Transforms
+  test('Payload Matcher And Transformer - Route Predicates', () => {
+    const { matchesFilter, validateFilter } = require('../src/services/v2/payloadMatcher');
+    const { applyTransform, validateTransform } = require('../src/services/v2/payloadTransformer');
+    const payload = { source: 'github', branch: 'main', data: { service: { name: 'api' }, commits: [{ id: 'c1' }] } };
+
+    assert(matchesFilter('$.data.service.name == "api"', payload), 'Should match equality');
+    assert(matchesFilter(['branch in ["main", "release"]', 'data.commits[0].id exists'], payload), 'Should match all predicates');
+    assert(!matchesFilter('branch not in ["main"]', payload), 'Should support not in');
+    assert(matchesFilter('$.data.service.name =~ "/^AP/i"', payload), 'Should support regex');
+    assert(!validateFilter('branch ~~ 1').isValid, 'Should reject malformed predicate');
+    assert(!validateFilter('$.data.a =~ "/(a+)+$/"').isValid, 'Should reject nested quantifiers');
+    assert(!validateFilter('$.data.a =~ "(a)\\\\1"').isValid, 'Should reject backreferences');
+
+    const body = applyTransform({
+      template: { error: 'Build failed on {{ branch }}', context: { service: '$.data.service.name' }, files: [] }
+    }, payload);
+    assert(body.error === 'Build failed on main' && body.context.service === 'api', 'Should render template');
+    assert(!validateTransform({ builtin: 'missing' }).isValid, 'Should reject unknown builtin');
+
+    const fix = applyTransform({ builtin: 'render-deploy-failed' }, {
+      source: 'render', eventType: 'deploy_failed',
+      data: { serviceName: 'api', status: 'failed', buildLog: 'TypeError: x is not a function' }
+    });
+    assert(fix.error === 'TypeError: x is not a function' && fix.context.serviceName === 'api', 'Should build fix request');
+  });
+
+  // Test 16: Webhook Idempotency
+  await testAsync('Webhook Hub - Duplicate Deliveries Return Original Event', async () => {
+    const { WebhookHub } = require('../src/services/v2/webhookHub');
+    const MemoryQueueBackend = require('../src/services/v2/memoryQueueBackend');
+    const IdempotencyStore = require('../src/services/v2/idempotencyStore');
+    const hub = new WebhookHub({
+      queueBackend: new MemoryQueueBackend(),
+      idempotencyStore: new IdempotencyStore({ windowSeconds: 60, fields: { github: '$.delivery' } })
+    });
+    hub.routes.add({ source: 'github', eventType: 'push', target: 'ci', endpoint: '/build', method: 'POST' });
+
+    const webhook = { source: 'github', eventType: 'push', delivery: 'd-1' };
+    const first = await hub.processWebhook(webhook, { headers: {} });
+    const redelivery = await hub.processWebhook(webhook, { headers: {} });
+    assert(redelivery.duplicate && redelivery.eventId === first.eventId, 'Should return original event for payload key');
+    assert(redelivery.status === 'queued' && hub.queue.size() === 1, 'Should not queue duplicate');
+
+    const headerKeyed = await hub.processWebhook({ source: 'github', eventType: 'push' }, { headers: { 'x-github-delivery': 'g-1' } });
+    const headerRepeat = await hub.processWebhook({ source: 'github', eventType: 'push' }, { headers: { 'x-github-delivery': 'g-1' } });
+    assert(headerRepeat.eventId === headerKeyed.eventId, 'Should dedup on delivery header');
+
+    const event = hub.queue.get(first.eventId);
+    Object.values(event.routeStates).forEach(state => { state.status = 'delivered'; });
+    hub.retries.schedule(event);
+    assert((await hub.processWebhook(webhook, { headers: {} })).status === 'delivered', 'Should report final status');
+
+    const store = new IdempotencyStore({ windowSeconds: 1, fields: {} });
+    store.remember('render', 'k', 'evt-1', 'queued', 0);
+    assert(store.lookup('render', 'k', 500).eventId === 'evt-1', 'Should match inside window');
+    assert(store.lookup('render', 'k', 1000) === null, 'Should expire after window');
+  });
+
+  // Test 17: Webhook Event History
+  test('Webhook Hub - Event History Records Delivery Attempts', () => {
+    const { WebhookHub } = require('../src/services/v2/webhookHub');
+    const { createQueueItem } = require('../src/services/v2/webhookQueueWorker');
+    const MemoryQueueBackend = require('../src/services/v2/memoryQueueBackend');
+    const hub = new WebhookHub({ queueBackend: new MemoryQueueBackend() });
+    const route = { id: 'r1', target: 'ci', endpoint: '/build', method: 'POST', retryPolicy: { maxAttempts: 1 } };
+    const event = createQueueItem({ source: 'github', eventType: 'push', ref: 'main' }, [route]);
+
+    hub.queue.enqueue(event);
+    hub.events.record(event, 'queued');
+    event.deliveries.push({ routeId: 'r1', attempt: 1, statusCode: 502, latencyMs: 12, success: false, error: 'HTTP 502' });
+    event.routeStates.r1.attempts = 1;
+    hub.retries.schedule(event);
+
+    const history = hub.getEvent(event.id);
+    assert(history.payload.ref === 'main' && history.routes[0].routeId === 'r1', 'Should keep payload and routes');
+    assert(history.deliveries[0].statusCode === 502 && history.deliveries[0].latencyMs === 12, 'Should keep attempts');
+    assert(history.status === 'dead_lettered' && history.completedAt, 'Should record final state');
+    assert(hub.listEvents({ status: 'dead_lettered' }).total === 1, 'Should filter by status');
+    assert(hub.listEvents({ source: 'render' }).events.length === 0, 'Should filter by source');
+  });
+
+  // Test 18: Performance Alert Ingestion
+  test('Performance Alert Manager - Dedup, Linking And Auto-Resolve', () => {
+    const { ServiceRegistry } = require('../src/services/v2/serviceRegistry');
+    const { PerformanceAlertManager } = require('../src/services/v2/performanceAlertManager');
+    const registry = new ServiceRegistry();
+    const { serviceId } = registry.registerService({ name: 'api', type: 'api', version: '1.0.0', url: 'http://api' });
+    const alerts = new PerformanceAlertManager({ registry, resolveAfterSeconds: 60 });
+    const webhook = { source: 'api', eventType: 'performance_alert', data: { metric: 'p95_latency', value: 900, threshold: 500 } };
+
+    assert(alerts.ingest({ metric: 'x' }).code === 'SERVICE_NOT_FOUND', 'Should require a registered service');
+    assert(alerts.ingest({ source: 'api', data: { value: 1 } }).code === 'INVALID_ALERT', 'Should require metric');
+
+    const first = alerts.ingest(webhook, 0);
+    const repeat = alerts.ingest(webhook, 1000);
+    assert(first.action === 'created' && repeat.action === 'deduplicated', 'Should deduplicate repeats');
+    assert(repeat.alert.id === first.alert.id && repeat.alert.count === 2, 'Should count repeats');
+    assert(registry.getService(serviceId).alerts.active === 1, 'Should link alert to service');
+
+    alerts.resolveStale(61000);
+    assert(first.alert.status === 'resolved' && first.alert.resolution === 'auto', 'Should auto-resolve quiet alerts');
+    assert(registry.getService(serviceId).alerts.active === 0, 'Should update service summary');
+    assert(alerts.ingest(webhook, 62000).action === 'created', 'Should raise a new alert after resolution');
+  });
+
+  // Test 19: Pushed Health Reports
+  test('Health Monitor - Pushed Health Reports Update Registry', () => {
+    const { getServiceRegistry } = require('../src/services/v2/serviceRegistry');
+    const { HealthMonitor } = require('../src/services/v2/healthMonitor');
+    const registry = getServiceRegistry();
+    const { serviceId } = registry.registerService({ name: 'edge-api', type: 'api', version: '1.0.0', url: 'http://10.0.0.9' });
+    const monitor = new HealthMonitor();
+
+    const result = monitor.recordHealthReport({
+      source: 'edge-api', eventType: 'health_check', data: { status: 'ok', responseTime: 42, bigBrotherCompliant: true }
+    });
+    assert(result.success && result.health.status === 'healthy', 'Should accept pushed report');
+    assert(registry.getService(serviceId).status === 'healthy', 'Should update registry status');
+    assert(monitor.records.get(serviceId).source === 'push', 'Should store report in healthData');
+    assert(monitor.records.hasFreshReport(serviceId), 'Should pause polling for pushing services');
+    assert(!monitor.records.hasFreshReport(serviceId, Date.now() + monitor.records.pushReportTtl), 'Should resume polling when stale');
+    assert(monitor.recordHealthReport({ serviceId, status: 'sleepy' }).code === 'INVALID_HEALTH_REPORT', 'Should validate status');
+    assert(monitor.recordHealthReport({ serviceName: 'ghost', status: 'ok' }).code === 'SERVICE_NOT_FOUND', 'Should require registered service');
+    registry.unregisterService(serviceId);
+  });
+
+  // Test 20: Service Registry Persistence
+  test('Service Registry - JSON File And SQLite Stores Survive Restart', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const { ServiceRegistry } = require('../src/services/v2/serviceRegistry');
+    const JsonFileRegistryStore = require('../src/services/v2/jsonFileRegistryStore');
+    const SqliteRegistryStore = require('../src/services/v2/sqliteRegistryStore');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bb-registry-'));
+    const stores = [file => new JsonFileRegistryStore({ filePath: path.join(dir, file + '.json') })];
+
+    try {
+      require.resolve('better-sqlite3');
+      stores.push(file => new SqliteRegistryStore({ filePath: path.join(dir, file + '.db') }));
+    } catch (error) {
+      console.log('   (better-sqlite3 not installed, skipping SQLite store)');
+    }
+
+    try {
+      stores.forEach((createStore, index) => {
+        const first = new ServiceRegistry({ store: createStore(`registry-${index}`) });
+        first.initialize();
+        const { serviceId } = first.registerService({ name: 'api', type: 'api', version: '1.0.0', url: 'http://api' });
+        const { serviceId: goneId } = first.registerService({ name: 'old', type: 'api', version: '1.0.0', url: 'http://old' });
+        first.statusTracker.updateStatus(serviceId, 'healthy');
+        const writes = first.store.getStats().writes;
+        first.statusTracker.updateStatus(serviceId, 'healthy', { status: 'ok' });
+        assert(writes === undefined || first.store.getStats().writes === writes, `${first.store.type}: unchanged status should not rewrite the store`);
+        assert(!first.store.load().find(s => s.id === serviceId).healthData, `${first.store.type}: health data should stay out of the store`);
+        first.unregisterService(goneId);
+        first.store.close();
+
+        const restarted = new ServiceRegistry({ store: createStore(`registry-${index}`) });
+        restarted.initialize();
+        assert(restarted.getService(serviceId).status === 'healthy', `${restarted.store.type}: should restore services`);
+        assert(!restarted.getService(goneId), `${restarted.store.type}: should persist unregistration`);
+        assert(restarted.getAllServices().filter(s => s.name === 'autohealer-bigbrother').length === 1,
+          `${restarted.store.type}: should not duplicate self registration`);
+        restarted.store.close();
+      });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  // Test 21: Service Leases
+  test('Service Registry - Heartbeat Leases Go Stale Then Deregister', () => {
+    const { ServiceRegistry } = require('../src/services/v2/serviceRegistry');
+    const MemoryRegistryStore = require('../src/services/v2/memoryRegistryStore');
+    const registry = new ServiceRegistry({ store: new MemoryRegistryStore() });
+    const events = [];
+    ['service:stale', 'service:renewed', 'service:deregistered'].forEach(name =>
+      registry.on(name, payload => events.push(`${name}:${payload.reason || ''}`)));
+
+    assert(!registry.registerService({ name: 'w', type: 'api', version: '1', url: 'http://w', ttlSeconds: 0 }).success,
+      'Should validate ttlSeconds');
+    const { serviceId } = registry.registerService({ name: 'worker', type: 'api', version: '1.0.0', url: 'http://w', ttlSeconds: 10 });
+    const start = Date.now();
+    registry.statusTracker.updateStatus(serviceId, 'healthy');
+
+    assert(registry.reaper.reap(start + 5000).stale.length === 0, 'Should keep live lease');
+    registry.reaper.reap(start + 10000);
+    assert(registry.getService(serviceId).status === 'stale', 'Should mark expired lease stale');
+    registry.statusTracker.updateStatus(serviceId, 'healthy');
+    assert(registry.getService(serviceId).status === 'stale', 'Health polling should not clear stale');
+
+    const renewed = registry.reaper.renew(serviceId, undefined, start + 12000);
+    assert(renewed.success && renewed.service.status === 'healthy', 'Heartbeat should restore status');
+    assert(registry.reaper.renew('missing').code === 'SERVICE_NOT_FOUND', 'Should report unknown service');
+
+    registry.reaper.reap(start + 22000);
+    assert(registry.reaper.reap(start + 32000).deregistered[0] === serviceId, 'Should deregister after grace period');
+    assert(!registry.getService(serviceId), 'Should remove expired service');
+    assert(events.join(',') === 'service:stale:,service:renewed:,service:stale:,service:deregistered:lease_expired',
+      `Should emit registry events (got ${events.join(',')})`);
+  });
+
+  // Test 22: Idempotent Registration And Updates
+  test('Service Registry - Upsert By Name And Environment', () => {
+    const { ServiceRegistry } = require('../src/services/v2/serviceRegistry');
+    const MemoryRegistryStore = require('../src/services/v2/memoryRegistryStore');
+    const registry = new ServiceRegistry({ store: new MemoryRegistryStore() });
+    const config = { name: 'api', type: 'api', version: '1.0.0', url: 'http://api' };
+
+    const first = registry.registerService(config);
+    const again = registry.registerService({ ...config, version: '1.1.0' });
+    const staging = registry.registerService({ ...config, environment: 'staging' });
+    assert(first.created && !again.created && again.serviceId === first.serviceId, 'Should return existing ID');
+    assert(registry.getService(first.serviceId).version === '1.1.0', 'Should refresh registration');
+    assert(staging.created && staging.serviceId !== first.serviceId, 'Should separate environments');
+    assert(registry.getAllServices().length === 2, 'Should not create duplicates');
+
+    const updated = registry.updateService(first.serviceId, { url: 'http://api-2', status: 'healthy' });
+    assert(updated.success && updated.service.url === 'http://api-2' && updated.service.status === 'healthy', 'Should apply update');
+    assert(registry.updateService(first.serviceId, { name: 'other' }).code === 'INVALID_SERVICE', 'Should keep identity immutable');
+    assert(registry.updateService(first.serviceId, { status: 'stale' }).code === 'INVALID_SERVICE', 'Should validate status');
+    assert(registry.updateService('missing', {}).code === 'SERVICE_NOT_FOUND', 'Should report unknown service');
+  });
+
+  // Test 23: Dependency Graph And Impact
+  test('Dependency Graph - Cycles, Impact And Symptom Tagging', () => {
+    const { getServiceRegistry } = require('../src/services/v2/serviceRegistry');
+    const { HealthMonitor } = require('../src/services/v2/healthMonitor');
+    const registry = getServiceRegistry();
+    const register = (name, dependsOn) =>
+      registry.registerService({ name, type: 'api', version: '1.0.0', url: `http://${name}`, dependsOn }).serviceId;
+
+    const db = register('graph-db', []);
+    const api = register('graph-api', ['graph-db']);
+    const web = register('graph-web', ['graph-api', 'graph-cdn']);
+    const a = register('graph-a', ['graph-b']);
+    const b = register('graph-b', ['graph-a']);
+
+    try {
+      const graph = registry.getDependencyGraph().toJSON();
+      assert(graph.hasCycles && graph.cycles.some(c => c.includes(a) && c.includes(b)), 'Should flag cycles');
+      assert(graph.nodes.find(n => n.id === web).missingDependencies[0] === 'graph-cdn', 'Should report missing dependencies');
+
+      const impact = registry.getImpact(db);
+      assert(impact.totalAffected === 2 && impact.affected.find(s => s.serviceId === web).depth === 2, 'Should find transitive dependents');
+      assert(registry.getImpact('missing') === null, 'Should return null for unknown service');
+      assert(!registry.registerService({ name: 'x', type: 'api', version: '1', url: 'http://x', dependsOn: 'db' }).success, 'Should validate dependsOn');
+
+      const monitor = new HealthMonitor();
+      monitor.recordHealthReport({ serviceId: db, status: 'error' });
+      monitor.recordHealthReport({ serviceId: api, status: 'unhealthy' });
+      monitor.recordHealthReport({ serviceId: web, status: 'unhealthy' });
+      assert(monitor.records.get(db).incident.type === 'independent', 'Should treat root failure as incident');
+      assert(monitor.records.get(web).incident.type === 'symptom', 'Should tag downstream failure as symptom');
+      assert(monitor.records.get(web).incident.rootCauses[0].serviceId === db, 'Should point at root cause');
+      monitor.recordHealthReport({ serviceId: db, status: 'healthy' });
+      assert(monitor.records.get(api).incident.type === 'independent', 'Should reclassify when dependency recovers');
+    } finally {
+      [db, api, web, a, b].forEach(id => registry.unregisterService(id));
+    }
+  });
+
+  // Test 24: Service Manifest Import/Export
+  test('Service Manifest - Validate, Import, Roll Back And Export', () => {
+    const { ServiceRegistry } = require('../src/services/v2/serviceRegistry');
+    const { WebhookHub } = require('../src/services/v2/webhookHub');
+    const { ServiceManifest, parseManifest, serializeManifest } = require('../src/services/v2/serviceManifest');
+    const MemoryRegistryStore = require('../src/services/v2/memoryRegistryStore');
+    const MemoryQueueBackend = require('../src/services/v2/memoryQueueBackend');
+
+    const store = new MemoryRegistryStore();
+    const registry = new ServiceRegistry({ store });
+    const hub = new WebhookHub({ queueBackend: new MemoryQueueBackend() });
+    const manifest = new ServiceManifest(registry, hub);
+
+    const parsed = parseManifest([
+      'version: 1',
+      'services:',
+      '  - { name: users, type: api, version: "1.2.0", url: "http://users", tags: [payments], ttlSeconds: 60 }',
+      '  - { name: billing, type: api, version: "2.0.0", url: "http://billing", dependsOn: [users] }',
+      'routes:',
+      '  - { source: github, eventType: push, target: users, endpoint: /hooks, method: POST }'
+    ].join('\n'));
+    assert(parsed.success && parsed.manifest.services.length === 2, 'Should parse YAML manifest');
+    assert(!parseManifest('services: [').success, 'Should reject malformed YAML');
+
+    const invalid = manifest.import({
+      services: [parsed.manifest.services[0], { name: 'broken', type: 'nope', url: 'http://x', version: '1', color: 'red' }],
+      routes: [{ source: 'github', eventType: 'push', target: 'users', endpoint: '/hooks', method: 'FETCH' }]
+    });
+    assert(!invalid.success && invalid.code === 'INVALID_MANIFEST', 'Should reject invalid manifest');
+    assert(invalid.errors.some(e => e.startsWith('services[1]: unknown field color')), 'Should report unknown fields');
+    assert(invalid.errors.some(e => e.startsWith('routes[0]:')), 'Should validate routes');
+    assert(registry.findServiceByName('users') === null, 'Should apply nothing when invalid');
+
+    const dryRun = manifest.import(parsed.manifest, { dryRun: true });
+    assert(dryRun.success && dryRun.services[0].action === 'created' && !registry.findServiceByName('users'), 'Dry run should not apply');
+
+    const imported = manifest.import(parsed.manifest);
+    assert(imported.success && registry.findServiceByName('billing').dependsOn[0] === 'users', 'Should import services');
+    assert(registry.findServiceByName('users').lease.ttlSeconds === 60, 'Should create leases from ttlSeconds');
+    const routeCount = hub.routes.getAll().length;
+    assert(manifest.import(parsed.manifest).services.every(s => s.action === 'updated'), 'Re-import should update in place');
+    assert(hub.routes.getAll().length === routeCount, 'Re-import should not duplicate routes');
+
+    // A store failure mid-import rolls back everything already applied
+    const save = store.save.bind(store);
+    store.save = service => {
+      if (service.name === 'fails') throw new Error('disk full');
+      save(service);
+    };
+    const rolledBack = manifest.import({
+      services: [{ name: 'ledger', type: 'api', version: '1', url: 'http://ledger' },
+        { name: 'users', type: 'api', version: '9.9.9', url: 'http://users' },
+        { name: 'fails', type: 'api', version: '1', url: 'http://fails' }]
+    });
+    assert(!rolledBack.success && rolledBack.code === 'MANIFEST_IMPORT_FAILED', 'Should report failed import');
+    assert(registry.findServiceByName('ledger') === null, 'Should remove services created before the failure');
+    assert(registry.findServiceByName('users').version === '1.2.0', 'Should restore updated services');
+
+    const exported = manifest.export();
+    assert(exported.services.find(s => s.name === 'users').ttlSeconds === 60, 'Should export lease TTL');
+
+    const probed = { name: 'probed', type: 'api', version: '1', url: 'http://probed', probe: { type: 'http', headers: { Authorization: 'Bearer s3cret' } } };
+    manifest.import({ services: [probed] });
+    const probedEntry = manifest.export().services.find(s => s.name === 'probed');
+    assert(probedEntry.probe.headers.Authorization === '[redacted]', 'Should redact probe headers in exports');
+    assert(manifest.import({ services: [probedEntry] }).success &&
+      registry.findServiceByName('probed').probe.headers.Authorization === 'Bearer s3cret', 'Re-importing an export should keep probe credentials');
+    assert(exported.routes.some(r => r.source === 'github' && !r.id), 'Should export routes without IDs');
+    const roundTrip = parseManifest(serializeManifest(exported, 'yaml'));
+    assert(manifest.validate(roundTrip.manifest).isValid, 'Exported YAML should re-import');
+    hub.worker.stop();
+  });
+
+  // Test 25: Labels And Selectors
+  test('Labels - Selector Parsing, Registry Queries And Route Targets', () => {
+    const { validateSelector, matchesSelector, validateLabels, getServiceLabels } = require('../src/services/v2/labelSelector');
+    const { ServiceRegistry } = require('../src/services/v2/serviceRegistry');
+    const { WebhookHub } = require('../src/services/v2/webhookHub');
+    const MemoryRegistryStore = require('../src/services/v2/memoryRegistryStore');
+    const MemoryQueueBackend = require('../src/services/v2/memoryQueueBackend');
+
+    const labels = { team: 'payments', region: 'oregon', environment: 'staging' };
+    assert(matchesSelector('team=payments,region', labels), 'Should match equality and existence');
+    assert(matchesSelector('team!=infra,!canary', labels), 'Should match inequality and absence');
+    assert(matchesSelector('tier!=gold', labels), 'Inequality should match missing labels');
+    assert(!matchesSelector('team==infra', labels), 'Should reject mismatched values');
+    assert(matchesSelector('', labels), 'Empty selector should match everything');
+    assert(!validateSelector('team=a b').isValid && !validateSelector('=x').isValid, 'Should reject malformed selectors');
+    assert(!validateLabels({ type: 'x' }).isValid && !validateLabels({ team: 'a,b' }).isValid, 'Should reject reserved keys and unsafe values');
+    assert(getServiceLabels({ name: 'a', type: 'api' }).environment === 'production', 'Should expose built-in labels');
+
+    const registry = new ServiceRegistry({ store: new MemoryRegistryStore() });
+    const register = (name, environment, serviceLabels, status) => {
+      const id = registry.registerService({ name, type: 'api', version: '1', url: `http://${name}`, environment, labels: serviceLabels }).serviceId;
+      if (status) registry.statusTracker.updateStatus(id, status);
+      return id;
+    };
+    register('pay-a', 'production', { team: 'payments' }, 'unhealthy');
+    const healthyPay = register('pay-b', 'production', { team: 'payments' });
+    register('pay-staging', 'staging', { team: 'payments' });
+    register('infra', 'production', { team: 'infra' });
+    assert(!registry.registerService({ name: 'bad', type: 'api', version: '1', url: 'http://bad', labels: ['x'] }).success, 'Should validate labels');
+
+    assert(registry.getServicesBySelector('team=payments,environment=production').length === 2, 'Should select by label and environment');
+    assert(registry.getServicesBySelector('team!=payments').map(s => s.name)[0] === 'infra', 'Should select by inequality');
+    assert(registry.getServicesBySelector(undefined).length === 4, 'No selector should select all');
+
+    const hub = new WebhookHub({ queueBackend: new MemoryQueueBackend() });
+    assert(hub.routes.add({ source: 'github', eventType: 'push', targetSelector: 'team=payments,environment=production', endpoint: '/h', method: 'POST' }).success, 'Should accept selector-only routes');
+    assert(!hub.routes.add({ source: 'github', eventType: 'push', targetSelector: 'team=', endpoint: '/h', method: 'POST', target: '' }).success, 'Should reject empty targets');
+    assert(!hub.routes.add({ source: 'github', eventType: 'push', targetSelector: 'a b', endpoint: '/h', method: 'POST' }).success, 'Should validate target selectors');
+    const route = hub.routes.getAll()[0];
+    assert(hub.dispatcher.resolveTarget(route, registry.getAllServices()).id === healthyPay, 'Should prefer a healthy matching target');
+    assert(hub.dispatcher.resolveTarget({ ...route, targetSelector: 'team=nobody' }, registry.getAllServices()) === null, 'Should find no target when nothing matches');
+    hub.worker.stop();
+  });
+
+  // Test 26: Service Instances
+  await testAsync('Service Instances - Aggregated Health And Instance Selection', async () => {
+    const http = require('http');
+    const { ServiceRegistry } = require('../src/services/v2/serviceRegistry');
+    const { HealthMonitor } = require('../src/services/v2/healthMonitor');
+    const { getInstances, aggregateInstanceStatus } = require('../src/services/v2/serviceInstances');
+    const InstanceBalancer = require('../src/services/v2/instanceBalancer');
+    const MemoryRegistryStore = require('../src/services/v2/memoryRegistryStore');
+
+    const registry = new ServiceRegistry({ store: new MemoryRegistryStore() });
+    assert(!registry.registerService({ name: 'x', type: 'api', version: '1', instances: [] }).success, 'Should require url or instances');
+    assert(!registry.registerService({ name: 'x', type: 'api', version: '1', instances: [{ url: 'http://a' }, { url: 'http://a' }] }).success, 'Should reject duplicate instances');
+    assert(!registry.registerService({ name: 'x', type: 'api', version: '1', url: 'http://x', minHealthyInstances: 2 }).success, 'minHealthyInstances cannot exceed instance count');
+
+    const id = registry.registerService({
+      name: 'multi', type: 'api', version: '1', minHealthyInstances: 2,
+      instances: [{ id: 'a', url: 'http://a' }, { id: 'b', url: 'http://b' }, { url: 'http://c' }]
+    }).serviceId;
+    const service = registry.getService(id);
+    assert(service.url === 'http://a' && service.instances[2].id.startsWith('i-'), 'Should normalize instances');
+    assert(getInstances({ url: 'http://single' })[0].id === 'default', 'Single-url services have a default instance');
+    assert(aggregateInstanceStatus(service, [{ status: 'healthy' }, { status: 'healthy' }, { status: 'error' }]).status === 'healthy', '2 of 3 should be healthy');
+    assert(aggregateInstanceStatus(service, [{ status: 'healthy' }, { status: 'error' }, { status: 'error' }]).status === 'unhealthy', '1 of 3 should be unhealthy');
+
+    // Poll real instances: one healthy, one failing
+    const up = http.createServer((req, res) => res.end(JSON.stringify({ status: 'healthy' })));
+    const down = http.createServer((req, res) => { res.statusCode = 503; res.end('{}'); });
+    await new Promise(resolve => up.listen(0, resolve));
+    await new Promise(resolve => down.listen(0, resolve));
+    try {
+      const monitor = new HealthMonitor();
+      const polled = await monitor.checkServiceHealth({
+        id: 'svc', name: 'svc', minHealthyInstances: 1,
+        instances: [{ id: 'up', url: `http://127.0.0.1:${up.address().port}` }, { id: 'down', url: `http://127.0.0.1:${down.address().port}` }]
+      });
+      assert(polled.status === 'healthy' && polled.healthyInstances === 1 && polled.totalInstances === 2, 'Should aggregate polled instances');
+      assert(polled.instances.find(i => i.instanceId === 'down').status === 'error', 'Should keep per-instance state');
+    } finally {
+      up.close();
+      down.close();
+    }
+
+    const balancer = new InstanceBalancer();
+    const picks = [1, 2, 3, 4].map(() => balancer.pick(service).id);
+    assert(picks[0] !== picks[1] && picks[0] === picks[3], 'Round-robin should rotate through instances');
+    service.healthData = { instances: [{ instanceId: 'a', status: 'error' }, { instanceId: 'b', status: 'healthy', responseTime: 40 }] };
+    assert([1, 2, 3].every(() => balancer.pick(service).id !== 'a'), 'Should skip failing instances');
+    service.instanceSelection = 'least-latency';
+    balancer.recordLatency(id, service.instances[2].id, 100);
+    assert(balancer.pick(service).id === 'b', 'Should pick the lowest latency instance');
+    for (let i = 0; i < 5; i++) balancer.recordLatency(id, service.instances[2].id, 0);
+    assert(balancer.pick(service).id === service.instances[2].id, 'Should follow delivery latency');
+    balancer.recordLatency(id, service.instances[2].id, 1, false);
+    assert(balancer.pick(service).id === 'b', 'Fast failures should not make an instance look fastest');
+  });
+
+  // Test 27: Service Tokens
+  test('Service Tokens - Issue, Verify, Rotate, Revoke And Enforce', () => {
+    const { ServiceRegistry, getServiceRegistry } = require('../src/services/v2/serviceRegistry');
+    const { requireServiceToken, requireAdminToken } = require('../src/routes/v2/integrationMiddleware');
+    const { extractToken } = require('../src/services/v2/serviceTokens');
+    const { WebhookHub } = require('../src/services/v2/webhookHub');
+    const MemoryQueueBackend = require('../src/services/v2/memoryQueueBackend');
+    const MemoryRegistryStore = require('../src/services/v2/memoryRegistryStore');
+
+    const store = new MemoryRegistryStore();
+    const registry = new ServiceRegistry({ store });
+    const config = { name: 'tokened', type: 'api', version: '1', url: 'http://tokened', auth: { tokenHash: 'forged' } };
+    const created = registry.registerService(config);
+    const service = registry.getService(created.serviceId);
+    assert(created.token && created.token.startsWith('bbst_'), 'Should return a token on creation');
+    assert(service.auth.tokenHash !== 'forged' && !JSON.stringify(service).includes(created.token), 'Should store only the token hash');
+    assert(registry.registerService(config).token === undefined, 'Re-registration should not issue a new token');
+    assert(registry.toPublic(service).auth.tokenHash === undefined, 'Public view should hide hashes');
+
+    assert(registry.authenticator.authenticate(service.id, created.token).success, 'Should accept the issued token');
+    assert(registry.authenticator.authenticate(service.id, 'bbst_wrong').code === 'INVALID_TOKEN', 'Should reject a wrong token');
+    assert(registry.authenticator.authenticate(service.id, null).code === 'TOKEN_REQUIRED', 'Should require a token');
+
+    const rotated = registry.authenticator.rotateToken(service.id, 60);
+    assert(rotated.success && rotated.token !== created.token, 'Should rotate the token');
+    assert(registry.authenticator.authenticate(service.id, created.token).previousToken, 'Old token should work during grace');
+    assert(!registry.authenticator.authenticate(service.id, created.token, {}, Date.now() + 61000).success, 'Old token should expire after grace');
+    assert(!registry.authenticator.rotateToken(service.id, -1).success, 'Should validate grace period');
+
+    registry.authenticator.revokeToken(service.id);
+    assert(registry.authenticator.authenticate(service.id, rotated.token).code === 'TOKEN_REVOKED', 'Should reject revoked tokens');
+    assert(!registry.authenticator.authenticate(service.id, null).success, 'Re-issuing after revocation should need a credential');
+    process.env.REGISTRY_ADMIN_TOKEN = 'operator-secret';
+    try {
+      assert(registry.authenticator.authenticate(service.id, 'operator-secret').admin, 'Admin token should unlock revoked services');
+      assert(!registry.authenticator.authenticate(service.id, 'operator').success, 'Should reject a wrong admin token');
+    } finally {
+      delete process.env.REGISTRY_ADMIN_TOKEN;
+    }
+    assert(!registry.authenticator.authenticate(service.id, 'operator-secret').success, 'Admin token should be off when unset');
+
+    // Legacy records without credentials are issued a token on re-registration
+    const legacy = registry.registerService({ name: 'legacy', type: 'api', version: '1', url: 'http://legacy' });
+    delete registry.getService(legacy.serviceId).auth;
+    assert(registry.authenticator.authenticate(legacy.serviceId, null).success, 'Legacy services are not enforced');
+    assert(registry.registerService({ name: 'legacy', type: 'api', version: '1', url: 'http://legacy' }).token, 'Legacy re-registration should issue a token');
+
+    assert(extractToken({ authorization: 'Bearer abc' }) === 'abc' && extractToken({}) === null, 'Should read bearer tokens');
+
+    // Middleware against the shared registry
+    const shared = getServiceRegistry();
+    const pushed = shared.registerService({ name: 'token-pusher', type: 'api', version: '1', url: 'http://pusher' });
+    try {
+      const run = (headers, middleware = requireServiceToken(() => [pushed.serviceId], { acceptRelay: true })) => {
+        let status = 200;
+        let passed = false;
+        const res = { status(code) { status = code; return this; }, json() { return this; } };
+        middleware({ headers, path: '/test' }, res, () => { passed = true; });
+        return passed ? 200 : status;
+      };
+      assert(run({}) === 401, 'Middleware should reject missing tokens');
+      assert(run({ authorization: `Bearer ${pushed.token}` }) === 200, 'Middleware should accept the service token');
+      assert(run({ authorization: `Bearer ${shared.selfToken}` }) === 401, 'Hub token alone should not speak for a service');
+      assert(run({ authorization: `Bearer ${shared.selfToken}`, 'x-bigbrother-relayed-for': 'someone-else' }) === 401, 'Hub token should only relay for the source service');
+      assert(run({ authorization: `Bearer ${shared.selfToken}`, 'x-bigbrother-relayed-for': pushed.serviceId }) === 200, 'Middleware should accept relays for the source service');
+      assert(run({ authorization: `Bearer ${shared.selfToken}`, 'x-bigbrother-relayed-for': pushed.serviceId },
+        requireServiceToken(() => [pushed.serviceId])) === 401, 'Relays should only be accepted where enabled');
+
+      const hub = new WebhookHub({ queueBackend: new MemoryQueueBackend() });
+      hub.routes.addDefaults();
+      let relayHeaders = null;
+      hub.delivery.deliver = (event, route, target, attempt, body, options) => {
+        relayHeaders = options.headers;
+        return Promise.resolve({ success: true, latencyMs: 1 });
+      };
+      const self = shared.getService(shared.selfServiceId);
+      const event = { id: 'evt', webhook: { eventType: 'health_check' }, sourceServiceId: pushed.serviceId };
+      const healthRoute = hub.routes.getAll().find(route => route.eventType === 'health_check');
+      hub.dispatcher.deliverRoute(event, healthRoute, self, 1);
+      assert(relayHeaders['X-BigBrother-Relayed-For'] === pushed.serviceId, 'Built-in report routes should relay for their source');
+      const custom = hub.routes.add({ source: 'token-pusher', eventType: 'x', target: self.name, endpoint: `/api/v2/integration/services/${pushed.serviceId}`, method: 'DELETE' });
+      hub.dispatcher.deliverRoute(event, hub.routes.get(custom.routeId), self, 1);
+      assert(!relayHeaders.Authorization, 'Other routes to the hub should not carry its token');
+
+      process.env.REGISTRY_ADMIN_TOKEN = 'operator-secret';
+      try {
+        assert(run({ authorization: `Bearer ${pushed.token}` }, requireAdminToken()) === 401, 'Route changes should need the admin token');
+        assert(run({ authorization: 'Bearer operator-secret' }, requireAdminToken()) === 200, 'Admin token should pass');
+      } finally {
+        delete process.env.REGISTRY_ADMIN_TOKEN;
+      }
+
+      let allPassed = false;
+      const res = { status() { return this; }, json() { return this; } };
+      requireServiceToken(() => [pushed.serviceId, shared.selfServiceId], { requireAll: true })(
+        { headers: { authorization: `Bearer ${pushed.token}` }, path: '/manifest' }, res, () => { allPassed = true; });
+      assert(!allPassed, 'requireAll should need a token every service accepts');
+    } finally {
+      shared.unregisterService(pushed.serviceId);
+    }
+  });
+
+  // Test 28: Health Probes
+  await testAsync('Health Probes - HTTP, TCP And Command Probes', async () => {
+    const http = require('http');
+    const net = require('net');
+    const { validateProbe } = require('../src/services/v2/healthProbes');
+    const { HealthMonitor } = require('../src/services/v2/healthMonitor');
+
+    assert(!validateProbe({ type: 'ping' }).isValid, 'Should reject unknown probe types');
+    assert(!validateProbe({ type: 'http', expectStatus: '299-200' }).isValid, 'Should reject inverted status ranges');
+    assert(!validateProbe({ type: 'http', assertions: ['$.a ~~ 1'] }).isValid, 'Should validate assertions');
+    assert(!validateProbe({ type: 'command', command: '/bin/sh' }).isValid, 'Should reject commands not allowlisted');
+    assert(!validateProbe({ type: 'http', bodyPattern: '(.*a)*' }).isValid, 'Should reject unsafe body patterns');
+    assert(validateProbe({ type: 'http', method: 'POST', expectStatus: ['200-204', 304], assertions: '$.db == "up"' }).isValid, 'Should accept HTTP probes');
+
+    const { ServiceRegistry } = require('../src/services/v2/serviceRegistry');
+    const MemoryRegistryStore = require('../src/services/v2/memoryRegistryStore');
+    const registry = new ServiceRegistry({ store: new MemoryRegistryStore() });
+    const probed = registry.registerService({ name: 'probed', type: 'api', version: '1', url: 'http://probed', probe: { type: 'http', headers: { authorization: 'Bearer x' } } });
+    assert(registry.getService(probed.serviceId).probe.headers.authorization === 'Bearer x', 'Should store the probe on the registry entry');
+    assert(registry.toPublic(registry.getService(probed.serviceId)).probe.headers.authorization === '[redacted]', 'Should redact probe headers');
+    assert(!registry.registerService({ name: 'bad-probe', type: 'api', version: '1', url: 'http://x', probe: { type: 'tcp', port: 0 } }).success, 'Should validate probes on registration');
+
+    let seen = null;
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        seen = { method: req.method, url: req.url, token: req.headers['x-probe'], body };
+        res.statusCode = 202;
+        res.end(JSON.stringify({ db: 'up', version: '1.2.3' }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, resolve));
+    const url = `http://127.0.0.1:${server.address().port}`;
+    const closedPort = await new Promise(resolve => {
+      const probe = net.createServer().listen(0, () => { const port = probe.address().port; probe.close(() => resolve(port)); });
+    });
+
+    const previousCommands = process.env.HEALTH_PROBE_COMMANDS;
+    process.env.HEALTH_PROBE_COMMANDS = [
+      `${process.execPath} -e console.log(process.env.BB_INSTANCE_URL)`,
+      `${process.execPath} -e process.exit(3)`
+    ].join(',');
+    try {
+      const monitor = new HealthMonitor();
+      const check = probe => monitor.checkServiceHealth({ id: 'p', name: 'p', url, probe });
+
+      const ok = await check({ type: 'http', method: 'POST', path: '/ready', headers: { 'x-probe': 'secret' },
+        body: { deep: true }, expectStatus: '200-204', assertions: ['$.db == "up"'], bodyPattern: '/version/' });
+      assert(ok.status === 'healthy', 'HTTP probe should pass');
+      assert(seen.method === 'POST' && seen.url === '/ready' && seen.token === 'secret' && JSON.parse(seen.body).deep, 'Should send method, path, headers and body');
+
+      const bad = await check({ type: 'http', expectStatus: 200, assertions: ['$.db == "down"'] });
+      assert(bad.status === 'unhealthy' && bad.failures.length === 2, 'Should report status and assertion failures');
+
+      assert((await check({ type: 'tcp' })).status === 'healthy', 'TCP probe should connect');
+      assert((await check({ type: 'tcp', port: closedPort })).status === 'error', 'TCP probe should fail on refused connections');
+
+      const pass = await check({ type: 'command', command: process.execPath, args: ['-e', 'console.log(process.env.BB_INSTANCE_URL)'], bodyPattern: '127.0.0.1' });
+      assert(pass.status === 'healthy', 'Command probe should pass on exit 0 with matching output');
+      assert((await check({ type: 'command', command: process.execPath, args: ['-e', 'process.exit(3)'] })).failures[0] === 'Command exited with code 3', 'Command probe should fail on non-zero exit');
+      assert((await check({ type: 'command', command: process.execPath, args: ['-e', 'process.exit(0)'] })).status === 'error', 'Command probe should refuse args outside the allowlist');
+      assert(!validateProbe({ type: 'command', command: process.execPath, args: ['-e', 'process.exit(0)'] }).isValid, 'Validation should require an allowlisted command line');
+    } finally {
+      if (previousCommands === undefined) delete process.env.HEALTH_PROBE_COMMANDS;
+      else process.env.HEALTH_PROBE_COMMANDS = previousCommands;
+      server.close();
+    }
+  });
+
+  // Test 29: Health History
+  await testAsync('Health History - Uptime, Percentiles And Downsampling', async () => {
+    const HealthHistoryStore = require('../src/services/v2/healthHistoryStore');
+    const { HealthMonitor } = require('../src/services/v2/healthMonitor');
+
+    const store = new HealthHistoryStore({ maxSamples: 200 });
+    const start = Date.UTC(2026, 0, 1);
+    for (let i = 1; i <= 100; i++) {
+      store.record('svc', { status: i % 10 === 0 ? 'unhealthy' : 'healthy', responseTime: i, timestamp: new Date(start + i * 60000).toISOString() });
+    }
+    const until = start + 100 * 60000;
+
+    const day = store.query('svc', { since: until - 2 * 3600 * 1000, until });
+    assert(day.resolution === 'raw' && day.samples === 100 && day.points.length === 100, 'Should return raw samples while they fit the limit');
+    assert(day.uptimePercent === 90, 'Should compute uptime');
+    assert(day.latency.p50 === 50 && day.latency.p95 === 95 && day.latency.max === 100, 'Should compute exact percentiles');
+    assert(day.transitions.length === 19 && day.transitions[0].to === 'unhealthy', 'Should derive status transitions');
+    const bucketed = store.query('svc', { since: until - 2 * 3600 * 1000, until, limit: 50 });
+    assert(bucketed.resolution === '5m' && bucketed.points.length === 21 && bucketed.samples === 100, 'Should downsample to 5m buckets past the limit');
+    assert(store.query('svc', { since: until - 2 * 3600 * 1000, until, resolution: '1h' }).points.length === 2, 'Should serve hourly buckets');
+
+    const recent = store.query('svc', { since: until - 5 * 60000 + 1, until });
+    assert(recent.samples === 5 && recent.transitions.length === 1, 'Should only count samples within the window');
+    assert(recent.latency.p50 === 98 && recent.latency.p99 === 100 && recent.uptimePercent === 80, 'Should compute statistics over the window');
+    const empty = store.query('other', { since: start, until });
+    assert(empty.samples === 0 && empty.points.length === 0 && empty.uptimePercent === null, 'Services without checks have an empty summary');
+
+    const small = new HealthHistoryStore({ maxSamples: 10 });
+    for (let i = 1; i <= 100; i++) small.record('svc', { status: 'healthy', responseTime: i });
+    assert(small.getStats().samples === 10 && small.query('svc').latency.min === 91, 'Should drop the oldest samples past maxSamples');
+
+    assert(HealthHistoryStore.parseQuery({ window: '7d' }, until).options.since === until - 7 * 24 * 3600 * 1000, 'Should parse windows');
+    assert(!HealthHistoryStore.parseQuery({ window: '1y' }).isValid, 'Should reject unknown window units');
+    assert(!HealthHistoryStore.parseQuery({ window: '120d' }).isValid, 'Should cap windows at 90 days');
+    assert(!HealthHistoryStore.parseQuery({ resolution: '1s' }).isValid, 'Should reject unknown resolutions');
+
+    const capped = new HealthHistoryStore({ maxServices: 200, maxSamples: 100000 });
+    assert(capped.maxServices === 50 && capped.maxSamples === 5000, 'Should cap services at the registry limit and samples per service');
+    for (let i = 0; i <= 50; i++) capped.record(`svc-${i}`, { status: 'healthy', responseTime: 5 });
+    assert(capped.getStats().services === 50 && capped.query('svc-0').samples === 0, 'Should evict the least recently updated service');
+
+    const monitor = new HealthMonitor();
+    await monitor.checkServiceHealth({ id: 'down', name: 'down', url: 'http://127.0.0.1:1' });
+    const history = monitor.records.getHistory('down');
+    assert(history.samples === 1 && history.points[0].status === 'error' && history.uptimePercent === 0, 'Health checks should be recorded in history');
+  });
+
+  // Test 30: SLOs And Burn-Rate Alerts
+  test('SLOs - Error Budget, Burn Rates And Alerts', () => {
+    const { validateSlos, SloEvaluator } = require('../src/services/v2/sloEvaluator');
+    const HealthHistoryStore = require('../src/services/v2/healthHistoryStore');
+    const { ServiceRegistry } = require('../src/services/v2/serviceRegistry');
+    const { PerformanceAlertManager } = require('../src/services/v2/performanceAlertManager');
+    const MemoryRegistryStore = require('../src/services/v2/memoryRegistryStore');
+
+    assert(validateSlos([{ type: 'availability', objective: 99.9, window: '30d' }, { type: 'latency', objective: 95, thresholdMs: 200 }]).length === 0, 'Should accept availability and latency SLOs');
+    assert(validateSlos([{ type: 'latency', objective: 95 }]).length === 1, 'Latency SLOs need thresholdMs');
+    assert(validateSlos([{ type: 'availability', objective: 100 }, { type: 'availability', objective: 99, window: '1y' }]).length === 3, 'Should reject bad objectives, windows and duplicate names');
+
+    const registry = new ServiceRegistry({ store: new MemoryRegistryStore() });
+    assert(!registry.registerService({ name: 'x', type: 'api', version: '1', url: 'http://x', slos: [{ type: 'speed', objective: 9 }] }).success, 'Registry should validate SLOs');
+    const { serviceId } = registry.registerService({ name: 'api', type: 'api', version: '1.0.0', url: 'http://api',
+      slos: [{ type: 'availability', objective: 99, window: '7d' }, { name: 'fast', type: 'latency', objective: 90, thresholdMs: 200, window: '7d' }] });
+    const service = registry.getService(serviceId);
+
+    const history = new HealthHistoryStore();
+    const evaluator = new SloEvaluator({ history });
+    const alerts = new PerformanceAlertManager({ registry });
+    const now = Date.now();
+    for (let minute = 180; minute >= 1; minute--) {
+      history.record(serviceId, { status: minute <= 10 ? 'error' : 'healthy', responseTime: 100, timestamp: new Date(now - minute * 60000).toISOString() });
+    }
+
+    const [availability, latency] = evaluator.evaluateAndAlert(service, alerts, now);
+    assert(availability.sli === 94.444 && availability.events.total === 180, 'Should compute the SLI over the SLO window');
+    assert(availability.errorBudget.remainingPercent === -455.56, 'Should report budget consumed beyond 100%');
+    assert(availability.burnRates['5m'] === 100 && availability.burnRates['1h'] === 16.667, 'Should compute burn rates per window');
+    assert(availability.status === 'critical' && availability.alerts.find(a => a.longWindow === '1h').threshold === 3.36, 'Should scale burn thresholds to the SLO window');
+    assert(latency.status === 'ok' && latency.errorBudget.remainingPercent === 100, 'Latency SLO should be within budget');
+
+    const active = alerts.list({ serviceId, status: 'active' });
+    assert(active.length === 1 && active[0].metric === 'slo:availability' && active[0].severity === 'critical', 'Should raise a burn-rate alert');
+    evaluator.evaluateAndAlert(service, alerts, now);
+    assert(alerts.list({ serviceId })[0].count === 2, 'Should deduplicate repeated evaluations');
+    alerts.resolveStale(now + 3600 * 1000);
+    assert(alerts.list({ serviceId }, false)[0].status === 'active', 'SLO alerts should not resolve after the quiet period');
+
+    const later = now + 7 * 3600 * 1000;
+    for (let minute = 60; minute >= 0; minute--) {
+      history.record(serviceId, { status: 'healthy', responseTime: 100, timestamp: new Date(later - minute * 60000).toISOString() });
+    }
+    const [recovered] = evaluator.evaluateAndAlert(service, alerts, later);
+    const resolved = alerts.list({ serviceId })[0];
+    assert(recovered.status === 'ok' && resolved.status === 'resolved' && resolved.resolution === 'reported', 'Should resolve the alert once burning stops');
+  });
+
+  // Test 31: Alert Rules And Channels
+  await testAsync('Alert Notifier - Rules, Dedup, Resolve And Channels', async () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const http = require('http');
+    const { AlertNotifier } = require('../src/services/v2/alertNotifier');
+    const { validateChannel, describeChannel } = require('../src/services/v2/alertChannels');
+
+    assert(!validateChannel({ name: 'x', type: 'smtp', host: 'mail' }).isValid, 'SMTP channels need from and to');
+    assert(describeChannel({ name: 's', type: 'slack', url: 'https://hooks/secret' }).url === '[redacted]', 'Should redact channel secrets');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bb-alerts-'));
+    const received = [];
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => { received.push({ url: req.url, body: JSON.parse(body) }); res.end('ok'); });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+      const notifier = new AlertNotifier();
+      const file = path.join(dir, 'alerts.jsonl');
+      fs.writeFileSync(path.join(dir, 'alerts.yaml'), [
+        'channels:',
+        `  - { name: sink, type: file, path: ${file} }`,
+        `  - { name: hook, type: webhook, url: ${base}/hook }`,
+        `  - { name: slack, type: slack, url: ${base}/slack }`,
+        'rules:',
+        '  - { name: Down Three Times, type: consecutive_failures, count: 3, severity: critical, channels: [sink, hook, slack] }',
+        '  - { name: slow, type: latency, thresholdMs: 500, forMinutes: 5, selector: team=payments, channels: [sink] }'
+      ].join('\n'));
+      const loaded = notifier.loadFile(path.join(dir, 'alerts.yaml'));
+      assert(loaded.success && loaded.rules === 2 && loaded.channels === 3, 'Should load channels and rules from YAML');
+      assert(notifier.addRule({ name: 'x', type: 'latency', thresholdMs: 1, channels: ['pager'] }).code === 'INVALID_ALERT_RULE', 'Should reject unknown channels');
+      assert(notifier.addRule({ name: 'slow', type: 'latency', thresholdMs: 9 }).code === 'DUPLICATE_ALERT_RULE', 'Should reject duplicate rule names');
+
+      const api = { id: 'api-1', name: 'api', labels: { team: 'payments' } };
+      const check = (status, minute, responseTime = 100) =>
+        notifier.evaluate(api, { status, responseTime, timestamp: new Date(Date.UTC(2026, 0, 1, 0, minute)).toISOString() });
+
+      assert(check('error', 0).length === 0 && check('error', 1).length === 0, 'Should wait for N consecutive failures');
+      const fired = check('error', 2);
+      assert(fired.length === 1 && fired[0].status === 'firing' && fired[0].severity === 'critical', 'Should fire on the Nth failure');
+      assert(check('error', 3).length === 0 && check('unhealthy', 4).length === 0, 'Should deduplicate while firing');
+      assert(notifier.listActive()[0].ruleId === 'rule-down-three-times', 'Should list firing rules');
+      const resolved = check('healthy', 5);
+      assert(resolved.length === 1 && resolved[0].status === 'resolved' && resolved[0].endsAt, 'Should send a resolve notification');
+
+      assert(check('healthy', 10, 900).length === 0 && check('healthy', 14, 900).length === 0, 'Latency must stay high for forMinutes');
+      assert(check('healthy', 15, 900)[0].ruleId === 'rule-slow', 'Should fire after forMinutes of high latency');
+      assert(check('healthy', 16, 200)[0].status === 'resolved', 'Should resolve when latency recovers');
+      assert(notifier.evaluate({ id: 'web', name: 'web', labels: {} }, { status: 'healthy', responseTime: 900 }).length === 0, 'Selector should scope rules');
+
+      await notifier.flush();
+      const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+      assert(lines.length === 4 && lines[0].status === 'firing' && !lines[0].deliveries, 'File sink should receive every notification');
+      assert(received.filter(r => r.url === '/hook').length === 2 && received.find(r => r.url === '/slack').body.text.startsWith('[CRITICAL] Down Three Times: api'), 'Webhook and Slack channels should receive notifications');
+      assert(fired[0].deliveries.length === 3 && fired[0].deliveries.every(d => d.success), 'Should record delivery results');
+
+      notifier.addChannel({ name: 'dead', type: 'webhook', url: 'http://127.0.0.1:1/x' });
+      assert((await notifier.testChannel('dead')).code === 'CHANNEL_DELIVERY_FAILED', 'Test send should report failures');
+      assert(notifier.removeRule('rule-slow').success && notifier.removeRule('rule-slow').code === 'RULE_NOT_FOUND', 'Should remove rules');
+    } finally {
+      server.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  // Test 32: Status Hysteresis And Flapping
+  test('Status Hysteresis - Thresholds, Flapping And Transition History', () => {
+    const { validateStatusPolicy, getDefaultPolicy } = require('../src/services/v2/statusHysteresis');
+    const { ServiceRegistry } = require('../src/services/v2/serviceRegistry');
+    const { AlertNotifier } = require('../src/services/v2/alertNotifier');
+    const MemoryRegistryStore = require('../src/services/v2/memoryRegistryStore');
+
+    assert(!validateStatusPolicy({ failureThreshold: 0 }).isValid && !validateStatusPolicy({ flap: 1 }).isValid, 'Should validate status policies');
+    const defaults = getDefaultPolicy({ HEALTH_FAILURE_THRESHOLD: '3', HEALTH_FLAP_THRESHOLD: '0' });
+    assert(defaults.failureThreshold === 3 && defaults.recoveryThreshold === 1 && defaults.flapThreshold === 0, 'Should read defaults from the environment');
+
+    const registry = new ServiceRegistry({ store: new MemoryRegistryStore() });
+    const { serviceId } = registry.registerService({ name: 'api', type: 'api', version: '1.0.0', url: 'http://api',
+      statusPolicy: { failureThreshold: 3, recoveryThreshold: 2, flapWindow: 6, flapThreshold: 4 } });
+    const apply = status => registry.statusTracker.applyHealthResult(serviceId, { serviceId, status }).service.status;
+
+    assert(apply('healthy') === 'healthy', 'First healthy check should apply');
+    assert(apply('error') === 'healthy' && apply('error') === 'healthy', 'Should ride out failures below the threshold');
+    assert(apply('error') === 'error' && apply('unhealthy') === 'unhealthy', 'Should fail after N consecutive failures');
+    assert(apply('healthy') === 'unhealthy' && apply('healthy') === 'healthy', 'Should recover after M consecutive successes');
+    assert(apply('error') === 'healthy' && apply('healthy') === 'healthy' && apply('error') === 'flapping', 'Should mark frequent changes as flapping');
+
+    let checks = 0;
+    while (apply('healthy') === 'flapping' && checks < 10) checks++;
+    assert(registry.getService(serviceId).status === 'healthy' && checks === 4, 'Should stop flapping once changes settle');
+    assert(registry.getService(serviceId).statusHistory.map(t => t.reason).join() ===
+      'health_check,failure_threshold,health_check,recovery_threshold,flapping,flapping_ended', 'Should record each transition with its reason');
+
+    registry.updateService(serviceId, { status: 'error' });
+    assert(registry.getService(serviceId).statusHistory.slice(-1)[0].reason === 'manual', 'Manual status changes should be recorded');
+
+    const notifier = new AlertNotifier({ send: async () => {} });
+    notifier.addRule({ name: 'down', type: 'consecutive_failures', count: 1 });
+    assert(notifier.evaluate({ id: 'x', name: 'x', status: 'flapping' }, { status: 'error' }).length === 0, 'Should suppress notifications while flapping');
+    assert(notifier.getStats().suppressed === 1, 'Should count suppressed notifications');
+    assert(notifier.evaluate({ id: 'x', name: 'x', status: 'error' }, { status: 'error' })[0].status === 'firing', 'Should notify once the service settles');
+  });
+
+  // Test 33: Per-Service Check Scheduling
+  await testAsync('Check Scheduler - Intervals, Jitter, Concurrency And Timeouts', async () => {
+    const http = require('http');
+    const { CheckScheduler, runWithConcurrency, createLimiter } = require('../src/services/v2/checkScheduler');
+    const { HealthMonitor } = require('../src/services/v2/healthMonitor');
+    const { ServiceRegistry } = require('../src/services/v2/serviceRegistry');
+    const MemoryRegistryStore = require('../src/services/v2/memoryRegistryStore');
+
+    let inFlight = 0;
+    let peak = 0;
+    const ordered = await runWithConcurrency([30, 10, 20, 5], 2, async ms => {
+      peak = Math.max(peak, ++inFlight);
+      await new Promise(resolve => setTimeout(resolve, ms));
+      inFlight--;
+      return ms;
+    });
+    assert(ordered.join() === '30,10,20,5' && peak === 2, 'Should cap concurrency and keep result order');
+
+    let clock = 0;
+    const pending = [];
+    const services = [
+      { id: 'critical', name: 'critical', checkIntervalSeconds: 10 },
+      { id: 'batch', name: 'batch', checkIntervalSeconds: 300 },
+      { id: 'api', name: 'api' }
+    ];
+    const scheduler = new CheckScheduler({
+      getServices: () => services,
+      runCheck: service => new Promise(resolve => pending.push({ id: service.id, resolve })),
+      getInterval: service => (service.checkIntervalSeconds || 30) * 1000,
+      maxConcurrent: 2,
+      jitter: 0.1,
+      random: () => 0.5,
+      clock: () => clock
+    });
+    const settle = () => new Promise(resolve => setImmediate(resolve));
+
+    scheduler.tick(0);
+    assert(scheduler.nextRun.get('critical') === 2500 && pending.length === 0, 'Should spread the first checks');
+    scheduler.tick(2500);
+    assert(scheduler.getStats().running === 2 && scheduler.getStats().queued === 1, 'Should cap concurrent checks');
+    scheduler.tick(2600);
+    assert(scheduler.getStats().queued === 1, 'Should not queue a service twice');
+    await settle();
+
+    clock = 3000;
+    pending.shift().resolve();
+    await settle();
+    assert(scheduler.nextRun.get('critical') === 13000 && pending.length === 2, 'Should reschedule after the interval and start queued checks');
+    clock = 4000;
+    pending.forEach(check => check.resolve());
+    await settle();
+    assert(scheduler.nextRun.get('batch') === 304000 && scheduler.nextRun.get('api') === 34000, 'Should use per-service intervals');
+
+    scheduler.random = () => 1;
+    assert(scheduler.scheduleAfter(services[0], 0) === 11000, 'Jitter should stretch intervals by up to 10%');
+    scheduler.random = () => 0;
+    assert(scheduler.scheduleAfter(services[0], 0) === 9000, 'Jitter should shorten intervals by up to 10%');
+
+    services.pop();
+    scheduler.tick(5000);
+    assert(!scheduler.nextRun.has('api'), 'Should drop removed services');
+
+    pending.length = 0;
+    const joined = scheduler.runNow(services[0]);
+    await settle();
+    assert(scheduler.runNow(services[0]) === joined && pending.length === 1, 'Manual runs should join a check in flight');
+    pending.shift().resolve({ status: 'healthy' });
+    assert((await joined).status === 'healthy', 'Manual runs should resolve to the check result');
+
+    const registry = new ServiceRegistry({ store: new MemoryRegistryStore() });
+    assert(!registry.registerService({ name: 'x', type: 'api', version: '1', url: 'http://x', checkIntervalSeconds: 1 }).success, 'Should reject too-short intervals');
+    assert(!registry.registerService({ name: 'x', type: 'api', version: '1', url: 'http://x', checkIntervalSeconds: 10, checkTimeoutMs: 10000 }).success, 'Timeout must be shorter than the interval');
+    assert(!registry.registerService({ name: 'x', type: 'api', version: '1', url: 'http://x', checkTimeoutMs: 60000 }).success, 'Timeout must be shorter than the default interval');
+
+    const limit = createLimiter(2);
+    inFlight = 0;
+    peak = 0;
+    await Promise.all([1, 2, 3, 4].map(() => limit(async () => {
+      peak = Math.max(peak, ++inFlight);
+      await settle();
+      inFlight--;
+    })));
+    assert(peak === 2, 'Shared limiter should cap calls in flight');
+
+    let requests = 0;
+    let requestPeak = 0;
+    const server = http.createServer((req, res) => {
+      requestPeak = Math.max(requestPeak, ++requests);
+      setTimeout(() => { requests--; res.end('{"status":"ok"}'); }, 300);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+      const monitor = new HealthMonitor();
+      const url = `http://127.0.0.1:${server.address().port}`;
+      assert((await monitor.checkServiceHealth({ id: 's', name: 's', url, checkTimeoutMs: 100 })).status === 'error', 'Should apply per-service timeouts');
+      assert((await monitor.checkServiceHealth({ id: 's', name: 's', url })).status === 'healthy', 'Should use the default timeout otherwise');
+      const instances = Array.from({ length: 8 }, (_, i) => ({ id: `i${i}`, url }));
+      assert((await monitor.checkServiceHealth({ id: 'm', name: 'm', url, instances })).healthyInstances === 8, 'Should check every instance');
+      assert(requestPeak <= monitor.maxConcurrentChecks, 'Instance checks should respect the concurrency cap');
+    } finally {
+      server.close();
+    }
+  });
+
+  // Test 34: Durable Dead Letters
+  test('Dead Letter Store - Journal Persistence And Capacity', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const DeadLetterStore = require('../src/services/v2/deadLetterStore');
+    const { WebhookHub } = require('../src/services/v2/webhookHub');
+    const { createQueueItem } = require('../src/services/v2/webhookQueueWorker');
+    const MemoryQueueBackend = require('../src/services/v2/memoryQueueBackend');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dlq-'));
+    const filePath = path.join(dir, 'dead-letters.journal');
+    const route = { id: 'r1', source: 'github', eventType: 'push', target: 'ci', endpoint: '/build', method: 'POST' };
+    const event = id => ({ id, webhook: { source: 'github', eventType: 'push' }, deliveries: [], createdAt: new Date().toISOString() });
+    const state = { attempts: 3, lastError: 'HTTP 502', lastStatusCode: 502 };
+
+    try {
+      const store = new DeadLetterStore({ filePath, maxEntries: 2 });
+      const first = store.add(event('e1'), route, state);
+      store.add(event('e2'), route, state);
+      assert(store.add(event('e3'), route, state) === null && store.getStats().rejected === 1, 'Should reject at capacity');
+      assert(store.get(first.id), 'Should keep the oldest entry');
+      store.remove(first.id);
+
+      const restored = new DeadLetterStore({ filePath, maxEntries: 2 });
+      assert(restored.load() === 1 && restored.list()[0].eventId === 'e2', 'Should restore entries after a restart');
+
+      const hub = new WebhookHub({ queueBackend: new MemoryQueueBackend(), deadLetterStore: restored });
+      restored.add(event('e4'), route, state);
+      const queued = createQueueItem({ source: 'github', eventType: 'push' }, [{ ...route, retryPolicy: { maxAttempts: 1 } }]);
+      hub.queue.enqueue(queued);
+      queued.routeStates.r1.attempts = 1;
+      hub.retries.schedule(queued);
+      assert(queued.routeStates.r1.status === 'dropped' && hub.queue.getStats().depth === 0, 'Full store should drop the delivery instead of retrying');
+      assert(hub.getEvent(queued.id).status === 'dropped' && restored.getStats().rejected === 1, 'Should record the lost delivery');
+      assert(restored.purge({ limit: 1 }) === 1 && restored.list()[0].eventId === 'e4', 'Purge should honour limit, oldest first');
+
+      const replay = hub.retries.replayDeadLetter(restored.list()[0].id);
+      assert(replay.success && hub.queue.list().some(item => item.id === replay.eventId && item.routes[0].endpoint === '/build'),
+        'Should replay from the route snapshot when the route is gone');
+      const routeConfig = { source: 'github', eventType: 'push', target: 'ci', endpoint: '/build' };
+      assert(hub.routes.add(routeConfig).routeId === new WebhookHub({ queueBackend: new MemoryQueueBackend() }).routes.add(routeConfig).routeId,
+        'Route IDs should be the same across restarts');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  // Test 35: Render Fix Outcome
+  await testAsync('Render Webhook Processor - Status Follows The Fix Outcome', async () => {
+    const { RenderWebhookProcessor } = require('../src/services/v2/renderWebhookProcessor');
+    const { getErrorFixerFactory } = require('../src/services/v2/errorFixerFactory');
+    const factory = getErrorFixerFactory();
+    const original = factory.processErrorFix;
+    const processor = new RenderWebhookProcessor();
+    const receive = status => processor.receiveEvent({ type: 'deploy_ended', data: { serviceName: 'api', status, id: `d-${Math.random()}` } }).eventId;
+
+    try {
+      factory.processErrorFix = async () => ({ success: true, result: { result: { success: false, reason: 'No applicable fix found' } } });
+      assert((await processor.processEvent(receive('build_failed'))).status === 'no_fix', 'Should not report unfixed deploys as completed');
+      factory.processErrorFix = async () => ({ success: true, result: { result: { success: true } } });
+      assert((await processor.processEvent(receive('build_failed'))).status === 'completed', 'Should complete when a fix applied');
+      assert((await processor.processEvent(receive('canceled'))).status === 'ignored', 'Should ignore cancelled deploys');
+    } finally {
+      factory.processErrorFix = original;
+    }
+  });
+
   // Summary
   console.log('📊 UNIT TEST SUMMARY:');
   console.log(`✅ Passed: ${passed}`);